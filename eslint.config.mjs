@@ -24,5 +24,13 @@ export default [
       },
     },
   },
+  {
+    // Tests run in Node.js only, the ES2017 target is for the library
+    files: ["test/**/*.js"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      globals: globals.node,
+    },
+  },
   pluginJs.configs.recommended,
 ];
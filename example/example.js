@@ -17,7 +17,8 @@
     console.log("TilePackage header:", header);
     const metadata = await pkg.getMetadata();
     console.log("TilePackage metadata:", metadata);
-    if (header.spatialReference == 3857) {
+    // Raster packages in other spatial references are reprojected (reproject:true)
+    if (header.tileMatrixSet.compatible || header.packageType !== "vtpk") {
       const style = await pkg.getStyle();
       console.log("TilePackage style:", style);
       if (!protocolInstance) {
@@ -55,7 +56,11 @@
         style: style,
       });
     } else {
-      console.warn("Unsupported spatial reference", header.spatialReference);
+      console.warn(
+        "Unsupported tiling scheme",
+        header.spatialReference,
+        header.tileMatrixSet.reason,
+      );
     }
   }
 
@@ -64,7 +69,7 @@
     try {
       const fileSource = new FileSource(file);
       console.log("FileSource:", fileSource);
-      const pkg = new TilePackage(fileSource);
+      const pkg = new TilePackage(fileSource, { reproject: true });
       console.log("TilePackage:", pkg);
       initMap(pkg);
     } catch (err) {
@@ -107,7 +112,7 @@
     if (!clean) return;
     console.log("Loading remote TilePackage URL:", clean);
     try {
-      const pkg = new TilePackage(clean);
+      const pkg = new TilePackage(clean, { reproject: true });
       console.log("TilePackage (remote):", pkg);
       // Await map initialization so we only reflect URL on success
       await initMap(pkg);
@@ -0,0 +1,356 @@
+import { Source, EtagMismatch } from "./source.js";
+
+function canServeOffline(e) {
+  return e.name !== "AbortError" && !(e instanceof EtagMismatch);
+}
+
+/**
+ * Cache fixed-size blocks of another Source in a persistent block store, see
+ * IndexedDBBlockStore and OPFSBlockStore.
+ *
+ * Blocks are keyed by the source key, the ETag of the archive and the block number,
+ * and evicted least recently used first when the cache grows beyond maxBytes.
+ *
+ * Reads without an ETag (the first header read) go to the network first so a
+ * republished archive is noticed, and fall back to the cached copy when the network
+ * is unavailable. Reads with an ETag are served from the cache and only missing
+ * blocks are requested from the wrapped source.
+ */
+export class BlockCacheSource extends Source {
+  /**
+   * @param {Source} source - The Source to cache.
+   * @param {object} options
+   * @param {object} options.store - Block store, e.g. new IndexedDBBlockStore().
+   * @param {number} [options.blockSize=65536] - Block size in bytes.
+   * @param {number} [options.maxBytes=268435456] - Byte quota for all cached blocks.
+   */
+  constructor(source, options) {
+    super();
+    if (!options || !options.store) {
+      throw new Error("BlockCacheSource requires a block store");
+    }
+    this.source = source;
+    this.store = options.store;
+    this.blockSize = options.blockSize || 64 * 1024;
+    this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+    this.coverageCheck = source.coverageCheck;
+    // Block key -> byte size, least recently used first
+    this.lru = new Map();
+    this.bytes = 0;
+    // Source key -> { size, etag } of the last archive seen
+    this.archives = {};
+    this.inflight = new Map();
+    this.loading = undefined;
+    this.saveTimer = undefined;
+  }
+
+  getKey() {
+    return this.source.getKey();
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.store
+        .loadIndex()
+        .catch(() => undefined)
+        .then((index) => {
+          if (index && index.blocks) {
+            index.blocks.forEach(([key, size]) => {
+              this.lru.set(key, size);
+              this.bytes += size;
+            });
+            this.archives = index.archives || {};
+          }
+          // Drop blocks written after the index was last saved
+          return this.store.retain(new Set(this.lru.keys()));
+        })
+        .catch((e) => {
+          console.warn("[tilepackage cache] failed to load block index", e);
+        });
+    }
+    return await this.loading;
+  }
+
+  async getSize(passedSignal, etag) {
+    await this.load();
+    const key = this.getKey();
+    try {
+      const size = Number(await this.source.getSize(passedSignal, etag));
+      this.archives[key] = Object.assign({}, this.archives[key], { size });
+      return size;
+    } catch (e) {
+      if (canServeOffline(e) && this.archives[key]) {
+        return this.archives[key].size;
+      }
+      throw e;
+    }
+  }
+
+  async getBytes(offset, length, passedSignal, etag) {
+    await this.load();
+    const key = this.getKey();
+    const first = Math.floor(offset / this.blockSize);
+    const last = Math.floor((offset + length - 1) / this.blockSize);
+
+    let blocks;
+    let resp = {};
+    if (etag === undefined) {
+      try {
+        resp = await this.fetchBlocks(first, last, passedSignal, undefined);
+        this.archiveSeen(key, resp.etag);
+        blocks = resp.blocks;
+        blocks.forEach((data, i) =>
+          this.storeBlock(key, resp.etag, first + i, data),
+        );
+      } catch (e) {
+        const archive = this.archives[key];
+        if (!canServeOffline(e) || !archive) throw e;
+        blocks = await this.getBlocks(
+          key,
+          archive.etag,
+          first,
+          last,
+          passedSignal,
+          false,
+        );
+        if (!blocks) throw e;
+        resp = { etag: archive.etag };
+      }
+    } else {
+      blocks = await this.getBlocks(key, etag, first, last, passedSignal, true);
+      resp = { etag };
+    }
+
+    const bytes = new Uint8Array(length);
+    blocks.forEach((data, i) => {
+      const blockStart = (first + i) * this.blockSize;
+      const from = Math.max(offset, blockStart) - blockStart;
+      const to =
+        Math.min(offset + length, blockStart + data.byteLength) - blockStart;
+      if (to > from) {
+        bytes.set(
+          new Uint8Array(data, from, to - from),
+          blockStart + from - offset,
+        );
+      }
+    });
+    return {
+      data: bytes.buffer,
+      etag: resp.etag,
+      cacheControl: resp.cacheControl,
+      expires: resp.expires,
+    };
+  }
+
+  blockKey(key, etag, index) {
+    return `${key}|${etag || ""}|${index}`;
+  }
+
+  /**
+   * Register a pending lookup or fetch of a block, so concurrent reads of the block
+   * wait for it instead of fetching it again.
+   */
+  track(blockKey, promise) {
+    this.inflight.set(blockKey, promise);
+    promise
+      .catch(() => undefined)
+      .then(() => {
+        if (this.inflight.get(blockKey) === promise) {
+          this.inflight.delete(blockKey);
+        }
+      });
+  }
+
+  /**
+   * Read blocks first..last from the cache, fetching missing blocks from the wrapped
+   * source when fetchMissing is set. Returns undefined if blocks are missing otherwise.
+   */
+  async getBlocks(key, etag, first, last, signal, fetchMissing) {
+    const blocks = new Array(last - first + 1);
+    const missing = [];
+    const lookups = [];
+    // Block number -> resolve of the pending promise registered for it
+    const owned = new Map();
+    for (let i = first; i <= last; i++) {
+      const blockKey = this.blockKey(key, etag, i);
+      const pending = this.inflight.get(blockKey);
+      let lookup;
+      if (pending) {
+        lookup = pending.catch(() => undefined);
+      } else {
+        // Registered before the store lookup, which may be followed by a fetch
+        lookup = this.readBlock(blockKey);
+        this.track(blockKey, new Promise((resolve) => owned.set(i, resolve)));
+      }
+      lookups.push(
+        lookup.then((data) => {
+          if (data) {
+            blocks[i - first] = data;
+          } else {
+            missing.push(i);
+          }
+        }),
+      );
+    }
+    await Promise.all(lookups);
+    owned.forEach((resolve, i) => {
+      if (blocks[i - first] || !fetchMissing) resolve(blocks[i - first]);
+    });
+    if (missing.length === 0) return blocks;
+    if (!fetchMissing) return undefined;
+
+    // Fetch each run of consecutive missing blocks with a single request
+    missing.sort((a, b) => a - b);
+    const runs = [];
+    missing.forEach((i) => {
+      const run = runs[runs.length - 1];
+      if (run && run[1] === i - 1) {
+        run[1] = i;
+      } else {
+        runs.push([i, i]);
+      }
+    });
+    await Promise.all(
+      runs.map(async ([start, end]) => {
+        const p = this.fetchBlocks(start, end, signal, etag).then((resp) => {
+          resp.blocks.forEach((data, j) =>
+            this.storeBlock(key, etag, start + j, data),
+          );
+          return resp.blocks;
+        });
+        for (let i = start; i <= end; i++) {
+          const blockPromise = p.then((fetched) => fetched[i - start]);
+          if (owned.has(i)) {
+            owned.get(i)(blockPromise);
+          } else {
+            this.track(this.blockKey(key, etag, i), blockPromise);
+          }
+        }
+        const fetched = await p;
+        fetched.forEach((data, j) => {
+          blocks[start + j - first] = data;
+        });
+      }),
+    );
+    return blocks;
+  }
+
+  async readBlock(blockKey) {
+    if (!this.lru.has(blockKey)) return undefined;
+    const data = await this.store.get(blockKey).catch(() => undefined);
+    if (!data) {
+      this.forget(blockKey);
+      return undefined;
+    }
+    // Move to the most recently used end
+    const size = this.lru.get(blockKey);
+    this.lru.delete(blockKey);
+    this.lru.set(blockKey, size);
+    this.scheduleSave();
+    return data;
+  }
+
+  async fetchBlocks(first, last, signal, etag) {
+    const key = this.getKey();
+    let size = this.archives[key] && this.archives[key].size;
+    if (!size) size = await this.getSize(signal);
+    const start = first * this.blockSize;
+    const end = Math.min(size, (last + 1) * this.blockSize);
+    const resp = await this.source.getBytes(start, end - start, signal, etag);
+    const data = ArrayBuffer.isView(resp.data)
+      ? resp.data
+      : new Uint8Array(resp.data);
+    const blocks = [];
+    for (let i = first; i <= last; i++) {
+      const from = (i - first) * this.blockSize;
+      blocks.push(data.slice(from, from + this.blockSize).buffer);
+    }
+    return {
+      blocks,
+      etag: resp.etag,
+      cacheControl: resp.cacheControl,
+      expires: resp.expires,
+    };
+  }
+
+  storeBlock(key, etag, index, data) {
+    const blockKey = this.blockKey(key, etag, index);
+    if (this.lru.has(blockKey) || data.byteLength > this.maxBytes) return;
+    this.lru.set(blockKey, data.byteLength);
+    this.bytes += data.byteLength;
+    this.store.put(blockKey, data).catch((e) => {
+      // Quota exceeded or storage unavailable, the cache is best effort
+      console.warn("[tilepackage cache] failed to store block", e);
+      this.forget(blockKey);
+    });
+    while (this.bytes > this.maxBytes) {
+      const oldest = this.lru.keys().next().value;
+      this.forget(oldest);
+      this.store.delete(oldest).catch(() => undefined);
+    }
+    this.scheduleSave();
+  }
+
+  forget(blockKey) {
+    if (!this.lru.has(blockKey)) return;
+    this.bytes -= this.lru.get(blockKey);
+    this.lru.delete(blockKey);
+    this.scheduleSave();
+  }
+
+  /**
+   * Remember the ETag of an archive, dropping blocks of earlier versions.
+   */
+  archiveSeen(key, etag) {
+    const archive = this.archives[key] || {};
+    if (archive.etag !== etag) {
+      const prefix = `${key}|${archive.etag || ""}|`;
+      for (const blockKey of Array.from(this.lru.keys())) {
+        if (blockKey.startsWith(prefix)) {
+          this.forget(blockKey);
+          this.store.delete(blockKey).catch(() => undefined);
+        }
+      }
+    }
+    this.archives[key] = Object.assign({}, archive, { etag });
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = undefined;
+      this.flush();
+    }, 1000);
+  }
+
+  /**
+   * Write the block index to the store now instead of waiting for the next scheduled save.
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = undefined;
+    }
+    try {
+      await this.store.saveIndex({
+        archives: this.archives,
+        blocks: Array.from(this.lru.entries()),
+      });
+    } catch (e) {
+      console.warn("[tilepackage cache] failed to save block index", e);
+    }
+  }
+
+  /**
+   * Remove every cached block and the index.
+   */
+  async clear() {
+    await this.load();
+    this.lru.clear();
+    this.bytes = 0;
+    this.archives = {};
+    await this.store.retain(new Set());
+    await this.flush();
+  }
+}
@@ -0,0 +1,193 @@
+/* global globalThis */
+
+/*
+  Persistent storage backends for BlockCacheSource.
+
+  A block store keeps ArrayBuffer blocks by string key plus one index object
+  describing them:
+
+    loadIndex()        -> index object or undefined
+    saveIndex(index)
+    get(key)           -> ArrayBuffer or undefined
+    put(key, data)
+    delete(key)
+    retain(keys)       -> delete every block whose key is not in the Set
+*/
+
+// Default store names. BlockCacheSource deletes every block it does not know about,
+// so the downloader must never share the store of a block cache.
+export const BLOCK_CACHE_STORE = "tilepackage-block-cache";
+export const DOWNLOAD_STORE = "tilepackage-downloads";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store blocks in IndexedDB, one database with a "blocks" and a "meta" object store.
+ */
+export class IndexedDBBlockStore {
+  constructor(name = BLOCK_CACHE_STORE) {
+    this.name = name;
+    this.db = undefined;
+  }
+
+  open() {
+    if (!this.db) {
+      const request = globalThis.indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("blocks")) {
+          db.createObjectStore("blocks");
+        }
+        if (!db.objectStoreNames.contains("meta")) {
+          db.createObjectStore("meta");
+        }
+      };
+      this.db = requestToPromise(request);
+    }
+    return this.db;
+  }
+
+  async objectStore(name, mode) {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  async loadIndex() {
+    const store = await this.objectStore("meta", "readonly");
+    return await requestToPromise(store.get("index"));
+  }
+
+  async saveIndex(index) {
+    const store = await this.objectStore("meta", "readwrite");
+    await requestToPromise(store.put(index, "index"));
+  }
+
+  async get(key) {
+    const store = await this.objectStore("blocks", "readonly");
+    return await requestToPromise(store.get(key));
+  }
+
+  async put(key, data) {
+    const store = await this.objectStore("blocks", "readwrite");
+    await requestToPromise(store.put(data, key));
+  }
+
+  async delete(key) {
+    const store = await this.objectStore("blocks", "readwrite");
+    await requestToPromise(store.delete(key));
+  }
+
+  async retain(keys) {
+    const store = await this.objectStore("blocks", "readwrite");
+    const stored = await requestToPromise(store.getAllKeys());
+    await Promise.all(
+      stored
+        .filter((key) => !keys.has(key))
+        .map((key) => requestToPromise(store.delete(key))),
+    );
+  }
+}
+
+/**
+ * Store blocks as files in a directory of the Origin Private File System.
+ *
+ * File names are SHA-256 hashes of the block keys, the index is kept in index.json.
+ */
+export class OPFSBlockStore {
+  constructor(name = BLOCK_CACHE_STORE) {
+    this.name = name;
+    this.dir = undefined;
+  }
+
+  directory() {
+    if (!this.dir) {
+      this.dir = globalThis.navigator.storage
+        .getDirectory()
+        .then((root) => root.getDirectoryHandle(this.name, { create: true }));
+    }
+    return this.dir;
+  }
+
+  async fileName(key) {
+    const digest = await globalThis.crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(key),
+    );
+    return Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  async readFile(name) {
+    const dir = await this.directory();
+    try {
+      const handle = await dir.getFileHandle(name);
+      const file = await handle.getFile();
+      return await file.arrayBuffer();
+    } catch (e) {
+      if (e.name === "NotFoundError") return undefined;
+      throw e;
+    }
+  }
+
+  async writeFile(name, data) {
+    const dir = await this.directory();
+    const handle = await dir.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+  }
+
+  async loadIndex() {
+    const data = await this.readFile("index.json");
+    if (!data) return undefined;
+    return JSON.parse(new TextDecoder("utf-8").decode(data));
+  }
+
+  async saveIndex(index) {
+    await this.writeFile(
+      "index.json",
+      new TextEncoder().encode(JSON.stringify(index)),
+    );
+  }
+
+  async get(key) {
+    return await this.readFile(await this.fileName(key));
+  }
+
+  async put(key, data) {
+    await this.writeFile(await this.fileName(key), data);
+  }
+
+  async delete(key) {
+    const dir = await this.directory();
+    try {
+      await dir.removeEntry(await this.fileName(key));
+    } catch (e) {
+      if (e.name !== "NotFoundError") throw e;
+    }
+  }
+
+  async retain(keys) {
+    const dir = await this.directory();
+    const names = new Set(["index.json"]);
+    for (const key of keys) {
+      names.add(await this.fileName(key));
+    }
+    const remove = [];
+    const entries = dir.keys();
+    for (
+      let next = await entries.next();
+      !next.done;
+      next = await entries.next()
+    ) {
+      if (!names.has(next.value)) remove.push(next.value);
+    }
+    await Promise.all(remove.map((name) => dir.removeEntry(name)));
+  }
+}
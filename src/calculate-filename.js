@@ -0,0 +1,19 @@
+// Directory holding the L<zoom> bundle folders of each package type
+export const TILE_ROOTS = {
+  tpkx: "tile",
+  vtpk: "p12/tile",
+  tpk: "v101/Layers/_alllayers",
+};
+
+/**
+ * Path of the bundle holding the tile at column x, row y of a level of detail.
+ */
+export default function calculateFilename(level, x, y, header) {
+  const zoom = level.toString().padStart(2, "0");
+  const baseRow = Math.floor(y / 128) * 128;
+  const baseCol = Math.floor(x / 128) * 128;
+  const rowHex = baseRow.toString(16).padStart(4, "0");
+  const colHex = baseCol.toString(16).padStart(4, "0");
+  const basePath = TILE_ROOTS[header.type] || TILE_ROOTS.vtpk;
+  return `${basePath}/L${zoom}/R${rowHex}C${colHex}.bundle`;
+}
@@ -0,0 +1,33 @@
+let table;
+
+function getTable() {
+  if (!table) {
+    table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c;
+    }
+  }
+  return table;
+}
+
+/**
+ * CRC-32 as used by Zip archives (polynomial 0xedb88320).
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {number} The checksum as an unsigned 32 bit integer.
+ */
+export default function crc32(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  const t = getTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = t[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
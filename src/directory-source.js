@@ -0,0 +1,74 @@
+import { FetchSource } from "./source.js";
+
+/**
+ * Interface for reading an unzipped package, a folder with root.json and the tile
+ * bundles or an ArcGIS Server cache folder, from remote or local storage.
+ *
+ * Every file of the package is read through its own {@link Source}, returned by
+ * getSource(path) with path relative to the directory.
+ */
+export class DirectorySource {
+  getSource() {
+    throw new Error("Not implemented");
+  }
+
+  getKey() {
+    throw new Error("Not implemented");
+  }
+}
+
+/**
+ * Check whether a source reads a directory instead of a ZIP archive.
+ */
+export function isDirectory(source) {
+  return !!source && typeof source.getSource === "function";
+}
+
+/**
+ * Check whether a read failed because the file does not exist, a 404 response or a
+ * missing local file.
+ */
+export function isMissingFile(e) {
+  return !!e && (e.status === 404 || e.code === "ENOENT");
+}
+
+function joinUrl(url, path) {
+  // Keep the query string (signed URLs, tokens) at the end of every file URL
+  const query = url.indexOf("?");
+  const base = query === -1 ? url : url.slice(0, query);
+  const search = query === -1 ? "" : url.slice(query);
+  const encoded = path.split("/").map(encodeURIComponent).join("/");
+  return `${base.replace(/\/+$/, "")}/${encoded}${search}`;
+}
+
+/**
+ * Read a package directory published on a web server, one {@link FetchSource} per file.
+ *
+ * The options are passed on to each FetchSource, transformRequest is called with the
+ * URL of the file.
+ */
+export class FetchDirectorySource extends DirectorySource {
+  constructor(url, options) {
+    super();
+    this.url = url;
+    this.options = options;
+    this.sources = new Map();
+    if (options && options.coverageCheck) {
+      this.coverageCheck = options.coverageCheck;
+    }
+  }
+
+  getKey() {
+    return this.url;
+  }
+
+  getSource(path) {
+    if (!this.sources.has(path)) {
+      this.sources.set(
+        path,
+        new FetchSource(joinUrl(this.url, path), this.options),
+      );
+    }
+    return this.sources.get(path);
+  }
+}
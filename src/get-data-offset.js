@@ -0,0 +1,32 @@
+import toDataView from "./to-data-view.js";
+
+/**
+ * Resolve where the data of a ZIP entry starts by reading its local file header.
+ *
+ * The local header has its own extra field, which often differs in length from the
+ * one in the central directory, so the offset can not be derived from the central
+ * directory alone.
+ *
+ * @param {Source} source - The source of the TilePackage archive.
+ * @param {object} entry - An entry of header.files.
+ */
+export default async function getDataOffset(source, entry, signal, etag) {
+  // Files of a directory are not wrapped in a local header
+  if (entry.source) return 0;
+  const resp = await source.getBytes(entry.relativeOffset, 30, signal, etag);
+  const v = toDataView(resp.data, 0, 30);
+  /*
+      local file header signature     4 bytes  (0x04034b50)
+      ...
+      file name length                2 bytes  (offset 26)
+      extra field length              2 bytes  (offset 28)
+  */
+  if (v.getUint32(0, true) !== 0x04034b50) {
+    throw new Error(
+      `Wrong magic number for local file header of ${entry.filename}`,
+    );
+  }
+  return (
+    entry.relativeOffset + 30 + v.getUint16(26, true) + v.getUint16(28, true)
+  );
+}
@@ -1,35 +1,85 @@
 import getJsonFromFile from "./get-json-from-file.js";
+import parseXml from "./parse-xml.js";
+import getTileMatrixSet, { levelToZoom } from "./tile-matrix-set.js";
+import readEntry from "./read-entry.js";
+import { isDirectory, isMissingFile } from "./directory-source.js";
+import toDataView from "./to-data-view.js";
 
-function xmlToJson(xmlString) {
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-  const obj = {};
-
-  function traverse(node, obj) {
-    if (node.nodeType === 1) {
-      // element
-      const nodeName = node.nodeName;
-      if (!obj[nodeName] && node.childNodes.length > 0) {
-        obj[nodeName] = {};
-      }
-      if (node.childNodes.length == 1 && node.childNodes[0].nodeType == 3) {
-        obj[nodeName] = node.childNodes[0].nodeValue.trim();
-        return;
-      }
-      for (let i = 0; i < node.childNodes.length; i++) {
-        traverse(node.childNodes[i], obj[nodeName]);
-      }
-    }
+/**
+ * The text of an element without child elements, also when it has attributes.
+ * Elements with child elements are returned unchanged.
+ */
+function textContent(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return value;
   }
+  const keys = Object.keys(value);
+  if (keys.some((key) => key[0] !== "@" && key !== "#text")) return value;
+  return value["#text"] === undefined ? "" : value["#text"];
+}
 
-  traverse(xmlDoc.documentElement, obj);
-  return obj;
+/**
+ * Parse esriinfo/iteminfo.xml into an item info object.
+ *
+ * Every child of ESRI_ItemInformation becomes a key, text elements as trimmed
+ * strings, also when they carry attributes such as lang. The Culture attribute is
+ * kept as culture, typekeywords is an array of strings and the extent bounds,
+ * minScale and maxScale are numbers.
+ */
+export function parseItemInfo(xmlString) {
+  const xml = parseXml(xmlString);
+  const info = xml.ESRI_ItemInformation;
+  if (info === undefined) {
+    throw new Error("iteminfo.xml has no ESRI_ItemInformation element");
+  }
+  const itemInfo = {};
+  if (typeof info === "object") {
+    Object.keys(info).forEach((key) => {
+      if (key[0] !== "@") itemInfo[key] = textContent(info[key]);
+    });
+    if (info["@Culture"] !== undefined) itemInfo.culture = info["@Culture"];
+  }
+  if (itemInfo.typekeywords !== undefined) {
+    const keywords = itemInfo.typekeywords.typekeyword;
+    itemInfo.typekeywords = []
+      .concat(keywords === undefined ? [] : keywords)
+      .map(textContent);
+  }
+  if (typeof itemInfo.extent === "object") {
+    const extent = {};
+    ["xmin", "ymin", "xmax", "ymax"].forEach((key) => {
+      extent[key] = Number(textContent(itemInfo.extent[key]));
+    });
+    itemInfo.extent = extent;
+  }
+  ["minScale", "maxScale"].forEach((key) => {
+    if (itemInfo[key] !== undefined && itemInfo[key] !== "") {
+      itemInfo[key] = Number(itemInfo[key]);
+    }
+  });
+  return itemInfo;
 }
 
 /**
- * Parse json into a Header object.
+ * Parse json into a Header object. packageType is the detected or requested type,
+ * without it the type is guessed from json.
  */
-export function jsonToHeader(json, files, etag) {
+export function jsonToHeader(json, files, etag, packageType) {
+  const tileMatrixSet = getTileMatrixSet(json.tileInfo);
+  // min/max LOD are levels of detail, the header uses XYZ zooms
+  const toZoom = (level) => {
+    const zoom = levelToZoom(tileMatrixSet, level);
+    if (zoom !== undefined) return zoom;
+    // Levels with tiles wider than the world come before zoom 0
+    const coarser = tileMatrixSet.lods.some(
+      (lod) => lod.level === level && tileMatrixSet.compatible,
+    );
+    return coarser ? 0 : level;
+  };
+  if (packageType === undefined) {
+    packageType = json.tileInfo.format ? "vtpk" : "tpkx";
+    if (json.type === "tpk") packageType = "tpk";
+  }
   let spatialReference;
   try {
     spatialReference = json.tileInfo.spatialReference.latestWkid;
@@ -43,17 +93,19 @@ export function jsonToHeader(json, files, etag) {
     description: json.serviceDescription,
     attribution: json.copyrightText,
     version: json.version,
-    metadataOffset: json.metadataOffset || 0,
-    metadataLength: json.metadataLength || 0,
-    packageType: json.tileInfo.format ? "vtpk" : "tpkx",
+    packageType: packageType,
     spatialReference: spatialReference,
     tileCompression: json.resourceInfo
       ? json.resourceInfo.tileCompression || "none"
       : "none",
     tileType: json.tileInfo.format || json.tileImageInfo.format,
     tileSize: json.tileInfo.rows,
-    minZoom: json.minZoom || json.minLOD,
-    maxZoom: json.maxZoom || json.maxLOD,
+    storageFormat: json.storageInfo
+      ? json.storageInfo.storageFormat
+      : "esriMapCacheStorageModeCompactV2",
+    tileMatrixSet: tileMatrixSet,
+    minZoom: toZoom(json.minZoom || json.minLOD),
+    maxZoom: toZoom(json.maxZoom || json.maxLOD),
     minLon: Number(json.extent.xmin),
     minLat: Number(json.extent.ymin),
     maxLon: Number(json.extent.xmax),
@@ -64,43 +116,558 @@ export function jsonToHeader(json, files, etag) {
   };
 }
 
+function webMercatorToLonLat(x, y) {
+  const r = 6378137;
+  return [
+    (x / r) * (180 / Math.PI),
+    (2 * Math.atan(Math.exp(y / r)) - Math.PI / 2) * (180 / Math.PI),
+  ];
+}
+
 /**
- * Retrieve the header and root directory of a TilePackage archive.
- *
- * @param {Source} source - The source of the TilePackage archive.
+ * Convert the conf.xml tiling scheme and conf.cdi extent of a compact cache into
+ * the root.json layout of a TPKX, so the rest of the header parsing is shared.
  */
-export default async function getHeaderAndFileList(source) {
-  const key = source.getKey();
-  const fileSize = await source.getSize();
-  const resp = await source.getBytes(fileSize - 98, 98);
-  let v = new DataView(resp.data, 0, 98);
-  let entriesCentralDirectory, sizeCentralDirectory, offsetCentralDirectory;
-  //let bigZip64 = false;
-  if (v.getUint32(0, true) === 0x06064b50) {
+export function confToJson(confString, cdiString) {
+  const conf = parseXml(confString).CacheInfo;
+  if (!conf || !conf.TileCacheInfo) {
+    throw new Error("conf.xml has no CacheInfo/TileCacheInfo element");
+  }
+  const tileCacheInfo = conf.TileCacheInfo;
+  const sr = tileCacheInfo.SpatialReference || {};
+  const spatialReference = {
+    wkid: Number(sr.WKID) || undefined,
+    latestWkid: Number(sr.LatestWKID || sr.WKID) || undefined,
+    wkt: sr.WKT || undefined,
+  };
+  const lodInfos = tileCacheInfo.LODInfos
+    ? [].concat(tileCacheInfo.LODInfos.LODInfo || [])
+    : [];
+  const lods = lodInfos.map((lod) => ({
+    level: Number(lod.LevelID),
+    resolution: Number(lod.Resolution),
+    scale: Number(lod.Scale),
+  }));
+  if (lods.length === 0) {
+    throw new Error("conf.xml does not define any levels of detail");
+  }
+  const levels = lods.map((lod) => lod.level);
+  const imageInfo = conf.TileImageInfo || {};
+  const storageInfo = conf.CacheStorageInfo || {};
+  const json = {
+    type: "tpk",
+    tileInfo: {
+      rows: Number(tileCacheInfo.TileRows),
+      cols: Number(tileCacheInfo.TileCols),
+      dpi: Number(tileCacheInfo.DPI),
+      origin: {
+        x: Number(tileCacheInfo.TileOrigin.X),
+        y: Number(tileCacheInfo.TileOrigin.Y),
+      },
+      spatialReference: spatialReference,
+      lods: lods,
+    },
+    tileImageInfo: {
+      format: imageInfo.CacheTileFormat,
+      compressionQuality: Number(imageInfo.CompressionQuality),
+    },
+    storageInfo: {
+      storageFormat:
+        storageInfo.StorageFormat || "esriMapCacheStorageModeCompact",
+      packetSize: Number(storageInfo.PacketSize) || 128,
+    },
+    minLOD: Math.min.apply(null, levels),
+    maxLOD: Math.max.apply(null, levels),
+  };
+
+  if (cdiString) {
+    const envelope = parseXml(cdiString).EnvelopeN;
+    if (envelope) {
+      json.fullExtent = {
+        xmin: Number(envelope.XMin),
+        ymin: Number(envelope.YMin),
+        xmax: Number(envelope.XMax),
+        ymax: Number(envelope.YMax),
+        spatialReference: spatialReference,
+      };
+      const wkid = spatialReference.latestWkid;
+      if (wkid === 3857) {
+        const min = webMercatorToLonLat(
+          json.fullExtent.xmin,
+          json.fullExtent.ymin,
+        );
+        const max = webMercatorToLonLat(
+          json.fullExtent.xmax,
+          json.fullExtent.ymax,
+        );
+        json.extent = {
+          xmin: min[0],
+          ymin: min[1],
+          xmax: max[0],
+          ymax: max[1],
+        };
+      } else if (wkid === 4326) {
+        json.extent = Object.assign({}, json.fullExtent);
+        delete json.extent.spatialReference;
+      }
+    }
+  }
+  return json;
+}
+
+/**
+ * Copy esriinfo/iteminfo.xml, when present, into root.
+ */
+async function mergeItemInfo(root, tilePackageFiles, source, etag) {
+  const iteminfoString = await getTextFromFile(
+    "esriinfo/iteminfo.xml",
+    tilePackageFiles,
+    source,
+    etag,
+  );
+  if (iteminfoString === undefined) return;
+  const iteminfo = parseItemInfo(iteminfoString);
+  Object.keys(iteminfo).forEach((key) => {
+    // Empty elements do not override values from root.json
+    if (key !== "type" && iteminfo[key] !== "") {
+      root[key] = iteminfo[key];
+    }
+  });
+}
+
+/**
+ * Read an XML file of the archive as text, or undefined when it is missing.
+ */
+async function getTextFromFile(file, tilePackageFiles, source, etag) {
+  if (!tilePackageFiles[file]) return undefined;
+  const resp = await readEntry(source, tilePackageFiles[file], undefined, etag);
+  return new TextDecoder("utf-8").decode(resp.data);
+}
+
+/**
+ * Scan backwards through the tail of the archive for the end of central directory record.
+ * Its comment must end exactly at the end of the file.
+ */
+function scanForEndOfCentralDirectory(v) {
+  for (let i = v.byteLength - 22; i >= 0; i--) {
+    if (
+      v.getUint32(i, true) === 0x06054b50 &&
+      i + 22 + v.getUint16(i + 20, true) === v.byteLength
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Locate the central directory through the end of central directory record, following
+ * the ZIP64 end of central directory locator when present.
+ */
+async function getEndOfCentralDirectory(source, fileSize) {
+  if (fileSize < 22) {
+    throw new Error(
+      `Archive is only ${fileSize} bytes, too small to be a Zip archive`,
+    );
+  }
+  // Without a comment the records fit in the last 98 bytes: ZIP64 end of central
+  // directory (56), ZIP64 locator (20) and end of central directory (22).
+  // Otherwise scan the maximum comment length of 64 KB.
+  let tailLength = Math.min(fileSize, 98);
+  let resp = await source.getBytes(fileSize - tailLength, tailLength);
+  let v = toDataView(resp.data, 0, tailLength);
+  let eocd = scanForEndOfCentralDirectory(v);
+  if (eocd === -1 && tailLength < fileSize) {
+    tailLength = Math.min(fileSize, 98 + 0xffff);
+    resp = await source.getBytes(
+      fileSize - tailLength,
+      tailLength,
+      undefined,
+      resp.etag,
+    );
+    v = toDataView(resp.data, 0, tailLength);
+    eocd = scanForEndOfCentralDirectory(v);
+  }
+  if (eocd === -1) {
+    throw new Error(
+      "Wrong magic number for Zip archive, no end of central directory record found. The archive may be truncated or not a Zip file.",
+    );
+  }
+  const tailStart = fileSize - tailLength;
+  /*
+      end of central dir signature    4 bytes  (0x06054b50)
+      number of this disk             2 bytes
+      disk where central directory starts 2 bytes
+      number of central directory records on this disk 2 bytes
+      total number of central directory records 2 bytes
+      size of central directory       4 bytes
+      offset of start of central directory 4 bytes
+      comment length                  2 bytes
+  */
+  let diskNumber = v.getUint16(eocd + 4, true);
+  let centralDirectoryDisk = v.getUint16(eocd + 6, true);
+  let entriesOnDisk = v.getUint16(eocd + 8, true);
+  let entries = v.getUint16(eocd + 10, true);
+  let size = v.getUint32(eocd + 12, true);
+  let offset = v.getUint32(eocd + 16, true);
+
+  const locator = eocd - 20;
+  if (locator >= 0 && v.getUint32(locator, true) === 0x07064b50) {
     // This is a ZIP64 tilepackage
-    //bigZip64 = true;
-    entriesCentralDirectory = Number(v.getBigUint64(32, true));
-    sizeCentralDirectory = Number(v.getBigUint64(40, true));
-    offsetCentralDirectory = Number(v.getBigUint64(48, true));
+    /*
+        zip64 end of central dir locator signature 4 bytes  (0x07064b50)
+        disk with the zip64 end of central directory 4 bytes
+        offset of the zip64 end of central directory 8 bytes
+        total number of disks           4 bytes
+    */
+    const totalDisks = v.getUint32(locator + 16, true);
+    if (totalDisks > 1) {
+      throw new Error(
+        `Multi-disk Zip archives are not supported, archive spans ${totalDisks} disks`,
+      );
+    }
+    const zip64Offset = Number(v.getBigUint64(locator + 8, true));
+    if (zip64Offset + 56 > fileSize - (tailLength - locator)) {
+      throw new Error(
+        `ZIP64 end of central directory at ${zip64Offset} is outside the archive of ${fileSize} bytes, the archive may be truncated`,
+      );
+    }
+    let z = zip64Offset - tailStart;
+    let v64 = v;
+    if (z < 0) {
+      const zip64 = await source.getBytes(
+        zip64Offset,
+        56,
+        undefined,
+        resp.etag,
+      );
+      v64 = toDataView(zip64.data, 0, 56);
+      z = 0;
+    }
+    if (v64.getUint32(z, true) !== 0x06064b50) {
+      throw new Error(
+        "Wrong magic number for ZIP64 end of central directory record",
+      );
+    }
+    diskNumber = v64.getUint32(z + 16, true);
+    centralDirectoryDisk = v64.getUint32(z + 20, true);
+    entriesOnDisk = Number(v64.getBigUint64(z + 24, true));
+    entries = Number(v64.getBigUint64(z + 32, true));
+    size = Number(v64.getBigUint64(z + 40, true));
+    offset = Number(v64.getBigUint64(z + 48, true));
+  }
+
+  if (
+    diskNumber !== 0 ||
+    centralDirectoryDisk !== 0 ||
+    entriesOnDisk !== entries
+  ) {
+    throw new Error("Multi-disk Zip archives are not supported");
+  }
+  if (offset + size > fileSize) {
+    throw new Error(
+      `Central directory (${size} bytes at ${offset}) extends beyond the archive of ${fileSize} bytes, the archive is truncated`,
+    );
+  }
+  return { entries, size, offset, etag: resp.etag };
+}
+
+// Files that identify each package layout, in detection order
+const PACKAGE_LAYOUTS = {
+  vtpk: ["p12/root.json"],
+  tpkx: ["root.json", "iteminfo.json"],
+  tpk: ["v101/Layers/conf.xml"],
+};
+
+/**
+ * Decide the package type from the files in the central directory, so the URL does
+ * not need a file extension. An explicit packageType only has to match its layout.
+ */
+function detectPackageType(key, files, packageType) {
+  const hasLayout = (type) =>
+    PACKAGE_LAYOUTS[type].every((file) => files[file]);
+  if (packageType !== undefined) {
+    if (!PACKAGE_LAYOUTS[packageType]) {
+      throw new Error(
+        `Unknown packageType "${packageType}", expected one of ${Object.keys(PACKAGE_LAYOUTS).join(", ")}`,
+      );
+    }
+    if (!hasLayout(packageType)) {
+      throw new Error(
+        `${key} was opened as ${packageType} but does not contain ${PACKAGE_LAYOUTS[packageType].join(" and ")}`,
+      );
+    }
+    return packageType;
+  }
+  const detected = Object.keys(PACKAGE_LAYOUTS).find(hasLayout);
+  if (!detected) {
+    throw new Error(
+      `${key} is not a tile package, it contains neither root.json and iteminfo.json (TPKX), p12/root.json (VTPK) nor v101/Layers/conf.xml (TPK)`,
+    );
+  }
+  return detected;
+}
+
+// Where the files of each package type are found in a directory, ArcGIS Server
+// caches hold conf.xml and _alllayers at the top of the Layers folder
+const DIRECTORY_LAYOUTS = [
+  { packageType: "vtpk", prefix: "" },
+  { packageType: "tpkx", prefix: "" },
+  { packageType: "tpk", prefix: "" },
+  { packageType: "tpk", prefix: "v101/Layers/" },
+];
+
+// Optional files read for the header, probed up front since a directory can not be listed
+const DIRECTORY_FILES = {
+  vtpk: [
+    "esriinfo/iteminfo.xml",
+    "p12/metadata.json",
+    "p12/tilemap/root.json",
+    "p12/resources/styles/root.json",
+  ],
+  tpkx: [],
+  tpk: ["v101/Layers/conf.cdi", "esriinfo/iteminfo.xml"],
+};
+
+/**
+ * Create the header.files entry of a file in a directory, read through its own source.
+ */
+function directoryEntry(directory, prefix, file) {
+  const path = file.startsWith(prefix) ? file.slice(prefix.length) : file;
+  return {
+    filename: file,
+    size: undefined,
+    compressedSize: undefined,
+    compressionMethod: 0,
+    crc32: undefined,
+    relativeOffset: 0,
+    source: directory.getSource(path),
+  };
+}
+
+/**
+ * Look up the size of a directory entry, or undefined when the file does not exist.
+ */
+async function statEntry(entry) {
+  try {
+    entry.size = Number(await entry.source.getSize());
+    entry.compressedSize = entry.size;
+    return entry;
+  } catch (e) {
+    if (isMissingFile(e)) return undefined;
+    throw e;
+  }
+}
+
+/**
+ * Look up the header.files entry of a file, undefined when the package does not
+ * contain it.
+ *
+ * A directory can not be listed, so a file below its package root gets an entry on
+ * the first lookup and keeps it until a read finds it missing, see markMissing.
+ */
+export function getEntry(header, file) {
+  const files = header.files;
+  if (
+    header.directory &&
+    !Object.prototype.hasOwnProperty.call(files, file) &&
+    file.indexOf("/") !== -1
+  ) {
+    files[file] = directoryEntry(
+      header.directory.source,
+      header.directory.prefix,
+      file,
+    );
+  }
+  return files[file];
+}
+
+/**
+ * Remember that a file of a directory does not exist, so later lookups return
+ * undefined instead of requesting it again.
+ */
+export function markMissing(header, file) {
+  if (header.directory) header.files[file] = undefined;
+}
+
+/**
+ * Retrieve the header of an unzipped package or ArcGIS Server cache folder.
+ *
+ * The files read for the header are probed, bundles and resources get an entry from
+ * getEntry on first access and a missing file surfaces as a 404 or ENOENT error when
+ * read.
+ */
+async function getDirectoryHeaderAndFileList(directory, packageType) {
+  const key = directory.getKey();
+  if (packageType !== undefined && !PACKAGE_LAYOUTS[packageType]) {
+    throw new Error(
+      `Unknown packageType "${packageType}", expected one of ${Object.keys(PACKAGE_LAYOUTS).join(", ")}`,
+    );
+  }
+  const stat = (prefix, file) =>
+    statEntry(directoryEntry(directory, prefix, file));
+  const files = {};
+  let layout;
+  for (const candidate of DIRECTORY_LAYOUTS) {
+    if (packageType !== undefined && packageType !== candidate.packageType) {
+      continue;
+    }
+    const required = PACKAGE_LAYOUTS[candidate.packageType];
+    const entries = await Promise.all(
+      required.map((file) => stat(candidate.prefix, file)),
+    );
+    if (entries.every((entry) => entry)) {
+      required.forEach((file, i) => (files[file] = entries[i]));
+      layout = candidate;
+      break;
+    }
+  }
+  if (!layout) {
+    throw new Error(
+      packageType === undefined
+        ? `${key} is not a tile package directory, it contains neither root.json and iteminfo.json (TPKX), p12/root.json (VTPK) nor conf.xml or v101/Layers/conf.xml (TPK)`
+        : `${key} was opened as ${packageType} but does not contain ${PACKAGE_LAYOUTS[packageType].join(" and ")}`,
+    );
+  }
+  const optional = DIRECTORY_FILES[layout.packageType];
+  const entries = await Promise.all(
+    optional.map((file) => stat(layout.prefix, file)),
+  );
+  // Missing files keep an undefined entry so they are not probed again
+  optional.forEach((file, i) => (files[file] = entries[i]));
+
+  const root = await getRoot(layout.packageType, files, directory, undefined);
+  const header = jsonToHeader(root, files, undefined, layout.packageType);
+  header.directory = { source: directory, prefix: layout.prefix };
+  return [header, ""];
+}
+
+/**
+ * Read root.json, or conf.xml for TPK, of a package of the given type together with
+ * its item info and coverage map.
+ */
+async function getRoot(packageType, tilePackageFiles, source, etag) {
+  let root = {};
+
+  if (packageType === "tpkx") {
+    // TPKX
+    root = await getJsonFromFile("root.json", tilePackageFiles, source, etag);
+    root.type = "tpkx";
+    const iteminfo = await getJsonFromFile(
+      "iteminfo.json",
+      tilePackageFiles,
+      source,
+      etag,
+    );
+    Object.keys(iteminfo).forEach((key) => {
+      if (key !== "type") {
+        root[key] = iteminfo[key];
+      }
+    });
+  } else if (packageType === "tpk") {
+    // TPK, compact cache from ArcMap
+    root = confToJson(
+      await getTextFromFile(
+        "v101/Layers/conf.xml",
+        tilePackageFiles,
+        source,
+        etag,
+      ),
+      await getTextFromFile(
+        "v101/Layers/conf.cdi",
+        tilePackageFiles,
+        source,
+        etag,
+      ),
+    );
+    await mergeItemInfo(root, tilePackageFiles, source, etag);
+    if (!root.extent) {
+      // Unknown spatial reference and no item info, assume the whole world
+      root.extent = { xmin: -180, ymin: -85.0511, xmax: 180, ymax: 85.0511 };
+    }
   } else {
-    v = new DataView(resp.data, 98 - 22, 22);
-    if (v.getUint32(0, true) === 0x06054b50) {
-      // This is a ordinary zip archive
-      entriesCentralDirectory = Number(v.getUint16(10, true));
-      sizeCentralDirectory = Number(v.getUint32(12, true));
-      offsetCentralDirectory = Number(v.getUint32(16, true));
+    // VTPK
+    root = await getJsonFromFile(
+      "p12/root.json",
+      tilePackageFiles,
+      source,
+      etag,
+    );
+    root.type = "vtpk";
+    await mergeItemInfo(root, tilePackageFiles, source, etag);
+
+    async function calculateCoverage(z, x, y, tilemap, coverageMap) {
+      z = z + 1;
+      x = x * 2;
+      y = y * 2;
+      if (coverageMap[z] == undefined) coverageMap[z] = {};
+      if (coverageMap[z][x] == undefined) coverageMap[z][x] = {};
+      if (coverageMap[z][x + 1] == undefined) coverageMap[z][x + 1] = {};
+      coverageMap[z][x][y] = tilemap[0];
+      if (isNaN(tilemap[0])) {
+        calculateCoverage(z, x, y, tilemap[0], coverageMap);
+      }
+      coverageMap[z][x + 1][y] = tilemap[1];
+      if (isNaN(tilemap[1])) {
+        calculateCoverage(z, x + 1, y, tilemap[1], coverageMap);
+      }
+      coverageMap[z][x][y + 1] = tilemap[2];
+      if (isNaN(tilemap[2])) {
+        calculateCoverage(z, x, y + 1, tilemap[2], coverageMap);
+      }
+      coverageMap[z][x + 1][y + 1] = tilemap[3];
+      if (isNaN(tilemap[3])) {
+        calculateCoverage(z, x + 1, y + 1, tilemap[3], coverageMap);
+      }
+    }
+    // Get and calculate the tilemap
+    if (source.coverageCheck > 0 && tilePackageFiles["p12/tilemap/root.json"]) {
+      const tilemap = await getJsonFromFile(
+        "p12/tilemap/root.json",
+        tilePackageFiles,
+        source,
+        etag,
+      );
+      const coverageMap = {};
+      coverageMap[0] = {};
+      coverageMap[0][0] = {};
+      coverageMap[0][0][0] = "blob";
+      calculateCoverage(0, 0, 0, tilemap.index, coverageMap);
+      root.coverageMap = coverageMap;
     } else {
-      throw new Error("Wrong magic number for Zip archive");
+      // Coverage map unavailable (either disabled or missing tilemap/root.json)
     }
   }
 
+  return root;
+}
+
+/**
+ * Retrieve the header and root directory of a TilePackage archive.
+ *
+ * @param {Source|DirectorySource} source - The source of the TilePackage archive or directory.
+ * @param {string} [packageType] - "tpkx", "vtpk" or "tpk" to skip detection from the contents.
+ */
+export default async function getHeaderAndFileList(source, packageType) {
+  if (isDirectory(source)) {
+    return await getDirectoryHeaderAndFileList(source, packageType);
+  }
+  const key = source.getKey();
+  const fileSize = Number(await source.getSize());
+  const eocd = await getEndOfCentralDirectory(source, fileSize);
+  const entriesCentralDirectory = eocd.entries;
+  const sizeCentralDirectory = eocd.size;
+  const offsetCentralDirectory = eocd.offset;
+
   const centralDirectory = await source.getBytes(
     offsetCentralDirectory,
     sizeCentralDirectory,
+    undefined,
+    eocd.etag,
   );
 
-  v = new DataView(centralDirectory.data, 0, sizeCentralDirectory);
-  if (v.getUint32(0, true) !== 0x02014b50) {
+  const v = toDataView(centralDirectory.data, 0, sizeCentralDirectory);
+  if (sizeCentralDirectory < 46 || v.getUint32(0, true) !== 0x02014b50) {
     throw new Error("Wrong magic number for Central Directory archive");
   }
 
@@ -131,7 +698,13 @@ export default async function getHeaderAndFileList(source) {
         extra field (variable size)
         file comment (variable size)
     */
-    let sizeFile = v.getUint32(entryStart + 20, true);
+    const compressionMethod = v.getUint16(entryStart + 10, true);
+
+    const crc32 = v.getUint32(entryStart + 16, true);
+
+    let compressedSize = v.getUint32(entryStart + 20, true);
+
+    let sizeFile = v.getUint32(entryStart + 24, true);
 
     const sizeFileName = v.getUint16(entryStart + 28, true);
 
@@ -141,7 +714,7 @@ export default async function getHeaderAndFileList(source) {
 
     let relativeOffset = v.getUint32(entryStart + 42, true);
 
-    const vFilename = new DataView(
+    const vFilename = toDataView(
       centralDirectory.data,
       entryStart + 46,
       sizeFileName,
@@ -150,16 +723,23 @@ export default async function getHeaderAndFileList(source) {
     const filename = decoder.decode(vFilename);
 
     if (
-      (sizeFile == 0xffffffff || relativeOffset == 0xffffffff) &&
+      (sizeFile == 0xffffffff ||
+        compressedSize == 0xffffffff ||
+        relativeOffset == 0xffffffff) &&
       sizeExtraField > 0
     ) {
-      const vExtended = new DataView(
+      const vExtended = toDataView(
         centralDirectory.data,
         entryStart + 46 + sizeFileName,
-        32,
+        sizeExtraField,
       );
-      if (vExtended.getUint16(0, true) == 0x0001) {
-        /*
+      // The extra field is a list of blocks, find the ZIP64 block
+      let extraStart = 0;
+      while (extraStart + 4 <= sizeExtraField) {
+        const tag = vExtended.getUint16(extraStart, true);
+        const size = vExtended.getUint16(extraStart + 2, true);
+        if (tag == 0x0001) {
+          /*
         Value      Size       Description
         -----      ----       -----------
 (ZIP64) 0x0001     2 bytes    Tag for this "extra" block type
@@ -173,116 +753,40 @@ export default async function getHeaderAndFileList(source) {
         Disk Start
         Number     4 bytes    Number of the disk on which
                               this file starts
-      */
 
-        let j = 0;
-        if (sizeFile == 0xffffffff) {
-          sizeFile = Number(vExtended.getBigUint64(4, true));
-          j += 8;
-        }
-        if (relativeOffset == 0xffffffff) {
-          relativeOffset = Number(vExtended.getBigUint64(4 + j, true));
+        Each value is only present when the central directory field is 0xffffffff.
+      */
+          let j = extraStart + 4;
+          if (sizeFile == 0xffffffff) {
+            sizeFile = Number(vExtended.getBigUint64(j, true));
+            j += 8;
+          }
+          if (compressedSize == 0xffffffff) {
+            compressedSize = Number(vExtended.getBigUint64(j, true));
+            j += 8;
+          }
+          if (relativeOffset == 0xffffffff) {
+            relativeOffset = Number(vExtended.getBigUint64(j, true));
+          }
+          break;
         }
+        extraStart += 4 + size;
       }
     }
 
     tilePackageFiles[filename] = {
       filename: filename,
       size: sizeFile,
+      compressedSize: compressedSize,
+      compressionMethod: compressionMethod,
+      crc32: crc32,
       relativeOffset: relativeOffset,
-      absoluteOffset: relativeOffset + 30 + filename.length,
     };
     entryStart += 46 + sizeFileName + sizeExtraField + sizeComment;
   }
 
-  let root = {};
-
-  if (key.indexOf(".tpkx") !== -1) {
-    // TPKX
-    root = await getJsonFromFile("root.json", tilePackageFiles, source);
-    root.type = "tpkx";
-    const iteminfo = await getJsonFromFile(
-      "iteminfo.json",
-      tilePackageFiles,
-      source,
-    );
-    Object.keys(iteminfo).forEach((key) => {
-      if (key !== "type") {
-        root[key] = iteminfo[key];
-      }
-    });
-  } else {
-    // VTPK
-    root = await getJsonFromFile("p12/root.json", tilePackageFiles, source);
-    root.type = "vtpk";
-
-    const iteminfoFile = "esriinfo/iteminfo.xml";
-    if (tilePackageFiles[iteminfoFile]) {
-      const iteminfoOffset = tilePackageFiles[iteminfoFile].absoluteOffset;
-
-      const iteminfoData = await source.getBytes(
-        iteminfoOffset,
-        tilePackageFiles[iteminfoFile].size,
-      );
-      const decoder = new TextDecoder("utf-8");
-      const iteminfoString = decoder.decode(iteminfoData.data);
-      const iteminfo = xmlToJson(iteminfoString);
-      Object.keys(iteminfo.ESRI_ItemInformation).forEach((key) => {
-        if (key !== "type") {
-          root[key] = iteminfo.ESRI_ItemInformation[key];
-        }
-      });
-    }
-
-    if (tilePackageFiles["p12/metadata.json"]) {
-      const metadataOffset =
-        tilePackageFiles["p12/metadata.json"].absoluteOffset;
-      root.metadataOffset = metadataOffset;
-      root.metadataLength = tilePackageFiles["p12/metadata.json"].size;
-    }
-
-    async function calculateCoverage(z, x, y, tilemap, coverageMap) {
-      z = z + 1;
-      x = x * 2;
-      y = y * 2;
-      if (coverageMap[z] == undefined) coverageMap[z] = {};
-      if (coverageMap[z][x] == undefined) coverageMap[z][x] = {};
-      if (coverageMap[z][x + 1] == undefined) coverageMap[z][x + 1] = {};
-      coverageMap[z][x][y] = tilemap[0];
-      if (isNaN(tilemap[0])) {
-        calculateCoverage(z, x, y, tilemap[0], coverageMap);
-      }
-      coverageMap[z][x + 1][y] = tilemap[1];
-      if (isNaN(tilemap[1])) {
-        calculateCoverage(z, x + 1, y, tilemap[1], coverageMap);
-      }
-      coverageMap[z][x][y + 1] = tilemap[2];
-      if (isNaN(tilemap[2])) {
-        calculateCoverage(z, x, y + 1, tilemap[2], coverageMap);
-      }
-      coverageMap[z][x + 1][y + 1] = tilemap[3];
-      if (isNaN(tilemap[3])) {
-        calculateCoverage(z, x + 1, y + 1, tilemap[3], coverageMap);
-      }
-    }
-    // Get and calculate the tilemap
-    if (source.coverageCheck > 0 && tilePackageFiles["p12/tilemap/root.json"]) {
-      const tilemap = await getJsonFromFile(
-        "p12/tilemap/root.json",
-        tilePackageFiles,
-        source,
-      );
-      const coverageMap = {};
-      coverageMap[0] = {};
-      coverageMap[0][0] = {};
-      coverageMap[0][0][0] = "blob";
-      calculateCoverage(0, 0, 0, tilemap.index, coverageMap);
-      root.coverageMap = coverageMap;
-    } else {
-      // Coverage map unavailable (either disabled or missing tilemap/root.json)
-    }
-  }
-
-  const header = jsonToHeader(root, tilePackageFiles, resp.etag);
+  const detected = detectPackageType(key, tilePackageFiles, packageType);
+  const root = await getRoot(detected, tilePackageFiles, source, eocd.etag);
+  const header = jsonToHeader(root, tilePackageFiles, eocd.etag, detected);
   return [header, ""];
 }
@@ -1,10 +1,18 @@
-export default async function getJsonFromFile(file, tilePackageFiles, source) {
+import readEntry from "./read-entry.js";
+
+export default async function getJsonFromFile(
+  file,
+  tilePackageFiles,
+  source,
+  etag,
+) {
   const decoder = new TextDecoder("utf-8");
   if (tilePackageFiles[file]) {
-    const fileOffset = tilePackageFiles[file].absoluteOffset;
-    const fileJSON = await source.getBytes(
-      fileOffset,
-      tilePackageFiles[file].size,
+    const fileJSON = await readEntry(
+      source,
+      tilePackageFiles[file],
+      undefined,
+      etag,
     );
     return JSON.parse(decoder.decode(fileJSON.data));
   }
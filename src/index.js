@@ -1,10 +1,30 @@
 export * from "./maplibre-gl-js-protocol.js";
 export * from "./source.js";
-import { FetchSource } from "./source.js";
+export * from "./directory-source.js";
+export * from "./block-cache-source.js";
+export * from "./block-stores.js";
+export * from "./package-downloader.js";
+import { FetchSource, EtagMismatch } from "./source.js";
+import {
+  FetchDirectorySource,
+  isDirectory,
+  isMissingFile,
+} from "./directory-source.js";
 import subdivideVectorTile from "./tilecutter/subdivide.js";
 import defaultDecompress from "./default-decompress.js";
 import getJsonFromFile from "./get-json-from-file.js";
+import { getEntry, markMissing } from "./get-header-and-filelist.js";
 import SharedPromiseCache from "./shared-promise-cache.js";
+export { SharedPromiseCache };
+import toDataView from "./to-data-view.js";
+import verifyPackage from "./verify-package.js";
+import prefetchPackage from "./prefetch.js";
+import TileIterator from "./tile-iterator.js";
+import exportPmtiles from "./pmtiles-export.js";
+export { BlobTarget, zxyToTileId } from "./pmtiles-export.js";
+import calculateFilename from "./calculate-filename.js";
+import { zoomToLevel, assertCompatible } from "./tile-matrix-set.js";
+import reprojectTile, { getReprojectedZoomRange } from "./reproject.js";
 
 /**
  * Escape literal newlines in JSON text.
@@ -16,31 +36,36 @@ function escapeJsonNewlines(text) {
   return text.replace(/\r\n/g, "\\n").replace(/[\r\n]/g, "\\n");
 }
 
-function calculateFilename(z, x, y, header) {
-  const zoom = z.toString().padStart(2, "0");
-  const baseRow = Math.floor(y / 128) * 128;
-  const baseCol = Math.floor(x / 128) * 128;
-  const rowHex = baseRow.toString(16).padStart(4, "0");
-  const colHex = baseCol.toString(16).padStart(4, "0");
-  const basePath = header.type === "tpkx" ? "tile" : "p12/tile";
-  return `${basePath}/L${zoom}/R${rowHex}C${colHex}.bundle`;
-}
+// Options passed on to the FetchSource created for URL sources
+const FETCH_SOURCE_OPTIONS = [
+  "batchRequests",
+  "timeout",
+  "maxRetries",
+  "retryDelay",
+  "maxRetryDelay",
+  "transformRequest",
+];
 
-function getTileInfoFromTileIndex(tileIndex, z, x, y) {
-  const row = y % 128;
-  const col = x % 128;
-  return tileIndex[row][col];
-}
+// Numbers telling the decompress and decodeImage functions of packages apart
+const functionIds = new WeakMap();
+let functionCount = 0;
 
-class EtagMismatch extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "EtagMismatch";
-  }
+function functionId(fn) {
+  if (!fn) return "";
+  if (!functionIds.has(fn)) functionIds.set(fn, ++functionCount);
+  return functionIds.get(fn);
 }
 
-export class TilePackage {
+/**
+ * A TilePackage archive read from a {@link Source} or URL.
+ *
+ * When the archive changes on the server, the header and central directory are read
+ * again, the failed request is retried and an "archivechanged" event is dispatched
+ * with detail { key, previousEtag, etag } so the application can reload its style.
+ */
+export class TilePackage extends EventTarget {
   constructor(source, options) {
+    super();
     // Default coverageCheck enabled; disable with coverageCheck:false
     this.coverageCheck = 1;
     if (options && options.coverageCheck === false) this.coverageCheck = 0;
@@ -48,10 +73,18 @@ export class TilePackage {
     this.maxDz =
       options && typeof options.maxDz === "number" ? options.maxDz : 8;
     if (typeof source === "string") {
-      const opts = this.coverageCheck
-        ? { coverageCheck: this.coverageCheck }
-        : undefined;
-      this.source = new FetchSource(source, opts);
+      const opts = {};
+      if (this.coverageCheck) opts.coverageCheck = this.coverageCheck;
+      if (options) {
+        FETCH_SOURCE_OPTIONS.forEach((name) => {
+          if (options[name] !== undefined) opts[name] = options[name];
+        });
+      }
+      // An unzipped package or ArcGIS Server cache folder on a web server
+      this.source =
+        options && options.directory
+          ? new FetchDirectorySource(source, opts)
+          : new FetchSource(source, opts);
     } else {
       this.source = source;
       // Propagate default coverageCheck to existing Source instances if undefined
@@ -59,41 +92,212 @@ export class TilePackage {
         this.source.coverageCheck = this.coverageCheck;
       }
     }
+    // Skip detection from the archive contents, "tpkx", "vtpk" or "tpk"
+    this.packageType = options ? options.packageType || undefined : undefined;
+    // Reproject raster packages MapLibre can not display to Web Mercator
+    this.reproject = options ? options.reproject || false : false;
+    this.reprojectTileSize =
+      options && options.reprojectTileSize ? options.reprojectTileSize : 256;
+    this.decodeImage = options ? options.decodeImage : undefined;
+    // Read single tile index records ("sparse"), whole indexes ("full") or both
+    this.tileIndexMode =
+      options && options.tileIndexMode ? options.tileIndexMode : "auto";
+    if (["auto", "sparse", "full"].indexOf(this.tileIndexMode) === -1) {
+      throw new Error(
+        `Unknown tileIndexMode "${this.tileIndexMode}", expected "auto", "sparse" or "full"`,
+      );
+    }
     this.decompress =
       options && options.decompress ? options.decompress : defaultDecompress;
+    // Share one SharedPromiseCache between packages to share its byte budgets
     this.cache =
       options && options.cache ? options.cache : new SharedPromiseCache();
   }
 
   async getHeader() {
-    return await this.cache.getHeader(this.source);
+    return await this.cache.getHeader(this.source, this.packageType);
   }
 
-  async getZxyAttempt(z, x, y, signal) {
-    const header = await this.cache.getHeader(this.source);
-    if (z < header.minZoom || z > header.maxZoom) return undefined;
-    const file = calculateFilename(z, x, y, header);
-    let tileInfo = null;
-    if (header.files[file]) {
-      const tileIndex = await this.cache.getTileIndex(
+  /**
+   * Re-read the header after an EtagMismatch, once per change even when many
+   * requests fail at the same time.
+   */
+  async archiveChanged(mismatch) {
+    if (!this.reloading) {
+      const header = await this.cache
+        .getHeader(this.source, this.packageType)
+        .catch(() => null);
+      if (header && mismatch.etag && header.etag !== mismatch.etag) {
+        // Already reloaded by an earlier request
+        return;
+      }
+    }
+    if (!this.reloading) {
+      this.reloading = this.cache
+        .invalidate(this.source, this.packageType)
+        .then(() => this.cache.getHeader(this.source, this.packageType))
+        .then((newHeader) => {
+          // A plain Event, CustomEvent is missing from Node.js 18
+          const event = new Event("archivechanged");
+          event.detail = {
+            key: this.source.getKey(),
+            previousEtag: mismatch.etag,
+            etag: newHeader.etag,
+          };
+          this.dispatchEvent(event);
+        })
+        .finally(() => {
+          this.reloading = undefined;
+        });
+    }
+    return await this.reloading;
+  }
+
+  /**
+   * Read the tile at col, row of a level of detail, or undefined when the package has no such tile.
+   */
+  async getLevelTile(header, level, col, row, signal) {
+    const file = calculateFilename(level, col, row, header);
+    const entry = getEntry(header, file);
+    if (!entry) return undefined;
+    let tileInfo;
+    try {
+      tileInfo = await this.cache.getTileRecord(
         this.source,
         file,
         header,
+        row % 128,
+        col % 128,
         signal,
+        this.tileIndexMode,
       );
-      tileInfo = getTileInfoFromTileIndex(tileIndex, z, x, y);
-      if (tileInfo && tileInfo.tileSize > 0) {
-        const tileOffset =
-          header.files[file].absoluteOffset + tileInfo.tileOffset;
-        const resp = await this.source.getBytes(
-          tileOffset,
-          tileInfo.tileSize,
-          signal,
-          header.etag,
-        );
-        const data = await this.decompress(resp.data, header.tileCompression);
-        return { data, cacheControl: resp.cacheControl, expires: resp.expires };
+    } catch (e) {
+      // Bundles of a directory are not listed, a missing one has no tiles
+      if (entry.source && isMissingFile(e)) {
+        markMissing(header, file);
+        return undefined;
       }
+      throw e;
+    }
+    if (!tileInfo) return undefined;
+    const dataOffset = await this.cache.getDataOffset(
+      this.source,
+      file,
+      header,
+      signal,
+    );
+    const tileSource = entry.source || this.source;
+    if (tileInfo.tileSize === undefined) {
+      // Compact cache V1 stores the tile size in front of the tile
+      const resp = await tileSource.getBytes(
+        dataOffset + tileInfo.tileOffset - 4,
+        4,
+        signal,
+        header.etag,
+      );
+      tileInfo = Object.assign({}, tileInfo, {
+        tileSize: toDataView(resp.data, 0, 4).getUint32(0, true),
+      });
+    }
+    if (tileInfo.tileSize === 0) return undefined;
+    const tileOffset = dataOffset + tileInfo.tileOffset;
+    const resp = await tileSource.getBytes(
+      tileOffset,
+      tileInfo.tileSize,
+      signal,
+      header.etag,
+    );
+    const data = await this.decompress(resp.data, header.tileCompression);
+    return { data, cacheControl: resp.cacheControl, expires: resp.expires };
+  }
+
+  /**
+   * Build a Web Mercator tile from a raster package in another spatial reference.
+   */
+  async getReprojectedTile(header, z, x, y, signal) {
+    const range = getReprojectedZoomRange(
+      header.tileMatrixSet,
+      this.reprojectTileSize,
+    );
+    if (z < range.minZoom || z > range.maxZoom) return undefined;
+    const data = await reprojectTile(z, x, y, {
+      tileMatrixSet: header.tileMatrixSet,
+      tileSize: this.reprojectTileSize,
+      decodeImage: this.decodeImage,
+      getTile: (level, col, row) =>
+        this.getLevelTile(header, level, col, row, signal).then((tile) =>
+          tile ? tile.data : undefined,
+        ),
+    });
+    return data ? { data: data.buffer } : undefined;
+  }
+
+  /**
+   * The XYZ zoom range of the tiles served, for reprojected packages estimated from
+   * the scales of the source levels.
+   */
+  getZoomRange(header) {
+    if (this.isReprojected(header)) {
+      return getReprojectedZoomRange(
+        header.tileMatrixSet,
+        this.reprojectTileSize,
+      );
+    }
+    return { minZoom: header.minZoom, maxZoom: header.maxZoom };
+  }
+
+  /**
+   * Whether tiles of this package are reprojected to Web Mercator.
+   */
+  isReprojected(header) {
+    return (
+      this.reproject &&
+      !header.tileMatrixSet.compatible &&
+      header.packageType !== "vtpk"
+    );
+  }
+
+  /**
+   * The options the tiles of this package depend on, part of their key in the tile
+   * cache.
+   */
+  getTileVariant(header) {
+    const variant = [functionId(this.decompress)];
+    if (this.isReprojected(header)) {
+      variant.push(
+        `reproject-${this.reprojectTileSize}`,
+        functionId(this.decodeImage),
+      );
+    }
+    return variant.join(",");
+  }
+
+  async getZxyAttempt(z, x, y, signal) {
+    const header = await this.cache.getHeader(this.source, this.packageType);
+    return await this.cache.getTile(
+      this.source,
+      header,
+      z,
+      x,
+      y,
+      this.getTileVariant(header),
+      (sharedSignal) => this.loadZxy(header, z, x, y, sharedSignal),
+      signal,
+    );
+  }
+
+  /**
+   * Read, reproject or synthesize the tile at z, x, y.
+   */
+  async loadZxy(header, z, x, y, signal) {
+    if (this.isReprojected(header)) {
+      return await this.getReprojectedTile(header, z, x, y, signal);
+    }
+    if (z < header.minZoom || z > header.maxZoom) return undefined;
+    const level = zoomToLevel(header.tileMatrixSet, z);
+    if (level !== undefined) {
+      const tile = await this.getLevelTile(header, level, x, y, signal);
+      if (tile) return tile;
     }
     if (header.packageType === "vtpk" && header.coverageMap) {
       // Ascend to find parent with value 1
@@ -170,7 +374,7 @@ export class TilePackage {
       return await this.getZxyAttempt(z, x, y, signal);
     } catch (e) {
       if (e instanceof EtagMismatch) {
-        this.cache.invalidate(this.source);
+        await this.archiveChanged(e);
         return await this.getZxyAttempt(z, x, y, signal);
       }
       throw e;
@@ -178,14 +382,13 @@ export class TilePackage {
   }
 
   async getMetadataAttempt() {
-    const header = await this.cache.getHeader(this.source);
+    const header = await this.cache.getHeader(this.source, this.packageType);
     let metadata = {};
-    if (header.packageType === "vtpk") {
-      const resp = await this.source.getBytes(
-        header.metadataOffset,
-        header.metadataLength,
-        undefined,
-        header.etag,
+    if (header.packageType === "vtpk" && header.files["p12/metadata.json"]) {
+      const resp = await this.cache.getResource(
+        this.source,
+        "p12/metadata.json",
+        header,
       );
       const decoder = new TextDecoder("utf-8");
       const jsonText = decoder.decode(resp.data);
@@ -202,7 +405,7 @@ export class TilePackage {
       return await this.getMetadataAttempt();
     } catch (e) {
       if (e instanceof EtagMismatch) {
-        this.cache.invalidate(this.source);
+        await this.archiveChanged(e);
         return await this.getMetadataAttempt();
       }
       throw e;
@@ -210,14 +413,24 @@ export class TilePackage {
   }
 
   async getResourceAttempt(file, signal) {
-    const header = await this.cache.getHeader(this.source);
-    if (!header.files[file]) return undefined;
-    const resource = await this.cache.getResource(
-      this.source,
-      file,
-      header,
-      signal,
-    );
+    const header = await this.cache.getHeader(this.source, this.packageType);
+    const entry = getEntry(header, file);
+    if (!entry) return undefined;
+    let resource;
+    try {
+      resource = await this.cache.getResource(
+        this.source,
+        file,
+        header,
+        signal,
+      );
+    } catch (e) {
+      if (entry.source && isMissingFile(e)) {
+        markMissing(header, file);
+        return undefined;
+      }
+      throw e;
+    }
     return {
       data: resource.data,
       cacheControl: resource.cacheControl,
@@ -230,7 +443,7 @@ export class TilePackage {
       return await this.getResourceAttempt(file, signal);
     } catch (e) {
       if (e instanceof EtagMismatch) {
-        this.cache.invalidate(this.source);
+        await this.archiveChanged(e);
         return await this.getResourceAttempt(file, signal);
       }
       throw e;
@@ -238,18 +451,40 @@ export class TilePackage {
   }
 
   async getStyleAttempt() {
-    const header = await this.cache.getHeader(this.source);
+    const header = await this.cache.getHeader(this.source, this.packageType);
+    if (this.isReprojected(header)) {
+      const range = getReprojectedZoomRange(
+        header.tileMatrixSet,
+        this.reprojectTileSize,
+      );
+      return {
+        version: 8,
+        sources: {
+          esri: {
+            type: "raster",
+            tileSize: this.reprojectTileSize,
+            tiles: [`tilepackage://${this.source.getKey()}/{z}/{x}/{y}`],
+            maxzoom: range.maxZoom,
+            minzoom: range.minZoom,
+          },
+        },
+        layers: [{ id: "tilepackageraster", type: "raster", source: "esri" }],
+      };
+    }
+    assertCompatible(header.tileMatrixSet);
     const sourceKey = this.source.getKey();
     if (header.packageType === "vtpk") {
       const metadata = await getJsonFromFile(
         "p12/root.json",
         header.files,
         this.source,
+        header.etag,
       );
       const style = await getJsonFromFile(
         "p12/resources/styles/root.json",
         header.files,
         this.source,
+        header.etag,
       );
       if (style.sources && style.sources.esri) {
         delete style.sources.esri.url;
@@ -301,13 +536,124 @@ export class TilePackage {
       return await this.getStyleAttempt();
     } catch (e) {
       if (e instanceof EtagMismatch) {
-        this.cache.invalidate(this.source);
+        await this.archiveChanged(e);
         return await this.getStyleAttempt();
       }
       throw e;
     }
   }
 
+  /**
+   * Check the integrity of the archive: entry bounds, CRC-32 of resources and the
+   * header and tile index of every bundle.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - Called with { file, checked, total } after each entry.
+   * @param {boolean} [options.bundleCrc=false] - Also check the CRC-32 of bundles, which reads the whole archive.
+   * @returns {Promise<object>} Report { key, etag, size, valid, total, checked, resources, bundles, tiles, errors }.
+   */
+  async verify(options) {
+    if (isDirectory(this.source)) {
+      throw new Error(
+        `${this.source.getKey()} is a directory, only packaged archives can be verified`,
+      );
+    }
+    const verifyOptions = () =>
+      Object.assign({}, options, { header: this.getHeader() });
+    try {
+      return await verifyPackage(this.source, verifyOptions());
+    } catch (e) {
+      if (e instanceof EtagMismatch) {
+        await this.archiveChanged(e);
+        return await verifyPackage(this.source, verifyOptions());
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Load the tiles of a region and the sprites and fonts of the style ahead of use,
+   * for responsive maps or, with a persistent block cache, offline use. Tiles missing
+   * from the bundle indexes or the coverage map are skipped.
+   *
+   * @param {object} [options]
+   * @param {number[]} [options.bbox] - [west, south, east, north] in degrees, defaults to the package bounds.
+   * @param {number} [options.minZoom]
+   * @param {number} [options.maxZoom]
+   * @param {number} [options.concurrency=4]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - Called with { loaded, total, tiles, skipped, failed, resources, bundles }.
+   * @returns {Promise<object>} Counts { tiles, skipped, failed, resources, bundles }.
+   */
+  async prefetch(options) {
+    try {
+      return await prefetchPackage(this, options);
+    } catch (e) {
+      if (e instanceof EtagMismatch) {
+        await this.archiveChanged(e);
+        return await prefetchPackage(this, options);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Iterate over the tiles stored in the bundles of the package, without requesting
+   * tiles that are not in the bundle indexes. Each value is
+   * { z, x, y, level, offset, size, file, getData(signal) }, getData reads the tile.
+   *
+   * @example
+   * for await (const tile of pkg.tiles({ maxZoom: 4 })) {
+   *   console.log(tile.z, tile.x, tile.y, tile.size);
+   * }
+   *
+   * @param {object} [options]
+   * @param {number} [options.minZoom]
+   * @param {number} [options.maxZoom]
+   * @param {number[]} [options.bbox] - [west, south, east, north] in degrees.
+   * @param {AbortSignal} [options.signal]
+   * @returns {TileIterator} Async iterator, use with for await. When the archive
+   * changes, the iterator dispatches archivechanged and throws the EtagMismatch,
+   * start a new iteration to read the new archive.
+   */
+  tiles(options) {
+    return new TileIterator(this, options);
+  }
+
+  /**
+   * Export the stored tiles to a PMTiles v3 archive with the package metadata and
+   * style, to a BlobTarget in the browser or a NodeFileTarget in Node.js.
+   *
+   * @param {object} target - Receives the archive, see pmtiles-export.js.
+   * @param {object} [options]
+   * @param {number} [options.minZoom]
+   * @param {number} [options.maxZoom]
+   * @param {number[]} [options.bbox] - [west, south, east, north] in degrees.
+   * @param {boolean} [options.style=true] - Include the style in the metadata.
+   * @param {number} [options.concurrency=4]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - Called with { written, tileContents }.
+   * @returns {Promise<object>} Counts { addressedTiles, tileEntries, tileContents, size }.
+   */
+  async exportPmtiles(target, options) {
+    if (isDirectory(this.source)) {
+      throw new Error(
+        `${this.source.getKey()} is a directory, only packaged archives can be exported`,
+      );
+    }
+    try {
+      return await exportPmtiles(this, target, options);
+    } catch (e) {
+      if (e instanceof EtagMismatch) {
+        // The target was aborted, export the new archive from the start
+        await this.archiveChanged(e);
+        return await exportPmtiles(this, target, options);
+      }
+      throw e;
+    }
+  }
+
   async getTileJson(baseTilesUrl) {
     const header = await this.getHeader();
     const metadata = await this.getMetadata();
@@ -323,8 +669,9 @@ export class TilePackage {
     if (metadata.vector_layers) tileJson.vector_layers = metadata.vector_layers;
     if (metadata.attribution) tileJson.attribution = metadata.attribution;
     if (metadata.description) tileJson.description = metadata.description;
-    if (header.minZoom) tileJson.minzoom = header.minZoom;
-    if (header.maxZoom) tileJson.maxzoom = header.maxZoom;
+    const range = this.getZoomRange(header);
+    if (range.minZoom) tileJson.minzoom = range.minZoom;
+    if (range.maxZoom) tileJson.maxzoom = range.maxZoom;
     return tileJson;
   }
 }
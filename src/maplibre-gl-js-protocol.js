@@ -45,6 +45,9 @@ export class Protocol {
    * * errorOnMissingTile: When a vector MVT tile is missing from the archive, raise an error instead of
    * returning the empty array. Not recommended. This is only to reproduce the behavior of ZXY tile APIs
    * which some applications depend on when overzooming.
+   *
+   * Packages created for remote URLs receive the same options, so {@link TilePackage} and
+   * {@link FetchSource} options like batchRequests, timeout and maxRetries can be set here.
    */
   constructor(options) {
     this.tiles = new Map();
@@ -53,6 +56,7 @@ export class Protocol {
       ? options.errorOnMissingTile || false
       : false;
     this.debug = options ? options.debug || false : false;
+    this.packageOptions = options;
     this.getData = async (params, abortController) => {
       if (params.type === "json") {
         let tilePackageUrl = params.url.substr(14); // TODO fix this to be more robust
@@ -72,11 +76,7 @@ export class Protocol {
           }
         }
 
-        let instance = this.tiles.get(tilePackageUrl);
-        if (!instance) {
-          instance = new TilePackage(tilePackageUrl);
-          this.tiles.set(tilePackageUrl, instance);
-        }
+        const instance = this.getInstance(tilePackageUrl);
 
         if (spriteCheck) {
           // This is a request for a sprite json
@@ -104,10 +104,11 @@ export class Protocol {
           );
         }
 
+        const range = instance.getZoomRange(h);
         const synthesized = {
           tiles: [`${params.url}/{z}/{x}/{y}`],
-          minzoom: h.minZoom,
-          maxzoom: h.maxZoom,
+          minzoom: range.minZoom,
+          maxzoom: range.maxZoom,
           bounds: [h.minLon, h.minLat, h.maxLon, h.maxLat],
         };
         if (this.debug)
@@ -134,11 +135,7 @@ export class Protocol {
           if (spriteCheck == "/sprite") {
             spriteCheck = "/sprite.png";
           }
-          let instance = this.tiles.get(tilePackageUrl);
-          if (!instance) {
-            instance = new TilePackage(tilePackageUrl);
-            this.tiles.set(tilePackageUrl, instance);
-          }
+          const instance = this.getInstance(tilePackageUrl);
           const file = `p12/resources/sprites${spriteCheck}`;
           const resp = await instance.getResource(file, abortController.signal);
           if (resp) {
@@ -154,11 +151,7 @@ export class Protocol {
           result = params.url.match(re);
           if (result && isNaN(result[2])) {
             const tilePackageUrl = result[1];
-            let instance = this.tiles.get(tilePackageUrl);
-            if (!instance) {
-              instance = new TilePackage(tilePackageUrl);
-              this.tiles.set(tilePackageUrl, instance);
-            }
+            const instance = this.getInstance(tilePackageUrl);
             const file = `p12/resources/fonts/${result[2]}/${result[3]}.pbf`;
             const resp = await instance.getResource(
               file,
@@ -190,11 +183,7 @@ export class Protocol {
       }
       const tilePackageUrl = result[1];
 
-      let instance = this.tiles.get(tilePackageUrl);
-      if (!instance) {
-        instance = new TilePackage(tilePackageUrl);
-        this.tiles.set(tilePackageUrl, instance);
-      }
+      const instance = this.getInstance(tilePackageUrl);
       const z = result[2];
       const x = result[3];
       const y = result[4];
@@ -246,6 +235,18 @@ export class Protocol {
       console.debug("[tilepackage] add instance", p.source.getKey());
   }
 
+  /**
+   * Get the {@link TilePackage} instance for a URL, creating it on first use.
+   */
+  getInstance(url) {
+    let instance = this.tiles.get(url);
+    if (!instance) {
+      instance = new TilePackage(url, this.packageOptions);
+      this.tiles.set(url, instance);
+    }
+    return instance;
+  }
+
   /**
    * Fetch a {@link TilePackage} instance by URL, for remote TilePackage instances.
    */
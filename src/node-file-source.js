@@ -0,0 +1,174 @@
+import { open, unlink } from "node:fs/promises";
+import { join } from "node:path";
+import { Source } from "./source.js";
+import { DirectorySource } from "./directory-source.js";
+
+/**
+ * Use the NodeJS file system API to read an archive from local disk.
+ *
+ * The file handle is opened once on first use and reused for every read,
+ * call close() when the archive is no longer needed.
+ */
+export class NodeFileSource extends Source {
+  constructor(path, options) {
+    super();
+    this.path = path;
+    this.handle = undefined;
+    this.opening = undefined;
+    if (options && options.coverageCheck) {
+      this.coverageCheck = options.coverageCheck;
+    }
+  }
+
+  getKey() {
+    return this.path;
+  }
+
+  async open() {
+    if (this.handle) return this.handle;
+    if (!this.opening) {
+      this.opening = open(this.path, "r")
+        .then((handle) => {
+          this.handle = handle;
+          return handle;
+        })
+        .finally(() => {
+          this.opening = undefined;
+        });
+    }
+    return await this.opening;
+  }
+
+  async close() {
+    if (this.opening) {
+      await this.opening.catch(() => undefined);
+    }
+    const handle = this.handle;
+    this.handle = undefined;
+    this.size = undefined;
+    if (handle) {
+      await handle.close();
+    }
+  }
+
+  async getSize() {
+    if (this.size) return this.size;
+    const handle = await this.open();
+    const stats = await handle.stat();
+    this.size = stats.size;
+    return this.size;
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async getBytes(offset, length, passedSignal, etag) {
+    if (passedSignal && passedSignal.aborted) {
+      throw new DOMException("The operation was aborted.", "AbortError");
+    }
+    const handle = await this.open();
+    const bytes = new Uint8Array(length);
+    let bytesRead = 0;
+    while (bytesRead < length) {
+      const result = await handle.read(
+        bytes,
+        bytesRead,
+        length - bytesRead,
+        offset + bytesRead,
+      );
+      if (result.bytesRead === 0) break;
+      bytesRead += result.bytesRead;
+    }
+    if (bytesRead < length) {
+      throw new Error(
+        `Unexpected end of file ${this.path}: requested ${length} bytes at offset ${offset}, got ${bytesRead}`,
+      );
+    }
+    return { data: bytes.buffer };
+  }
+}
+
+/**
+ * Read an unzipped package or ArcGIS Server cache folder from local disk, one
+ * {@link NodeFileSource} per file.
+ *
+ * Files are opened on first read, call close() to release all file handles.
+ */
+export class NodeDirectorySource extends DirectorySource {
+  constructor(path, options) {
+    super();
+    this.path = path;
+    this.sources = new Map();
+    if (options && options.coverageCheck) {
+      this.coverageCheck = options.coverageCheck;
+    }
+  }
+
+  getKey() {
+    return this.path;
+  }
+
+  getSource(path) {
+    if (!this.sources.has(path)) {
+      this.sources.set(path, new NodeFileSource(join(this.path, path)));
+    }
+    return this.sources.get(path);
+  }
+
+  async close() {
+    const sources = Array.from(this.sources.values());
+    this.sources.clear();
+    await Promise.all(sources.map((source) => source.close()));
+  }
+}
+
+/**
+ * Write an exported archive to local disk. Tile data goes to a temporary file next
+ * to path, which is copied after the leading parts on finish and then removed.
+ */
+export class NodeFileTarget {
+  constructor(path) {
+    this.path = path;
+    this.tempPath = `${path}.tiles.tmp`;
+    this.handle = undefined;
+    this.length = 0;
+  }
+
+  async write(data) {
+    if (!this.handle) this.handle = await open(this.tempPath, "w+");
+    await this.handle.write(data);
+    this.length += data.byteLength;
+  }
+
+  async finish(parts) {
+    const out = await open(this.path, "w");
+    try {
+      for (const part of parts) await out.write(part);
+      const chunk = new Uint8Array(1 << 20);
+      let offset = 0;
+      while (offset < this.length) {
+        const result = await this.handle.read(
+          chunk,
+          0,
+          Math.min(chunk.length, this.length - offset),
+          offset,
+        );
+        if (result.bytesRead === 0) break;
+        await out.write(chunk, 0, result.bytesRead);
+        offset += result.bytesRead;
+      }
+    } finally {
+      await out.close();
+      await this.abort();
+    }
+    return this.path;
+  }
+
+  async abort() {
+    const handle = this.handle;
+    this.handle = undefined;
+    this.length = 0;
+    if (handle) {
+      await handle.close();
+      await unlink(this.tempPath);
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import { Source, FetchSource, EtagMismatch } from "./source.js";
+import {
+  IndexedDBBlockStore,
+  BLOCK_CACHE_STORE,
+  DOWNLOAD_STORE,
+} from "./block-stores.js";
+
+function encodeState(state) {
+  return new TextEncoder().encode(JSON.stringify(state)).buffer;
+}
+
+function decodeState(data) {
+  return data ? JSON.parse(new TextDecoder("utf-8").decode(data)) : undefined;
+}
+
+// A plain Event with detail, CustomEvent is missing from Node.js 18
+function detailEvent(type, detail) {
+  const event = new Event(type);
+  event.detail = detail;
+  return event;
+}
+
+/**
+ * Serve a package downloaded by PackageDownloader from its block store.
+ *
+ * The key is the URL the package was downloaded from, so styles and Protocol
+ * instances keep resolving to the same package.
+ */
+export class StoredPackageSource extends Source {
+  constructor(store, state, options) {
+    super();
+    this.store = store;
+    this.state = state;
+    // Chunk index -> ArrayBuffer, least recently used first
+    this.chunks = new Map();
+    this.maxChunks = options && options.maxChunks > 0 ? options.maxChunks : 8;
+    if (options && options.coverageCheck) {
+      this.coverageCheck = options.coverageCheck;
+    }
+  }
+
+  getKey() {
+    return this.state.key;
+  }
+
+  async getSize() {
+    return this.state.size;
+  }
+
+  async getChunk(index) {
+    let chunk = this.chunks.get(index);
+    if (chunk) {
+      this.chunks.delete(index);
+    } else {
+      chunk = this.store.get(`${this.state.key}|${index}`).then((data) => {
+        if (!data) {
+          throw new Error(
+            `Chunk ${index} of stored package ${this.state.key} is missing`,
+          );
+        }
+        return data;
+      });
+      chunk.catch(() => this.chunks.delete(index));
+    }
+    this.chunks.set(index, chunk);
+    if (this.chunks.size > this.maxChunks) {
+      this.chunks.delete(this.chunks.keys().next().value);
+    }
+    return await chunk;
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async getBytes(offset, length, passedSignal, etag) {
+    if (offset < 0 || offset + length > this.state.size) {
+      throw new Error(
+        `Requested range ${offset}-${offset + length - 1} is outside the stored package of ${this.state.size} bytes`,
+      );
+    }
+    const chunkSize = this.state.chunkSize;
+    const first = Math.floor(offset / chunkSize);
+    const last = Math.floor((offset + length - 1) / chunkSize);
+    const bytes = new Uint8Array(length);
+    for (let i = first; i <= last; i++) {
+      const chunk = await this.getChunk(i);
+      const chunkStart = i * chunkSize;
+      const from = Math.max(offset, chunkStart) - chunkStart;
+      const to = Math.min(offset + length, chunkStart + chunk.byteLength);
+      bytes.set(
+        new Uint8Array(chunk, from, to - chunkStart - from),
+        chunkStart + from - offset,
+      );
+    }
+    return { data: bytes.buffer, etag: this.state.etag };
+  }
+}
+
+/**
+ * Download a whole remote package into a block store (IndexedDBBlockStore or
+ * OPFSBlockStore) for offline use.
+ *
+ * The package is fetched in chunks and progress is saved after every chunk, so an
+ * interrupted download resumes where it stopped. Every chunk is requested with the
+ * ETag of the first one, if the package changes on the server the download starts over.
+ *
+ * Dispatches "progress" events with detail { key, loaded, total } and a "complete"
+ * event with detail { key, size, etag }.
+ */
+export class PackageDownloader extends EventTarget {
+  /**
+   * @param {string|Source} source - URL of the package or a Source such as FetchSource.
+   * @param {object} [options]
+   * @param {object} [options.store] - Block store to keep the downloaded package in, defaults to the IndexedDB store "tilepackage-downloads".
+   * @param {number} [options.chunkSize=2097152] - Bytes per request and per stored chunk.
+   */
+  constructor(source, options) {
+    super();
+    options = options || {};
+    const store = options.store || new IndexedDBBlockStore(DOWNLOAD_STORE);
+    if (store.name === BLOCK_CACHE_STORE) {
+      throw new Error(
+        `PackageDownloader can not use the block cache store "${BLOCK_CACHE_STORE}", BlockCacheSource deletes blocks it does not know about`,
+      );
+    }
+    this.source =
+      typeof source === "string" ? new FetchSource(source, options) : source;
+    this.store = store;
+    this.chunkSize = options.chunkSize || 2 * 1024 * 1024;
+  }
+
+  getKey() {
+    return this.source.getKey();
+  }
+
+  async loadState() {
+    return decodeState(await this.store.get(`${this.getKey()}|state`));
+  }
+
+  async saveState(state) {
+    await this.store.put(`${state.key}|state`, encodeState(state));
+  }
+
+  /**
+   * Download the package, or continue a partial download, and return a Source for the stored copy.
+   */
+  async download(options) {
+    const signal = options ? options.signal : undefined;
+    const key = this.getKey();
+    let state = await this.loadState();
+    if (!state || state.chunkSize !== this.chunkSize) {
+      state = undefined;
+    }
+    if (state && state.complete) {
+      return this.createSource(state);
+    }
+
+    const size = Number(await this.source.getSize(signal));
+    if (state && state.size !== size) {
+      // The package changed size since the download started
+      state = undefined;
+    }
+    if (!state) {
+      state = {
+        key: key,
+        size: size,
+        etag: undefined,
+        chunkSize: this.chunkSize,
+        loaded: 0,
+        complete: false,
+      };
+    }
+
+    const chunkCount = Math.ceil(size / this.chunkSize);
+    for (let i = Math.floor(state.loaded / this.chunkSize); i < chunkCount;) {
+      const offset = i * this.chunkSize;
+      const length = Math.min(this.chunkSize, size - offset);
+      let resp;
+      try {
+        resp = await this.source.getBytes(offset, length, signal, state.etag);
+      } catch (e) {
+        if (e instanceof EtagMismatch && state.loaded > 0) {
+          // Start over, the chunks already stored belong to an older version
+          state.loaded = 0;
+          state.etag = undefined;
+          await this.saveState(state);
+          i = 0;
+          continue;
+        }
+        throw e;
+      }
+      if (resp.data.byteLength !== length) {
+        throw new Error(
+          `Server returned ${resp.data.byteLength} bytes for chunk ${i} of ${key}, expected ${length}`,
+        );
+      }
+      if (i === 0) state.etag = resp.etag;
+      const data = ArrayBuffer.isView(resp.data)
+        ? resp.data.slice().buffer
+        : resp.data;
+      await this.store.put(`${key}|${i}`, data);
+      state.loaded = offset + length;
+      await this.saveState(state);
+      this.dispatchEvent(
+        detailEvent("progress", {
+          key: key,
+          loaded: state.loaded,
+          total: size,
+        }),
+      );
+      i++;
+    }
+
+    if (state.loaded !== size) {
+      throw new Error(
+        `Downloaded ${state.loaded} bytes of ${key}, expected ${size}`,
+      );
+    }
+    state.complete = true;
+    await this.saveState(state);
+    this.dispatchEvent(
+      detailEvent("complete", { key: key, size: size, etag: state.etag }),
+    );
+    return this.createSource(state);
+  }
+
+  createSource(state) {
+    return new StoredPackageSource(this.store, state, {
+      coverageCheck: this.source.coverageCheck,
+    });
+  }
+
+  /**
+   * Return { loaded, total, complete } for a previous download, or undefined.
+   */
+  async getProgress() {
+    const state = await this.loadState();
+    if (!state) return undefined;
+    return {
+      loaded: state.loaded,
+      total: state.size,
+      complete: state.complete,
+    };
+  }
+
+  /**
+   * Return a Source for the stored copy if the download has completed, otherwise undefined.
+   */
+  async getSource() {
+    const state = await this.loadState();
+    return state && state.complete ? this.createSource(state) : undefined;
+  }
+
+  /**
+   * Remove the stored copy and any partial download.
+   */
+  async delete() {
+    const state = await this.loadState();
+    if (!state) return;
+    const chunkCount = Math.ceil(state.size / state.chunkSize);
+    for (let i = 0; i < chunkCount; i++) {
+      await this.store.delete(`${state.key}|${i}`);
+    }
+    await this.store.delete(`${state.key}|state`);
+  }
+}
@@ -0,0 +1,88 @@
+const CRLF = [13, 10];
+
+function indexOf(bytes, pattern, start) {
+  const last = bytes.length - pattern.length;
+  for (let i = start; i <= last; i++) {
+    let j = 0;
+    while (j < pattern.length && bytes[i + j] === pattern[j]) j++;
+    if (j === pattern.length) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse the value of a Content-Range header like "bytes 0-499/1234".
+ *
+ * Returns { offset, length, size } or undefined for unsatisfied ranges.
+ */
+export function parseContentRange(value) {
+  const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec((value || "").trim());
+  if (!match) return undefined;
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  return {
+    offset: start,
+    length: end - start + 1,
+    size: match[3] === "*" ? undefined : Number(match[3]),
+  };
+}
+
+/**
+ * Split the body of a multipart/byteranges response into its parts.
+ *
+ * Each part is located by its Content-Range header, so binary data that happens
+ * to contain the boundary string is handled correctly.
+ *
+ * @param {ArrayBuffer} buffer - The full response body.
+ * @param {string} boundary - The boundary parameter from the Content-Type header.
+ * @returns {{ offset: number, length: number, data: ArrayBuffer }[]}
+ */
+export default function parseMultipartByteranges(buffer, boundary) {
+  const bytes = new Uint8Array(buffer);
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder("utf-8");
+  const delimiter = encoder.encode(`--${boundary}`);
+  const headerEnd = [13, 10, 13, 10];
+  const parts = [];
+
+  let position = indexOf(bytes, delimiter, 0);
+  while (position !== -1) {
+    position += delimiter.length;
+    // Closing delimiter "--boundary--"
+    if (bytes[position] === 45 && bytes[position + 1] === 45) break;
+    const headersStart = indexOf(bytes, CRLF, position);
+    if (headersStart === -1) break;
+    const headersEnd = indexOf(bytes, headerEnd, headersStart);
+    if (headersEnd === -1) {
+      throw new Error("Malformed multipart/byteranges response");
+    }
+    const headers = decoder
+      .decode(bytes.subarray(headersStart + 2, headersEnd))
+      .split("\r\n");
+    let range;
+    for (let i = 0; i < headers.length; i++) {
+      const separator = headers[i].indexOf(":");
+      if (
+        separator !== -1 &&
+        headers[i].slice(0, separator).trim().toLowerCase() === "content-range"
+      ) {
+        range = parseContentRange(headers[i].slice(separator + 1));
+      }
+    }
+    if (!range) {
+      throw new Error("Missing Content-Range in multipart/byteranges part");
+    }
+    const dataStart = headersEnd + headerEnd.length;
+    const dataEnd = dataStart + range.length;
+    if (dataEnd > bytes.length) {
+      throw new Error("Truncated multipart/byteranges response");
+    }
+    parts.push({
+      offset: range.offset,
+      length: range.length,
+      data: buffer.slice(dataStart, dataEnd),
+    });
+    position = indexOf(bytes, delimiter, dataEnd);
+  }
+  return parts;
+}
@@ -0,0 +1,158 @@
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, e) => {
+    if (e[0] === "#") {
+      const code =
+        e[1] === "x" || e[1] === "X"
+          ? parseInt(e.slice(2), 16)
+          : parseInt(e.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[e] !== undefined ? ENTITIES[e] : match;
+  });
+}
+
+function addChild(obj, name, value) {
+  if (obj[name] === undefined) {
+    obj[name] = value;
+  } else if (Array.isArray(obj[name])) {
+    obj[name].push(value);
+  } else {
+    obj[name] = [obj[name], value];
+  }
+}
+
+/**
+ * Convert a parsed element to JSON.
+ *
+ * Elements with only text become strings ("" when empty). Other elements become
+ * objects with attributes as "@name" keys, child elements by name (arrays when
+ * repeated) and any text content as "#text".
+ */
+function elementToJson(element) {
+  const text = element.text.trim();
+  if (element.attributes.length === 0 && element.children.length === 0) {
+    return text;
+  }
+  const obj = {};
+  element.attributes.forEach(([name, value]) => {
+    obj[`@${name}`] = value;
+  });
+  element.children.forEach((child) => {
+    addChild(obj, child.name, elementToJson(child));
+  });
+  if (text) obj["#text"] = text;
+  return obj;
+}
+
+/**
+ * A small XML reader that works in every JavaScript runtime, without DOMParser.
+ *
+ * Supports elements, attributes, text, CDATA and character entities, and skips the
+ * XML declaration, processing instructions, comments and DOCTYPE. Namespaces are
+ * kept as part of the names.
+ *
+ * @param {string} xmlString
+ * @returns {object} { [rootName]: value }, see elementToJson for the value layout.
+ */
+export default function parseXml(xmlString) {
+  const root = { name: "", attributes: [], children: [], text: "" };
+  const stack = [root];
+  // Sticky, matched at lastIndex without copying the rest of the document
+  const tagPattern =
+    /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let position = 0;
+
+  while (position < xmlString.length) {
+    const current = stack[stack.length - 1];
+    const next = xmlString.indexOf("<", position);
+    if (next === -1) {
+      current.text += decodeEntities(xmlString.slice(position));
+      break;
+    }
+    if (next > position) {
+      current.text += decodeEntities(xmlString.slice(position, next));
+    }
+    position = next;
+
+    if (xmlString.startsWith("<!--", position)) {
+      const end = xmlString.indexOf("-->", position);
+      if (end === -1) throw new Error("Malformed XML: unterminated comment");
+      position = end + 3;
+    } else if (xmlString.startsWith("<![CDATA[", position)) {
+      const end = xmlString.indexOf("]]>", position);
+      if (end === -1) throw new Error("Malformed XML: unterminated CDATA");
+      current.text += xmlString.slice(position + 9, end);
+      position = end + 3;
+    } else if (xmlString.startsWith("<?", position)) {
+      const end = xmlString.indexOf("?>", position);
+      if (end === -1) {
+        throw new Error("Malformed XML: unterminated processing instruction");
+      }
+      position = end + 2;
+    } else if (xmlString.startsWith("<!", position)) {
+      // DOCTYPE, may contain an internal subset in brackets
+      const bracket = xmlString.indexOf("[", position);
+      const close = xmlString.indexOf(">", position);
+      const end =
+        bracket !== -1 && bracket < close
+          ? xmlString.indexOf("]>", bracket) + 1
+          : close;
+      if (end < 1) throw new Error("Malformed XML: unterminated declaration");
+      position = end + 1;
+    } else if (xmlString.startsWith("</", position)) {
+      const end = xmlString.indexOf(">", position);
+      const name = xmlString.slice(position + 2, end).trim();
+      if (end === -1 || stack.length === 1 || current.name !== name) {
+        throw new Error(
+          `Malformed XML: unexpected closing tag </${name}> at ${position}`,
+        );
+      }
+      stack.pop();
+      stack[stack.length - 1].children.push(current);
+      position = end + 1;
+    } else {
+      tagPattern.lastIndex = position;
+      const match = tagPattern.exec(xmlString);
+      if (!match) {
+        throw new Error(`Malformed XML: invalid tag at ${position}`);
+      }
+      const element = {
+        name: match[1],
+        attributes: [],
+        children: [],
+        text: "",
+      };
+      let attribute;
+      attributePattern.lastIndex = 0;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        element.attributes.push([
+          attribute[1],
+          decodeEntities(
+            attribute[2] !== undefined ? attribute[2] : attribute[3],
+          ),
+        ]);
+      }
+      if (match[3]) {
+        current.children.push(element);
+      } else {
+        stack.push(element);
+      }
+      position += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(
+      `Malformed XML: missing closing tag for <${stack[stack.length - 1].name}>`,
+    );
+  }
+  if (root.children.length !== 1) {
+    throw new Error("Malformed XML: expected a single root element");
+  }
+  const result = {};
+  result[root.children[0].name] = elementToJson(root.children[0]);
+  return result;
+}
@@ -0,0 +1,401 @@
+/* global globalThis */
+import * as fflate from "fflate";
+import { assertCompatible } from "./tile-matrix-set.js";
+
+/*
+  Write the tiles of a TilePackage to a PMTiles v3 archive,
+  see https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+
+  Tile data is written in package order as it is read, only the directory entries
+  are kept. They are sorted along the Hilbert curve at the end, so the archive is
+  not clustered. The header, root directory, metadata and leaf directories are
+  only known then and go in front of the tile data.
+  An export target stores the archive:
+
+    write(data)      -> append tile data
+    finish(parts)    -> store parts (header, root directory, metadata, leaf
+                        directories) followed by the tile data written so far
+    abort()          -> discard everything written, after a failed export
+*/
+
+const HEADER_LENGTH = 127;
+const MAX_ROOT_LENGTH = 16384 - HEADER_LENGTH;
+
+const COMPRESSION = { none: 1, gzip: 2, br: 3, zstd: 4 };
+
+const TILE_TYPES = {
+  pbf: 1,
+  mvt: 1,
+  png: 2,
+  png8: 2,
+  png24: 2,
+  png32: 2,
+  jpg: 3,
+  jpeg: 3,
+  webp: 4,
+  avif: 5,
+};
+
+/**
+ * Store the archive in memory and make it available as `blob` when the export
+ * finishes, for download or upload in the browser.
+ */
+export class BlobTarget {
+  constructor(type = "application/vnd.pmtiles") {
+    this.type = type;
+    this.chunks = [];
+    this.blob = undefined;
+  }
+
+  async write(data) {
+    this.chunks.push(data);
+  }
+
+  async finish(parts) {
+    this.blob = new Blob(parts.concat(this.chunks), { type: this.type });
+    this.chunks = [];
+    return this.blob;
+  }
+
+  async abort() {
+    this.chunks = [];
+  }
+}
+
+function rotate(n, xy, rx, ry) {
+  if (ry === 0) {
+    if (rx === 1) {
+      xy[0] = n - 1 - xy[0];
+      xy[1] = n - 1 - xy[1];
+    }
+    const t = xy[0];
+    xy[0] = xy[1];
+    xy[1] = t;
+  }
+}
+
+/**
+ * The PMTiles tile id: the position of the tile on the Hilbert curve of its zoom
+ * level after all tiles of the lower zoom levels.
+ */
+export function zxyToTileId(z, x, y) {
+  if (z > 26) {
+    throw new Error(`Zoom level ${z} exceeds the PMTiles maximum of 26`);
+  }
+  let id = (Math.pow(4, z) - 1) / 3;
+  const xy = [x, y];
+  for (let s = Math.pow(2, z) / 2; s >= 1; s /= 2) {
+    const rx = (xy[0] & s) > 0 ? 1 : 0;
+    const ry = (xy[1] & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+    rotate(s, xy, rx, ry);
+  }
+  return id;
+}
+
+function writeVarint(bytes, value) {
+  // Tile ids go up to 2^53, beyond the range of bitwise operators
+  while (value >= 128) {
+    bytes.push((value % 128) | 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+}
+
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+  let lastId = 0;
+  entries.forEach((e) => {
+    writeVarint(bytes, e.tileId - lastId);
+    lastId = e.tileId;
+  });
+  entries.forEach((e) => writeVarint(bytes, e.runLength));
+  entries.forEach((e) => writeVarint(bytes, e.length));
+  entries.forEach((e, i) => {
+    const prev = entries[i - 1];
+    if (prev && e.offset === prev.offset + prev.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, e.offset + 1);
+    }
+  });
+  return fflate.gzipSync(new Uint8Array(bytes));
+}
+
+/**
+ * Serialize the entries to a root directory that fits in the first 16 KiB of the
+ * archive, moving runs of entries to leaf directories when they do not fit.
+ */
+function buildDirectories(entries) {
+  if (entries.length < 16384) {
+    const root = serializeDirectory(entries);
+    if (root.length <= MAX_ROOT_LENGTH) {
+      return { root: root, leaves: new Uint8Array(0) };
+    }
+  }
+  let leafSize = Math.max(4096, Math.ceil(entries.length / 3500));
+  for (;;) {
+    const rootEntries = [];
+    const leaves = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({
+        tileId: entries[i].tileId,
+        offset: offset,
+        length: leaf.length,
+        runLength: 0,
+      });
+      leaves.push(leaf);
+      offset += leaf.length;
+    }
+    const root = serializeDirectory(rootEntries);
+    if (root.length <= MAX_ROOT_LENGTH) {
+      return { root: root, leaves: concat(leaves, offset) };
+    }
+    leafSize = Math.ceil(leafSize * 1.2);
+  }
+}
+
+function concat(arrays, length) {
+  const result = new Uint8Array(length);
+  let offset = 0;
+  arrays.forEach((a) => {
+    result.set(a, offset);
+    offset += a.length;
+  });
+  return result;
+}
+
+function setUint64(view, offset, value) {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+function serializeHeader(h) {
+  const view = new DataView(new ArrayBuffer(HEADER_LENGTH));
+  "PMTiles".split("").forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+  view.setUint8(7, 3);
+  setUint64(view, 8, h.rootOffset);
+  setUint64(view, 16, h.rootLength);
+  setUint64(view, 24, h.metadataOffset);
+  setUint64(view, 32, h.metadataLength);
+  setUint64(view, 40, h.leavesOffset);
+  setUint64(view, 48, h.leavesLength);
+  setUint64(view, 56, h.tileDataOffset);
+  setUint64(view, 64, h.tileDataLength);
+  setUint64(view, 72, h.addressedTiles);
+  setUint64(view, 80, h.tileEntries);
+  setUint64(view, 88, h.tileContents);
+  view.setUint8(96, 0); // not clustered, tile data is in package order
+  view.setUint8(97, COMPRESSION.gzip);
+  view.setUint8(98, h.tileCompression);
+  view.setUint8(99, h.tileType);
+  view.setUint8(100, h.minZoom);
+  view.setUint8(101, h.maxZoom);
+  view.setInt32(102, Math.round(h.bounds[0] * 1e7), true);
+  view.setInt32(106, Math.round(h.bounds[1] * 1e7), true);
+  view.setInt32(110, Math.round(h.bounds[2] * 1e7), true);
+  view.setInt32(114, Math.round(h.bounds[3] * 1e7), true);
+  view.setUint8(118, h.minZoom);
+  view.setInt32(119, Math.round(((h.bounds[0] + h.bounds[2]) / 2) * 1e7), true);
+  view.setInt32(123, Math.round(((h.bounds[1] + h.bounds[3]) / 2) * 1e7), true);
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Read a stored tile and the SHA-256 of its contents.
+ */
+async function readTile(pkg, tile, signal, etag) {
+  const resp = await pkg.source.getBytes(tile.offset, tile.size, signal, etag);
+  const data = new Uint8Array(resp.data);
+  return { data: data, key: await contentKey(data) };
+}
+
+/**
+ * Merge entries sorted by tile id into runs of consecutive tiles with the same
+ * contents, in place.
+ */
+function mergeRuns(entries) {
+  let length = 0;
+  entries.forEach((e) => {
+    const last = entries[length - 1];
+    if (
+      last &&
+      last.offset === e.offset &&
+      last.tileId + last.runLength === e.tileId
+    ) {
+      last.runLength++;
+    } else {
+      entries[length++] = e;
+    }
+  });
+  entries.length = length;
+  return entries;
+}
+
+async function contentKey(data) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * The JSON metadata of the archive: the TileJSON fields and package metadata, the
+ * tile format and the style of the package.
+ */
+async function getMetadata(pkg, header, options) {
+  const tileJson = await pkg.getTileJson("");
+  ["tilejson", "tiles", "scheme", "bounds", "minzoom", "maxzoom"].forEach(
+    (key) => delete tileJson[key],
+  );
+  const metadata = Object.assign(tileJson, await pkg.getMetadata(), {
+    format: String(header.tileType).toLowerCase(),
+  });
+  if (header.packageType === "vtpk") metadata.type = "baselayer";
+  if (options.style !== false) metadata.style = await pkg.getStyle();
+  return metadata;
+}
+
+function intersectBounds(header, bbox) {
+  const bounds = [header.minLon, header.minLat, header.maxLon, header.maxLat];
+  if (!bbox) return bounds;
+  return [
+    Math.max(bounds[0], bbox[0]),
+    Math.max(bounds[1], bbox[1]),
+    Math.min(bounds[2], bbox[2]),
+    Math.min(bounds[3], bbox[3]),
+  ];
+}
+
+/**
+ * Export the tiles stored in a TilePackage to a PMTiles v3 archive.
+ *
+ * Tiles are copied as stored, without decompressing, in the order of the package
+ * and written as they are read, only the directory entries are kept in memory.
+ * Tiles with identical contents are stored once and runs of them along the
+ * Hilbert curve share a directory entry.
+ *
+ * @param {TilePackage} pkg
+ * @param {object} target - BlobTarget, NodeFileTarget or an object with write, finish and abort.
+ * @param {object} [options]
+ * @param {number} [options.minZoom]
+ * @param {number} [options.maxZoom]
+ * @param {number[]} [options.bbox] - [west, south, east, north] in degrees.
+ * @param {boolean} [options.style=true] - Include the style of the package in the metadata.
+ * @param {number} [options.concurrency=4] - Tiles read at the same time.
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with { written, tileContents } after each batch of tiles.
+ * @returns {Promise<object>} Counts { addressedTiles, tileEntries, tileContents, size }.
+ */
+export default async function exportPmtiles(pkg, target, options) {
+  options = options || {};
+  const signal = options.signal;
+  const concurrency = options.concurrency > 0 ? options.concurrency : 4;
+  const header = await pkg.getHeader();
+  assertCompatible(header.tileMatrixSet);
+  const tileCompression = COMPRESSION[header.tileCompression];
+  if (!tileCompression) {
+    throw new Error(
+      `Tile compression ${header.tileCompression} is not supported by PMTiles`,
+    );
+  }
+  const tileType = TILE_TYPES[String(header.tileType).toLowerCase()] || 0;
+
+  const iterator = pkg.tiles({
+    minZoom: options.minZoom,
+    maxZoom: options.maxZoom,
+    bbox: options.bbox,
+    signal: signal,
+  });
+  const entries = [];
+  const contents = new Map();
+  let tileDataLength = 0;
+  let minZoom = 0;
+  let maxZoom = 0;
+  try {
+    // Read and hash a batch of tiles at a time, write new contents in order
+    for (let done = false; !done;) {
+      const batch = [];
+      while (batch.length < concurrency) {
+        const r = await iterator.next();
+        if (r.done) {
+          done = true;
+          break;
+        }
+        batch.push(r.value);
+      }
+      const read = await Promise.all(
+        batch.map((tile) => readTile(pkg, tile, signal, header.etag)),
+      );
+      for (let i = 0; i < batch.length; i++) {
+        const tile = batch[i];
+        let content = contents.get(read[i].key);
+        if (!content) {
+          content = { offset: tileDataLength, length: read[i].data.length };
+          contents.set(read[i].key, content);
+          await target.write(read[i].data);
+          tileDataLength += content.length;
+        }
+        if (entries.length === 0 || tile.z < minZoom) minZoom = tile.z;
+        if (entries.length === 0 || tile.z > maxZoom) maxZoom = tile.z;
+        entries.push({
+          tileId: zxyToTileId(tile.z, tile.x, tile.y),
+          offset: content.offset,
+          length: content.length,
+          runLength: 1,
+        });
+      }
+      if (options.onProgress && batch.length > 0) {
+        options.onProgress({
+          written: entries.length,
+          tileContents: contents.size,
+        });
+      }
+    }
+    const addressedTiles = entries.length;
+    mergeRuns(entries.sort((a, b) => a.tileId - b.tileId));
+
+    const metadata = fflate.gzipSync(
+      new TextEncoder().encode(
+        JSON.stringify(await getMetadata(pkg, header, options)),
+      ),
+    );
+    const directories = buildDirectories(entries);
+    const rootOffset = HEADER_LENGTH;
+    const metadataOffset = rootOffset + directories.root.length;
+    const leavesOffset = metadataOffset + metadata.length;
+    const tileDataOffset = leavesOffset + directories.leaves.length;
+    const head = serializeHeader({
+      rootOffset: rootOffset,
+      rootLength: directories.root.length,
+      metadataOffset: metadataOffset,
+      metadataLength: metadata.length,
+      leavesOffset: leavesOffset,
+      leavesLength: directories.leaves.length,
+      tileDataOffset: tileDataOffset,
+      tileDataLength: tileDataLength,
+      addressedTiles: addressedTiles,
+      tileEntries: entries.length,
+      tileContents: contents.size,
+      tileCompression: tileCompression,
+      tileType: tileType,
+      minZoom: minZoom,
+      maxZoom: maxZoom,
+      bounds: intersectBounds(header, options.bbox),
+    });
+    await target.finish([head, directories.root, metadata, directories.leaves]);
+    return {
+      addressedTiles: addressedTiles,
+      tileEntries: entries.length,
+      tileContents: contents.size,
+      size: tileDataOffset + tileDataLength,
+    };
+  } catch (e) {
+    await iterator.return();
+    await target.abort();
+    throw e;
+  }
+}
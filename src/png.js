@@ -0,0 +1,229 @@
+import * as fflate from "fflate";
+import crc32 from "./crc32.js";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Channels per pixel by color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Check for the PNG signature.
+ */
+export function isPng(bytes) {
+  return SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Reverse the per row filters of the decompressed image data.
+ */
+function unfilter(data, height, stride, bpp) {
+  const out = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = y * (stride + 1) + 1;
+    const o = y * stride;
+    const prev = o - stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? out[o + i - bpp] : 0;
+      const up = y > 0 ? out[prev + i] : 0;
+      const upLeft = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+      let value = data[row + i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter ${filter}`);
+      out[o + i] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG into 8 bit RGBA pixels, without canvas or DOM APIs.
+ *
+ * Supports all color types and bit depths, but not interlaced images.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function decodePng(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  if (!isPng(bytes)) throw new Error("Not a PNG image");
+  const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width, height, bitDepth, colorType, interlace;
+  let palette, transparency;
+  const idat = [];
+  for (let p = 8; p + 8 <= bytes.length;) {
+    const length = v.getUint32(p);
+    const type = String.fromCharCode(
+      bytes[p + 4],
+      bytes[p + 5],
+      bytes[p + 6],
+      bytes[p + 7],
+    );
+    const chunk = bytes.subarray(p + 8, p + 8 + length);
+    if (type === "IHDR") {
+      width = v.getUint32(p + 8);
+      height = v.getUint32(p + 12);
+      bitDepth = bytes[p + 16];
+      colorType = bytes[p + 17];
+      interlace = bytes[p + 20];
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    p += 12 + length;
+  }
+  if (width === undefined || CHANNELS[colorType] === undefined) {
+    throw new Error("Invalid PNG header");
+  }
+  if (interlace) throw new Error("Interlaced PNG images are not supported");
+
+  const compressed = new Uint8Array(
+    idat.reduce((sum, chunk) => sum + chunk.length, 0),
+  );
+  idat.reduce((offset, chunk) => {
+    compressed.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const pixels = unfilter(
+    fflate.unzlibSync(compressed),
+    height,
+    stride,
+    Math.max(1, bitsPerPixel >> 3),
+  );
+
+  // Sample n of a row, scaled to 8 bits
+  const maxValue = (1 << bitDepth) - 1;
+  const sample = (row, n) => {
+    if (bitDepth === 8) return pixels[row + n];
+    if (bitDepth === 16) return pixels[row + 2 * n];
+    const bit = n * bitDepth;
+    const value =
+      (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+  };
+  // Raw sample n of a row, for comparison with the tRNS key color
+  const raw = (row, n) => {
+    if (bitDepth === 16)
+      return (pixels[row + 2 * n] << 8) | pixels[row + 2 * n + 1];
+    if (bitDepth === 8) return pixels[row + n];
+    const bit = n * bitDepth;
+    return (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  };
+  const key =
+    transparency && (colorType === 0 || colorType === 2)
+      ? new DataView(
+          transparency.buffer,
+          transparency.byteOffset,
+          transparency.byteLength,
+        )
+      : undefined;
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const n = x * channels;
+      if (colorType === 3) {
+        const index = sample(row, x);
+        rgba[o] = palette[index * 3];
+        rgba[o + 1] = palette[index * 3 + 1];
+        rgba[o + 2] = palette[index * 3 + 2];
+        rgba[o + 3] =
+          transparency && index < transparency.length
+            ? transparency[index]
+            : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(row, n);
+        rgba[o] = rgba[o + 1] = rgba[o + 2] = gray;
+        rgba[o + 3] = colorType === 4 ? sample(row, n + 1) : 255;
+        if (key && raw(row, n) === key.getUint16(0)) rgba[o + 3] = 0;
+      } else {
+        rgba[o] = sample(row, n);
+        rgba[o + 1] = sample(row, n + 1);
+        rgba[o + 2] = sample(row, n + 2);
+        rgba[o + 3] = colorType === 6 ? sample(row, n + 3) : 255;
+        if (
+          key &&
+          raw(row, n) === key.getUint16(0) &&
+          raw(row, n + 1) === key.getUint16(2) &&
+          raw(row, n + 2) === key.getUint16(4)
+        ) {
+          rgba[o + 3] = 0;
+        }
+      }
+    }
+  }
+  return { width, height, data: rgba };
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  v.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+/**
+ * Encode 8 bit RGBA pixels as a PNG.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @returns {Uint8Array}
+ */
+export function encodePng(image) {
+  const { width, height, data } = image;
+  const header = new Uint8Array(13);
+  const v = new DataView(header.buffer);
+  v.setUint32(0, width);
+  v.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  // Filter every row with "Sub", which compresses map tiles well
+  const stride = width * 4;
+  const filtered = new Uint8Array(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const o = y * (stride + 1);
+    filtered[o] = 1;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? data[y * stride + i - 4] : 0;
+      filtered[o + 1 + i] = data[y * stride + i] - left;
+    }
+  }
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk("IHDR", header),
+    chunk("IDAT", fflate.zlibSync(filtered, { level: 6 })),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  parts.reduce((offset, p) => {
+    out.set(p, offset);
+    return offset + p.length;
+  }, 0);
+  return out;
+}
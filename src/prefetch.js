@@ -0,0 +1,248 @@
+import {
+  assertCompatible,
+  zoomToLevel,
+  lonLatToTile,
+} from "./tile-matrix-set.js";
+import { isDirectory, isMissingFile } from "./directory-source.js";
+import calculateFilename from "./calculate-filename.js";
+import { getEntry, markMissing } from "./get-header-and-filelist.js";
+
+const SPRITES = [
+  "sprite.json",
+  "sprite.png",
+  "sprite@2x.json",
+  "sprite@2x.png",
+];
+
+// Expressions choosing the font per feature, their fonts are not known up front
+const FONT_EXPRESSIONS = ["get", "coalesce", "case", "match", "step", "concat"];
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Call fn for every item with at most concurrency calls running at a time. Stops
+ * starting new calls after the first failure or when signal aborts.
+ */
+async function runPool(items, concurrency, fn, signal) {
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      if (signal && signal.aborted) throw abortError();
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+/**
+ * List the sprite and glyph resources a VTPK style refers to: the sprite sheets and
+ * every glyph range of the fontstacks used by its layers, or the given ranges for
+ * directories. Fonts chosen by expressions are left out.
+ */
+async function getStyleResources(pkg, header, glyphRanges) {
+  if (header.packageType !== "vtpk") return [];
+  const style = await pkg.getStyle();
+  const files = SPRITES.map((file) => `p12/resources/sprites/${file}`);
+  const fontstacks = {};
+  (style.layers || []).forEach((layer) => {
+    let font = layer.layout ? layer.layout["text-font"] : undefined;
+    if (Array.isArray(font) && font[0] === "literal") font = font[1];
+    if (
+      Array.isArray(font) &&
+      font.every((f) => typeof f === "string") &&
+      FONT_EXPRESSIONS.indexOf(font[0]) === -1
+    ) {
+      fontstacks[font.join(",")] = true;
+    }
+  });
+  const listed = Object.keys(header.files);
+  Object.keys(fontstacks).forEach((fontstack) => {
+    const folder = `p12/resources/fonts/${fontstack}/`;
+    if (isDirectory(pkg.source)) {
+      // Directories can not be listed, request the given ranges
+      glyphRanges.forEach((range) => files.push(`${folder}${range}.pbf`));
+    } else {
+      listed
+        .filter((file) => file.startsWith(folder))
+        .forEach((file) => files.push(file));
+    }
+  });
+  return files;
+}
+
+/**
+ * Load the tiles of a region and the resources of the style of a TilePackage, so
+ * later requests are answered from the caches of the package and its source.
+ *
+ * Tiles are read bundle by bundle: the tile index of each bundle is read once and
+ * tiles missing from the index or the coverage map are skipped without a request.
+ * The tiles of a bundle missing from a directory are counted as failed, so a partial
+ * prefetch can be told from a complete one.
+ *
+ * @param {TilePackage} pkg
+ * @param {object} [options]
+ * @param {number[]} [options.bbox] - [west, south, east, north] in degrees, defaults to the package bounds.
+ * @param {number} [options.minZoom] - Defaults to the package minZoom.
+ * @param {number} [options.maxZoom] - Defaults to the package maxZoom.
+ * @param {string[]} [options.glyphRanges=["0-255"]] - Glyph ranges of every font loaded
+ *   for directories, which can not list the ranges they contain.
+ * @param {number} [options.concurrency=4] - Requests running at the same time.
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with { loaded, total, tiles, skipped, failed, resources, bundles }.
+ * @returns {Promise<object>} { tiles, skipped, failed, resources, bundles } counts.
+ */
+export default async function prefetchPackage(pkg, options) {
+  options = options || {};
+  const signal = options.signal;
+  const concurrency = options.concurrency > 0 ? options.concurrency : 4;
+  const header = await pkg.getHeader();
+  const reprojected = pkg.isReprojected(header);
+  if (!reprojected) assertCompatible(header.tileMatrixSet);
+  const range = pkg.getZoomRange(header);
+  const minZoom = Math.max(
+    range.minZoom,
+    options.minZoom === undefined ? range.minZoom : options.minZoom,
+  );
+  const maxZoom = Math.min(
+    range.maxZoom,
+    options.maxZoom === undefined ? range.maxZoom : options.maxZoom,
+  );
+  const bbox = options.bbox || [
+    header.minLon,
+    header.minLat,
+    header.maxLon,
+    header.maxLat,
+  ];
+
+  const zooms = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const topLeft = lonLatToTile(bbox[0], bbox[3], z);
+    const bottomRight = lonLatToTile(bbox[2], bbox[1], z);
+    zooms.push({
+      z: z,
+      minX: topLeft[0],
+      minY: topLeft[1],
+      maxX: bottomRight[0],
+      maxY: bottomRight[1],
+    });
+  }
+  const resources = await getStyleResources(
+    pkg,
+    header,
+    options.glyphRanges || ["0-255"],
+  );
+  const report = {
+    tiles: 0,
+    skipped: 0,
+    failed: 0,
+    resources: 0,
+    bundles: 0,
+  };
+  let loaded = 0;
+  const total = zooms.reduce(
+    (sum, r) => sum + (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1),
+    resources.length,
+  );
+  const progress = (count) => {
+    loaded += count;
+    if (options.onProgress) {
+      options.onProgress(
+        Object.assign({ loaded: loaded, total: total }, report),
+      );
+    }
+  };
+  const fetchTile = async (tile) => {
+    const data = await pkg.getZxy(tile.z, tile.x, tile.y, signal);
+    if (data) report.tiles++;
+    else report.skipped++;
+    progress(1);
+  };
+
+  await runPool(
+    resources,
+    concurrency,
+    async (file) => {
+      if (await pkg.getResource(file, signal)) report.resources++;
+      progress(1);
+    },
+    signal,
+  );
+
+  for (const r of zooms) {
+    if (reprojected) {
+      // Reprojected tiles have no index of their own
+      const tiles = [];
+      for (let x = r.minX; x <= r.maxX; x++) {
+        for (let y = r.minY; y <= r.maxY; y++) tiles.push({ z: r.z, x, y });
+      }
+      await runPool(tiles, concurrency, fetchTile, signal);
+      continue;
+    }
+    const level = zoomToLevel(header.tileMatrixSet, r.z);
+    for (let bx = r.minX - (r.minX % 128); bx <= r.maxX; bx += 128) {
+      for (let by = r.minY - (r.minY % 128); by <= r.maxY; by += 128) {
+        if (signal && signal.aborted) throw abortError();
+        const minX = Math.max(r.minX, bx);
+        const maxX = Math.min(r.maxX, bx + 127);
+        const minY = Math.max(r.minY, by);
+        const maxY = Math.min(r.maxY, by + 127);
+        const file =
+          level === undefined
+            ? undefined
+            : calculateFilename(level, bx, by, header);
+        let tileIndex;
+        let failed = false;
+        if (file && getEntry(header, file)) {
+          try {
+            tileIndex = await pkg.cache.getTileIndex(
+              pkg.source,
+              file,
+              header,
+              signal,
+            );
+            report.bundles++;
+          } catch (e) {
+            if (!(header.directory && isMissingFile(e))) throw e;
+            markMissing(header, file);
+            failed = true;
+          }
+        }
+        const coverage = header.coverageMap
+          ? header.coverageMap[r.z]
+          : undefined;
+        const tiles = [];
+        let skipped = 0;
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            const covered =
+              !header.coverageMap ||
+              (coverage && coverage[x] ? !!coverage[x][y] : false);
+            if (covered && tileIndex && tileIndex.get(y % 128, x % 128)) {
+              tiles.push({ z: r.z, x, y });
+            } else {
+              skipped++;
+            }
+          }
+        }
+        if (failed) report.failed += skipped;
+        else report.skipped += skipped;
+        progress(skipped);
+        await runPool(tiles, concurrency, fetchTile, signal);
+      }
+    }
+  }
+  return report;
+}
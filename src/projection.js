@@ -0,0 +1,154 @@
+import { WEB_MERCATOR_WKIDS } from "./tile-matrix-set.js";
+
+const DEG = Math.PI / 180;
+const WGS84 = { a: 6378137, invf: 298.257223563 };
+const MAX_LAT = 85.0511287798;
+
+// Geographic coordinate systems treated as WGS 84, datum shifts are ignored
+const GEOGRAPHIC_WKIDS = [4326, 4258, 4269, 4283, 4167, 4619, 4612];
+
+/**
+ * Read the PARAMETER, SPHEROID, PROJECTION and linear UNIT values of a WKT string.
+ */
+function parseWkt(wkt) {
+  const parameters = {};
+  const parameterPattern = /PARAMETER\["([^"]+)",\s*([-+\d.eE]+)\]/g;
+  let match;
+  while ((match = parameterPattern.exec(wkt)) !== null) {
+    parameters[match[1].toLowerCase()] = Number(match[2]);
+  }
+  const spheroid = /SPHEROID\["[^"]*",\s*([-+\d.eE]+),\s*([-+\d.eE]+)/.exec(
+    wkt,
+  );
+  const projection = /PROJECTION\["([^"]+)"\]/.exec(wkt);
+  // The last UNIT of a PROJCS is its linear unit
+  const units = wkt.match(/UNIT\["[^"]*",\s*[-+\d.eE]+\]/g) || [];
+  const unit = units.length
+    ? Number(/,\s*([-+\d.eE]+)\]$/.exec(units[units.length - 1])[1])
+    : 1;
+  return {
+    geographic: /^\s*GEOGCS\[/.test(wkt),
+    projection: projection ? projection[1] : undefined,
+    parameters: parameters,
+    ellipsoid: spheroid
+      ? { a: Number(spheroid[1]), invf: Number(spheroid[2]) }
+      : WGS84,
+    unit: unit,
+  };
+}
+
+/**
+ * Forward transverse Mercator from longitude and latitude in degrees, using the
+ * Krüger series (accurate to well below a millimeter within a UTM zone).
+ */
+function transverseMercator(options) {
+  const a = options.ellipsoid.a;
+  const f = options.ellipsoid.invf ? 1 / options.ellipsoid.invf : 0;
+  const n = f / (2 - f);
+  const A = (a / (1 + n)) * (1 + (n * n) / 4 + (n * n * n * n) / 64);
+  const alpha = [
+    n / 2 - (2 * n * n) / 3 + (5 * n * n * n) / 16,
+    (13 * n * n) / 48 - (3 * n * n * n) / 5,
+    (61 * n * n * n) / 240,
+  ];
+  const e = (2 * Math.sqrt(n)) / (1 + n);
+  const k0 = options.scaleFactor;
+  const lon0 = options.centralMeridian * DEG;
+
+  const project = (lon, lat) => {
+    const phi = lat * DEG;
+    const dLon = lon * DEG - lon0;
+    const t = Math.sinh(
+      Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)),
+    );
+    const xi = Math.atan2(t, Math.cos(dLon));
+    const eta = Math.atanh(Math.sin(dLon) / Math.sqrt(1 + t * t));
+    let x = eta;
+    let y = xi;
+    for (let j = 1; j <= 3; j++) {
+      x += alpha[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+      y += alpha[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+    }
+    return [k0 * A * x, k0 * A * y];
+  };
+  const northingAtOrigin = project(
+    options.centralMeridian,
+    options.latitudeOfOrigin,
+  )[1];
+  return (lon, lat) => {
+    const p = project(lon, lat);
+    return [
+      (options.falseEasting + p[0]) / options.unit,
+      (options.falseNorthing + p[1] - northingAtOrigin) / options.unit,
+    ];
+  };
+}
+
+/**
+ * Forward spherical Mercator, for Web Mercator schemes whose levels or origin are
+ * not on the XYZ pyramid.
+ */
+function webMercator(lon, lat) {
+  const phi = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * DEG;
+  return [
+    WGS84.a * lon * DEG,
+    WGS84.a * Math.log(Math.tan(Math.PI / 4 + phi / 2)),
+  ];
+}
+
+function utm(zone, south) {
+  return transverseMercator({
+    ellipsoid: WGS84,
+    centralMeridian: zone * 6 - 183,
+    latitudeOfOrigin: 0,
+    scaleFactor: 0.9996,
+    falseEasting: 500000,
+    falseNorthing: south ? 10000000 : 0,
+    unit: 1,
+  });
+}
+
+/**
+ * Create the forward projection from longitude and latitude in degrees to the
+ * coordinates of a tiling scheme's spatial reference.
+ *
+ * Supports geographic coordinate systems, Web Mercator and transverse Mercator,
+ * from the WKT or from the WKID of UTM zones (WGS 84, ETRS89 and NAD83). Returns undefined for
+ * other spatial references.
+ *
+ * @param {object} spatialReference - { wkid, latestWkid, wkt }
+ * @returns {Function|undefined} (lon, lat) => [x, y]
+ */
+export default function getProjection(spatialReference) {
+  const wkid = spatialReference.latestWkid || spatialReference.wkid;
+  if (GEOGRAPHIC_WKIDS.indexOf(wkid) !== -1) {
+    return (lon, lat) => [lon, lat];
+  }
+  if (WEB_MERCATOR_WKIDS.indexOf(wkid) !== -1) return webMercator;
+  if (spatialReference.wkt) {
+    const wkt = parseWkt(spatialReference.wkt);
+    if (wkt.geographic) {
+      return (lon, lat) => [lon, lat];
+    }
+    if (
+      wkt.projection === "Transverse_Mercator" ||
+      wkt.projection === "Gauss_Kruger"
+    ) {
+      const p = wkt.parameters;
+      return transverseMercator({
+        ellipsoid: wkt.ellipsoid,
+        centralMeridian: p.central_meridian || 0,
+        latitudeOfOrigin: p.latitude_of_origin || 0,
+        scaleFactor: p.scale_factor === undefined ? 1 : p.scale_factor,
+        falseEasting: p.false_easting || 0,
+        falseNorthing: p.false_northing || 0,
+        unit: wkt.unit,
+      });
+    }
+  }
+  if (wkid >= 32601 && wkid <= 32660) return utm(wkid - 32600, false);
+  if (wkid >= 32701 && wkid <= 32760) return utm(wkid - 32700, true);
+  if (wkid >= 25828 && wkid <= 25838) return utm(wkid - 25800, false);
+  if (wkid >= 26901 && wkid <= 26923) return utm(wkid - 26900, false);
+  return undefined;
+}
@@ -0,0 +1,240 @@
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Collects byte range requests made within a short window and serves them with
+ * as few HTTP requests as possible.
+ *
+ * Overlapping or nearby ranges are merged into one range request. When multipart
+ * is enabled, the merged ranges are sent together as a multipart/byteranges request
+ * and split again when the server answers with multiple parts.
+ *
+ * The shared request is only aborted when every caller waiting on it has aborted.
+ */
+export default class RangeBatcher {
+  /**
+   * @param {object} fetcher
+   * @param {function} fetcher.fetchRange - (offset, length, signal, etag) => response
+   * @param {function} [fetcher.fetchRanges] - (ranges, signal, etag) => { parts, ... } or undefined if unsupported
+   * @param {object} [options]
+   * @param {number} [options.delay=5] - Milliseconds to collect requests before sending.
+   * @param {number} [options.maxGap=16384] - Largest gap in bytes between two ranges that are still merged.
+   * @param {number} [options.maxRequestBytes=4194304] - Largest merged range.
+   * @param {boolean} [options.multipart=false] - Send multipart/byteranges requests.
+   * @param {number} [options.maxRanges=32] - Most ranges in one multipart request.
+   */
+  constructor(fetcher, options = {}) {
+    this.fetchRange = fetcher.fetchRange;
+    this.fetchRanges = fetcher.fetchRanges;
+    this.delay = typeof options.delay === "number" ? options.delay : 5;
+    this.maxGap = typeof options.maxGap === "number" ? options.maxGap : 16384;
+    this.maxRequestBytes =
+      typeof options.maxRequestBytes === "number"
+        ? options.maxRequestBytes
+        : 4 * 1024 * 1024;
+    this.multipart = !!options.multipart && !!this.fetchRanges;
+    this.maxRanges =
+      typeof options.maxRanges === "number" ? options.maxRanges : 32;
+    this.pending = [];
+    this.timer = undefined;
+  }
+
+  getBytes(offset, length, signal, etag) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError());
+    }
+    return new Promise((resolve, reject) => {
+      const request = {
+        offset,
+        length,
+        signal,
+        etag,
+        resolve,
+        reject,
+        settled: false,
+      };
+      this.pending.push(request);
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.delay);
+      }
+    });
+  }
+
+  flush() {
+    const pending = this.pending;
+    this.pending = [];
+    this.timer = undefined;
+
+    const byEtag = new Map();
+    for (const request of pending) {
+      const key = request.etag || "";
+      if (!byEtag.has(key)) byEtag.set(key, []);
+      byEtag.get(key).push(request);
+    }
+    byEtag.forEach((requests, etag) => {
+      const spans = this.mergeRanges(requests);
+      if (this.multipart && spans.length > 1) {
+        for (let i = 0; i < spans.length; i += this.maxRanges) {
+          this.sendMultipart(spans.slice(i, i + this.maxRanges), etag);
+        }
+      } else {
+        spans.forEach((span) => this.sendSpan(span, etag));
+      }
+    });
+  }
+
+  mergeRanges(requests) {
+    requests.sort((a, b) => a.offset - b.offset);
+    const spans = [];
+    let span;
+    for (const request of requests) {
+      const end = request.offset + request.length;
+      if (
+        span &&
+        request.offset <= span.end + this.maxGap &&
+        Math.max(span.end, end) - span.offset <= this.maxRequestBytes
+      ) {
+        span.end = Math.max(span.end, end);
+        span.requests.push(request);
+      } else {
+        span = { offset: request.offset, end: end, requests: [request] };
+        spans.push(span);
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * Create a signal that aborts when every request in the group has aborted.
+   * Requests without a signal keep the shared request alive. Call release() once the
+   * shared request has settled to remove the listeners from the request signals.
+   */
+  sharedSignal(requests) {
+    const controller = new AbortController();
+    const listeners = [];
+    let waiting = requests.length;
+    const aborted = (request) => {
+      this.settle(request, undefined, abortError());
+      waiting -= 1;
+      if (waiting === 0) controller.abort();
+    };
+    requests.forEach((request) => {
+      if (!request.signal) return;
+      if (request.signal.aborted) {
+        // Aborted while waiting for the batch, the abort event has already fired
+        aborted(request);
+        return;
+      }
+      const listener = () => aborted(request);
+      request.signal.addEventListener("abort", listener, { once: true });
+      listeners.push({ signal: request.signal, listener: listener });
+    });
+    return {
+      signal: controller.signal,
+      release: () =>
+        listeners.forEach((l) =>
+          l.signal.removeEventListener("abort", l.listener),
+        ),
+    };
+  }
+
+  settle(request, result, error) {
+    if (request.settled) return;
+    request.settled = true;
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  resolveFromPart(request, part, resp) {
+    const start = request.offset - part.offset;
+    if (start < 0 || start + request.length > part.data.byteLength) {
+      return false;
+    }
+    this.settle(request, {
+      data: part.data.slice(start, start + request.length),
+      etag: resp.etag,
+      cacheControl: resp.cacheControl,
+      expires: resp.expires,
+    });
+    return true;
+  }
+
+  async sendSpan(span, etag) {
+    const shared = this.sharedSignal(span.requests);
+    try {
+      const resp = await this.fetchRange(
+        span.offset,
+        span.end - span.offset,
+        shared.signal,
+        etag || undefined,
+      );
+      const part = { offset: span.offset, data: resp.data };
+      span.requests.forEach((request) => {
+        if (!this.resolveFromPart(request, part, resp)) {
+          this.settle(
+            request,
+            undefined,
+            new Error(
+              `Server returned ${resp.data.byteLength} bytes for range starting at ${span.offset}, expected ${span.end - span.offset}`,
+            ),
+          );
+        }
+      });
+    } catch (e) {
+      span.requests.forEach((request) => this.settle(request, undefined, e));
+    } finally {
+      shared.release();
+    }
+  }
+
+  async sendMultipart(spans, etag) {
+    const requests = [];
+    spans.forEach((span) => requests.push(...span.requests));
+    const shared = this.sharedSignal(requests);
+    let resp;
+    try {
+      resp = await this.fetchRanges(
+        spans.map((span) => ({
+          offset: span.offset,
+          length: span.end - span.offset,
+        })),
+        shared.signal,
+        etag || undefined,
+      );
+    } catch (e) {
+      requests.forEach((request) => this.settle(request, undefined, e));
+      return;
+    } finally {
+      shared.release();
+    }
+    if (!resp) {
+      // The server does not answer multipart requests, use single ranges from now on
+      this.multipart = false;
+      spans.forEach((span) => this.sendSpan(span, etag));
+      return;
+    }
+    // Servers may coalesce ranges, so look up each request in any part covering it
+    spans.forEach((span) => {
+      const unresolved = span.requests.filter((request) => {
+        if (request.settled) return false;
+        return !resp.parts.some((part) =>
+          this.resolveFromPart(request, part, resp),
+        );
+      });
+      if (unresolved.length > 0) {
+        this.sendSpan(
+          {
+            offset: span.offset,
+            end: span.end,
+            requests: unresolved,
+          },
+          etag,
+        );
+      }
+    });
+  }
+}
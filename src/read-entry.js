@@ -0,0 +1,53 @@
+import * as fflate from "fflate";
+import getDataOffset from "./get-data-offset.js";
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Read the contents of a ZIP entry, inflating deflated entries.
+ *
+ * Entries of a directory have their own source and are read whole, their size is
+ * looked up when it is not known yet.
+ *
+ * @param {Source} source - The source of the TilePackage archive.
+ * @param {object} entry - An entry of header.files.
+ * @param {AbortSignal} [signal]
+ * @param {string} [etag]
+ * @param {number} [dataOffset] - Start of the entry data, when already resolved.
+ */
+export default async function readEntry(
+  source,
+  entry,
+  signal,
+  etag,
+  dataOffset,
+) {
+  if (
+    entry.compressionMethod !== STORED &&
+    entry.compressionMethod !== DEFLATED
+  ) {
+    throw new Error(
+      `Unsupported compression method ${entry.compressionMethod} for ${entry.filename}`,
+    );
+  }
+  if (dataOffset === undefined) {
+    dataOffset = await getDataOffset(source, entry, signal, etag);
+  }
+  const entrySource = entry.source || source;
+  let length = entry.compressedSize;
+  if (length === undefined) {
+    length = Number(await entrySource.getSize(signal));
+  }
+  const resp = await entrySource.getBytes(dataOffset, length, signal, etag);
+  if (entry.compressionMethod === DEFLATED) {
+    const compressed = ArrayBuffer.isView(resp.data)
+      ? resp.data
+      : new Uint8Array(resp.data);
+    const inflated = fflate.inflateSync(compressed, {
+      out: new Uint8Array(entry.size),
+    });
+    return Object.assign({}, resp, { data: inflated.buffer });
+  }
+  return resp;
+}
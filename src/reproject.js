@@ -0,0 +1,262 @@
+import getProjection from "./projection.js";
+import { isPng, decodePng, encodePng } from "./png.js";
+import decodeJpeg from "jpeg-js/lib/decoder.js";
+
+const WEB_MERCATOR_HALF_WIDTH = 20037508.342787;
+const EARTH_RADIUS = 6378137;
+// Ground resolution in meters per pixel of map scale 1:1 at 96 dpi
+const METERS_PER_PIXEL_PER_SCALE = 0.0254 / 96;
+// Refuse tiles that would need more source tiles than this
+const MAX_SOURCE_TILES = 64;
+
+const projections = new WeakMap();
+
+function projectionFor(tileMatrixSet) {
+  if (!projections.has(tileMatrixSet)) {
+    projections.set(tileMatrixSet, getProjection(tileMatrixSet));
+  }
+  const projection = projections.get(tileMatrixSet);
+  if (!projection) {
+    throw new Error(
+      `Reprojection from spatial reference ${
+        tileMatrixSet.latestWkid || tileMatrixSet.wkt
+      } is not supported`,
+    );
+  }
+  return projection;
+}
+
+function scaleToZoom(scale, tileSize) {
+  const resolution = scale * METERS_PER_PIXEL_PER_SCALE;
+  return Math.log2((2 * WEB_MERCATOR_HALF_WIDTH) / tileSize / resolution);
+}
+
+/**
+ * Return { minZoom, maxZoom } of the Web Mercator tiles a reprojected package can
+ * fill, estimated from the scales of its levels of detail.
+ */
+export function getReprojectedZoomRange(tileMatrixSet, tileSize) {
+  const scales = tileMatrixSet.lods
+    .map((lod) => lod.scale)
+    .filter((scale) => scale > 0);
+  if (scales.length === 0) {
+    throw new Error("Reprojection needs the scale of every level of detail");
+  }
+  return {
+    minZoom: Math.max(
+      0,
+      Math.floor(scaleToZoom(Math.max.apply(null, scales), tileSize)),
+    ),
+    maxZoom: Math.max(
+      0,
+      Math.ceil(scaleToZoom(Math.min.apply(null, scales), tileSize)),
+    ),
+  };
+}
+
+function canDecodeNatively() {
+  return (
+    typeof createImageBitmap === "function" &&
+    typeof OffscreenCanvas === "function"
+  );
+}
+
+function isJpeg(bytes) {
+  return bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+/**
+ * Decode JPEG, WebP and other formats the browser supports with an image bitmap
+ * drawn on an OffscreenCanvas. Unavailable in Node and some workers.
+ */
+async function decodeNatively(bytes) {
+  const bitmap = await createImageBitmap(new Blob([bytes]));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  return {
+    width: image.width,
+    height: image.height,
+    data: new Uint8Array(image.data.buffer),
+  };
+}
+
+/**
+ * Decode a tile into RGBA pixels: PNG in JavaScript, then the decodeImage option,
+ * the image decoding of the browser and, where there is none, JPEG in JavaScript.
+ */
+export function decodeImage(data, decode) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  if (isPng(bytes)) return decodePng(bytes);
+  if (decode) return decode(bytes);
+  if (canDecodeNatively()) return decodeNatively(bytes);
+  if (isJpeg(bytes)) {
+    return decodeJpeg(bytes, { useTArray: true, formatAsRGBA: true });
+  }
+  throw new Error(
+    "Only PNG and JPEG tiles can be reprojected without a decodeImage option outside the browser",
+  );
+}
+
+/**
+ * Build a Web Mercator tile by resampling the tiles of a package in another
+ * spatial reference.
+ *
+ * Each target pixel is projected into the source grid of the level of detail
+ * closest to the target resolution and bilinearly interpolated. Pixels outside
+ * the source tiles are transparent.
+ *
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {object} options
+ * @param {object} options.tileMatrixSet - header.tileMatrixSet of the package.
+ * @param {Function} options.getTile - (level, col, row) => Promise of the tile bytes or undefined.
+ * @param {number} [options.tileSize=256] - Size of the Web Mercator tile in pixels.
+ * @param {Function} [options.decodeImage] - Decoder for tiles that are not PNG, returning
+ *   { width, height, data } with RGBA pixels. Defaults to the image decoding of the
+ *   browser, or a JavaScript JPEG decoder where there is none. Needed for WebP and
+ *   other formats in Node.
+ * @returns {Promise<Uint8Array|undefined>} A PNG, or undefined when no source tile covers the tile.
+ */
+export default async function reprojectTile(z, x, y, options) {
+  const tileMatrixSet = options.tileMatrixSet;
+  const project = projectionFor(tileMatrixSet);
+  const size = options.tileSize || 256;
+  const resolution = (2 * WEB_MERCATOR_HALF_WIDTH) / (size * Math.pow(2, z));
+  const left = -WEB_MERCATOR_HALF_WIDTH + x * size * resolution;
+  const top = WEB_MERCATOR_HALF_WIDTH - y * size * resolution;
+  const toLonLat = (mx, my) => [
+    ((mx / EARTH_RADIUS) * 180) / Math.PI,
+    ((2 * Math.atan(Math.exp(my / EARTH_RADIUS)) - Math.PI / 2) * 180) /
+      Math.PI,
+  ];
+
+  // Source units per target pixel at the tile center
+  const center = toLonLat(
+    left + (size / 2) * resolution,
+    top - (size / 2) * resolution,
+  );
+  const east = toLonLat(
+    left + (size / 2 + 1) * resolution,
+    top - (size / 2) * resolution,
+  );
+  const a = project(center[0], center[1]);
+  const b = project(east[0], east[1]);
+  const needed = Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+  // The coarsest level that is at least as detailed as the target
+  const lods = tileMatrixSet.lods;
+  let lod = lods[lods.length - 1];
+  for (const candidate of lods) {
+    if (candidate.resolution <= needed * 1.01) {
+      lod = candidate;
+      break;
+    }
+  }
+  const origin = tileMatrixSet.origin;
+  const tileWidth = tileMatrixSet.tileWidth;
+  const tileHeight = tileMatrixSet.tileHeight;
+
+  // Source pixel coordinates of every target pixel center
+  const gx = new Float64Array(size * size);
+  const gy = new Float64Array(size * size);
+  const tiles = new Map();
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const lonLat = toLonLat(
+        left + (px + 0.5) * resolution,
+        top - (py + 0.5) * resolution,
+      );
+      const s = project(lonLat[0], lonLat[1]);
+      const i = py * size + px;
+      gx[i] = (s[0] - origin.x) / lod.resolution - 0.5;
+      gy[i] = (origin.y - s[1]) / lod.resolution - 0.5;
+      const x0 = Math.floor(gx[i]);
+      const y0 = Math.floor(gy[i]);
+      for (const sx of [x0, x0 + 1]) {
+        for (const sy of [y0, y0 + 1]) {
+          if (sx < 0 || sy < 0) continue;
+          const col = Math.floor(sx / tileWidth);
+          const row = Math.floor(sy / tileHeight);
+          tiles.set(`${col}/${row}`, { col, row, image: undefined });
+        }
+      }
+    }
+  }
+  if (tiles.size > MAX_SOURCE_TILES) {
+    throw new Error(
+      `Reprojected tile ${z}/${x}/${y} needs ${tiles.size} source tiles, zoom in further`,
+    );
+  }
+
+  await Promise.all(
+    Array.from(tiles.values()).map(async (tile) => {
+      const data = await options.getTile(lod.level, tile.col, tile.row);
+      if (data) {
+        tile.image = await decodeImage(data, options.decodeImage);
+      }
+    }),
+  );
+  if (!Array.from(tiles.values()).some((tile) => tile.image)) {
+    return undefined;
+  }
+
+  // Premultiplied RGBA of a source pixel, transparent outside the source tiles
+  const pixel = [0, 0, 0, 0];
+  const readPixel = (sx, sy) => {
+    pixel[0] = pixel[1] = pixel[2] = pixel[3] = 0;
+    if (sx < 0 || sy < 0) return pixel;
+    const col = Math.floor(sx / tileWidth);
+    const row = Math.floor(sy / tileHeight);
+    const tile = tiles.get(`${col}/${row}`);
+    if (!tile || !tile.image) return pixel;
+    const image = tile.image;
+    const ix = sx - col * tileWidth;
+    const iy = sy - row * tileHeight;
+    if (ix >= image.width || iy >= image.height) return pixel;
+    const o = (iy * image.width + ix) * 4;
+    const alpha = image.data[o + 3] / 255;
+    pixel[0] = image.data[o] * alpha;
+    pixel[1] = image.data[o + 1] * alpha;
+    pixel[2] = image.data[o + 2] * alpha;
+    pixel[3] = image.data[o + 3];
+    return pixel;
+  };
+
+  const out = new Uint8Array(size * size * 4);
+  const sum = [0, 0, 0, 0];
+  for (let i = 0; i < size * size; i++) {
+    const x0 = Math.floor(gx[i]);
+    const y0 = Math.floor(gy[i]);
+    const fx = gx[i] - x0;
+    const fy = gy[i] - y0;
+    sum[0] = sum[1] = sum[2] = sum[3] = 0;
+    const weights = [
+      [x0, y0, (1 - fx) * (1 - fy)],
+      [x0 + 1, y0, fx * (1 - fy)],
+      [x0, y0 + 1, (1 - fx) * fy],
+      [x0 + 1, y0 + 1, fx * fy],
+    ];
+    for (const [sx, sy, w] of weights) {
+      if (w === 0) continue;
+      const p = readPixel(sx, sy);
+      sum[0] += p[0] * w;
+      sum[1] += p[1] * w;
+      sum[2] += p[2] * w;
+      sum[3] += p[3] * w;
+    }
+    if (sum[3] > 0) {
+      const alpha = sum[3] / 255;
+      out[i * 4] = Math.round(sum[0] / alpha);
+      out[i * 4 + 1] = Math.round(sum[1] / alpha);
+      out[i * 4 + 2] = Math.round(sum[2] / alpha);
+      out[i * 4 + 3] = Math.round(sum[3]);
+    }
+  }
+  return encodePng({ width: size, height: size, data: out });
+}
@@ -1,218 +1,542 @@
-import getHeaderAndFileList from "./get-header-and-filelist.js";
-
-function deserializeIndex(dataView) {
-  const index = [];
-
-  //const M = BigInt(Math.pow(2, 40));
-  for (let row = 0; row < 128; row++) {
-    index[row] = [];
-    for (let col = 0; col < 128; col++) {
-      const tileIndexOffset = 8 * (128 * (row % 128) + (col % 128));
-      // eslint-disable-next-line no-undef
-      let tileOffset = BigInt(0);
-      for (let i = 4; i >= 0; i--) {
-        // Start from the last byte for little-endian
-        tileOffset =
-          // eslint-disable-next-line no-undef
-          (tileOffset << BigInt(8)) |
-          // eslint-disable-next-line no-undef
-          BigInt(dataView.getUint8(tileIndexOffset + i));
-      }
-      // eslint-disable-next-line no-undef
-      let tileSize = BigInt(0);
-      for (let i = 2; i >= 0; i--) {
-        // Start from the last byte for little-endian
-        tileSize =
-          // eslint-disable-next-line no-undef
-          (tileSize << BigInt(8)) |
-          // eslint-disable-next-line no-undef
-          BigInt(dataView.getUint8(tileIndexOffset + 5 + i));
-      }
-      if (tileSize > 0) {
-        index[row][col] = {
-          row: row,
-          col: col,
-          tileOffset: Number(tileOffset),
-          tileSize: Number(tileSize),
-        };
-      }
-    }
+import getHeaderAndFileList, { getEntry } from "./get-header-and-filelist.js";
+import toDataView from "./to-data-view.js";
+import getDataOffset from "./get-data-offset.js";
+import readEntry from "./read-entry.js";
+
+const COMPACT_V1 = "esriMapCacheStorageModeCompact";
+// Bundles with fewer lookups than this read single index records in "auto" mode
+const SPARSE_LOOKUPS = 16;
+
+/**
+ * Where the index record of a tile is stored.
+ *
+ * Compact cache V2 bundles hold an 8 byte record per tile in row-major order after
+ * the 64 byte bundle header: a 5 byte tile offset and a 3 byte tile size. V1 keeps
+ * the index in a separate .bundlx file, a 16 byte header and then a 5 byte bundle
+ * offset per tile in column-major order. The V1 tile size is stored in the bundle,
+ * in the 4 bytes in front of the tile.
+ */
+function getIndexLayout(file, header) {
+  if (header.storageFormat === COMPACT_V1) {
+    return {
+      file: file.replace(/\.bundle$/, ".bundlx"),
+      start: 16,
+      recordSize: 5,
+      recordOffset: (row, col) => 5 * (128 * col + row),
+      compactV1: true,
+    };
+  }
+  return {
+    file: file,
+    start: 64,
+    recordSize: 8,
+    recordOffset: (row, col) => 8 * (128 * row + col),
+    compactV1: false,
+  };
+}
+
+/**
+ * Decode the index record at byte p of dataView, or undefined for an empty tile.
+ *
+ * The 5 and 3 byte little-endian integers are combined arithmetically, offsets stay
+ * below 2^53 so no BigInt is needed.
+ */
+function readIndexRecord(dataView, p, layout, row, col) {
+  const offset =
+    dataView.getUint32(p, true) + dataView.getUint8(p + 4) * 0x100000000;
+  if (layout.compactV1) {
+    return { row: row, col: col, tileOffset: offset + 4, tileSize: undefined };
+  }
+  const tileSize =
+    dataView.getUint16(p + 5, true) + dataView.getUint8(p + 7) * 0x10000;
+  if (tileSize === 0) return undefined;
+  return { row: row, col: col, tileOffset: offset, tileSize: tileSize };
+}
+
+/**
+ * The raw 128x128 tile index of a bundle, records are decoded on lookup.
+ */
+class TileIndex {
+  constructor(dataView, layout) {
+    this.dataView = dataView;
+    this.layout = layout;
+  }
+
+  /**
+   * Return { row, col, tileOffset, tileSize } of the tile at row, col of the bundle,
+   * or undefined when the bundle has no such tile.
+   */
+  get(row, col) {
+    return readIndexRecord(
+      this.dataView,
+      this.layout.recordOffset(row, col),
+      this.layout,
+      row,
+      col,
+    );
+  }
+}
+
+// Byte budgets of the cache categories, sized for a desktop browser
+const DEFAULT_MAX_BYTES = {
+  header: 4 * 1024 * 1024,
+  tileIndex: 16 * 1024 * 1024,
+  resource: 16 * 1024 * 1024,
+  subdivided: 16 * 1024 * 1024,
+  // Decompressed tiles are only cached when given a budget
+  tile: 0,
+};
+// Bytes counted for every entry on top of its data, so small and failed entries are
+// bounded too
+const ENTRY_OVERHEAD = 64;
+// Bundles whose sparse lookups are counted for the switch to a full index
+const MAX_INDEX_LOOKUPS = 4096;
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Estimate the memory held by a header, its file list and coverage map.
+ */
+function headerBytes(header) {
+  let bytes = 1024;
+  // Directory headers only list the files read so far
+  Object.keys(header.files).forEach((file) => (bytes += 2 * file.length + 96));
+  const coverageMap = header.coverageMap;
+  if (coverageMap) {
+    Object.keys(coverageMap).forEach((z) => {
+      Object.keys(coverageMap[z]).forEach((x) => {
+        bytes += 48 * Object.keys(coverageMap[z][x]).length;
+      });
+    });
   }
+  return bytes;
+}
 
-  return index;
+/**
+ * Estimate the memory held by a cached value.
+ */
+function estimateBytes(value) {
+  if (value && value.files) return headerBytes(value);
+  if (value instanceof TileIndex) return value.dataView.byteLength;
+  const data = value && value.data !== undefined ? value.data : value;
+  return data && data.byteLength !== undefined ? data.byteLength : 0;
 }
 
-async function getResource(source, file, header, signal) {
-  const resp = await source.getBytes(
-    header.files[file].absoluteOffset,
-    header.files[file].size,
+async function getResource(source, dataOffset, file, header, signal) {
+  const resp = await readEntry(
+    source,
+    getEntry(header, file),
     signal,
     header.etag,
+    dataOffset,
   );
   return resp;
 }
 
-async function getTileIndex(source, file, header, signal) {
-  const offset = header.files[file].absoluteOffset + 64; // File header 64bytes
-  const resp = await source.getBytes(
-    offset,
-    128 * 128 * 8,
-    signal,
-    header.etag,
-  );
-  const dataView = new DataView(resp.data, 0, 128 * 128 * 8);
-  const directory = deserializeIndex(dataView);
-  if (directory.length === 0) {
-    throw new Error("Empty directory is invalid");
+async function getTileIndex(source, dataOffset, file, header, signal) {
+  const entry = getEntry(header, file);
+  if (entry.compressionMethod !== 0) {
+    throw new Error(
+      `${file} is compressed (method ${entry.compressionMethod}) and can not be read with random access. Repackage the archive with stored (uncompressed) bundle files.`,
+    );
   }
-  return directory;
+  const layout = getIndexLayout(file, header);
+  const indexSize = 128 * 128 * layout.recordSize;
+  let dataView;
+  if (layout.compactV1) {
+    const indexEntry = getEntry(header, layout.file);
+    if (!indexEntry) {
+      throw new Error(`Tile index ${layout.file} is missing`);
+    }
+    const resp = await readEntry(source, indexEntry, signal, header.etag);
+    dataView = toDataView(resp.data, layout.start, indexSize);
+  } else {
+    const resp = await (entry.source || source).getBytes(
+      dataOffset + layout.start,
+      indexSize,
+      signal,
+      header.etag,
+    );
+    dataView = toDataView(resp.data, 0, indexSize);
+  }
+  return new TileIndex(dataView, layout);
+}
+
+/**
+ * Copy the data of a cached tile, callers may transfer or detach the buffer they get.
+ */
+function copyTile(tile) {
+  if (!tile) return tile;
+  const data = ArrayBuffer.isView(tile.data)
+    ? tile.data.slice()
+    : tile.data.slice(0);
+  return Object.assign({}, tile, { data: data });
 }
 
 /**
  * A cache for parts of a TilePackage archive where promises can be shared between requests.
  *
- * Only caches headers, resource files, and directories, not individual tile contents.
+ * Caches headers, resource files, tile indexes and synthesized tiles, and with a
+ * tile budget the decompressed tiles themselves. All entries share one least recently used order, each
+ * category is evicted down to its own byte budget. Sizes are counted once a
+ * promise resolves.
  */
 export default class SharedPromiseCache {
-  constructor(maxCacheEntries = 100) {
+  /**
+   * @param {object|number} [options]
+   * @param {object} [options.maxBytes] - Byte budgets { header, tileIndex, resource, subdivided, tile },
+   *   merged with the defaults of 4, 16, 16, 16 and 0 MB. Tiles are not cached by default.
+   * @param {number} [options.maxEntries] - Also cap the number of entries. A number
+   *   instead of options is taken as maxEntries, the former maxCacheEntries.
+   */
+  constructor(options) {
+    if (typeof options === "number") options = { maxEntries: options };
+    options = options || {};
+    this.maxBytes = Object.assign({}, DEFAULT_MAX_BYTES, options.maxBytes);
+    this.maxEntries = options.maxEntries > 0 ? options.maxEntries : Infinity;
+    // key -> { category, data, bytes }, least recently used first
     this.cache = new Map();
     this.invalidations = new Map();
-    this.maxCacheEntries = maxCacheEntries;
-    this.counter = 1;
-    //this.decompress = decompress;
-    this.subdivided = new Map(); // key: sourceKey|z|x|y -> Uint8Array
-  }
-
-  async getHeader(source) {
-    const cacheKey = source.getKey();
-    const cacheValue = this.cache.get(cacheKey);
-    if (cacheValue) {
-      cacheValue.lastUsed = this.counter++;
-      const data = await cacheValue.data;
-      return data;
+    this.indexLookups = new Map(); // key: sourceKey|etag|file -> sparse lookups
+    this.stats = {};
+    Object.keys(this.maxBytes).forEach((category) => {
+      this.stats[category] = {
+        entries: 0,
+        bytes: 0,
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+      };
+    });
+  }
+
+  /**
+   * Return the entry for key and mark it as most recently used.
+   */
+  lookup(category, key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      this.stats[category].misses++;
+      return undefined;
     }
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.stats[category].hits++;
+    return entry;
+  }
 
-    const p = new Promise((resolve, reject) => {
-      getHeaderAndFileList(source)
-        .then((res) => {
-          /*
-          if (res[1]) {
-            this.cache.set(res[1][0], {
-              lastUsed: this.counter++,
-              data: Promise.resolve(res[1][2]),
-            });
-          }*/
-          resolve(res[0]);
-          this.prune();
-        })
-        .catch((e) => {
+  store(category, key, data, bytes) {
+    this.remove(key);
+    const entry = { category: category, data: data, bytes: ENTRY_OVERHEAD };
+    this.cache.set(key, entry);
+    this.stats[category].entries++;
+    this.stats[category].bytes += entry.bytes;
+    this.resize(key, entry, bytes);
+    return entry;
+  }
+
+  /**
+   * Update the size of an entry, unless it was evicted in the meantime.
+   */
+  resize(key, entry, bytes) {
+    if (this.cache.get(key) !== entry) return;
+    const size = ENTRY_OVERHEAD + bytes;
+    this.stats[entry.category].bytes += size - entry.bytes;
+    entry.bytes = size;
+    this.prune(entry.category);
+  }
+
+  remove(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return undefined;
+    this.cache.delete(key);
+    this.stats[entry.category].entries--;
+    this.stats[entry.category].bytes -= entry.bytes;
+    return entry;
+  }
+
+  /**
+   * Evict the least recently used entries of a category until it fits its budget.
+   */
+  prune(category) {
+    const stats = this.stats[category];
+    for (const [key, entry] of this.cache) {
+      const overBytes = stats.bytes > this.maxBytes[category];
+      const overEntries = this.cache.size > this.maxEntries;
+      if (!overBytes && !overEntries) break;
+      if (overEntries || entry.category === category) {
+        this.remove(key);
+        this.stats[entry.category].evictions++;
+      }
+    }
+  }
+
+  /**
+   * Share the promise of load(sharedSignal) between all requests for the same key.
+   *
+   * load runs on its own signal, which is aborted only when every request waiting
+   * for it has been aborted, so cancelling the first request does not fail the
+   * others. Failed loads are evicted right away and tried again by the next request.
+   */
+  async shared(category, key, load, signal) {
+    if (signal && signal.aborted) throw abortError();
+    let entry = this.lookup(category, key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = this.store(category, key, undefined, 0);
+      entry.controller = controller;
+      entry.waiters = 0;
+      entry.settled = false;
+      entry.data = load(controller.signal);
+      const settled = entry;
+      settled.data.then(
+        (value) => {
+          settled.settled = true;
+          this.resize(key, settled, estimateBytes(value));
+        },
+        () => {
+          settled.settled = true;
+          if (this.cache.get(key) === settled) this.remove(key);
+        },
+      );
+    }
+    return await this.waitFor(key, entry, signal);
+  }
+
+  /**
+   * Wait for the promise of an entry until it settles or signal aborts.
+   */
+  waitFor(key, entry, signal) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    entry.waiters++;
+    if (!signal) return entry.data;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(abortError());
+        entry.waiters--;
+        if (entry.waiters === 0 && !entry.settled) {
+          // Nobody is waiting for the result anymore
+          if (this.cache.get(key) === entry) this.remove(key);
+          entry.controller.abort();
+        }
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.data.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (e) => {
+          signal.removeEventListener("abort", onAbort);
           reject(e);
-        });
+        },
+      );
+    });
+  }
+
+  /**
+   * Return { entries, bytes, maxBytes, hits, misses, evictions } for every category.
+   */
+  getStats() {
+    const stats = {};
+    Object.keys(this.stats).forEach((category) => {
+      stats[category] = Object.assign(
+        { maxBytes: this.maxBytes[category] },
+        this.stats[category],
+      );
     });
-    this.cache.set(cacheKey, { lastUsed: this.counter++, data: p });
-    return p;
+    return stats;
+  }
+
+  /**
+   * Read the header of a package, packageType skips detection of the package type.
+   */
+  async getHeader(source, packageType) {
+    const key = packageType
+      ? `${source.getKey()}|${packageType}`
+      : source.getKey();
+    return await this.shared("header", key, () =>
+      getHeaderAndFileList(source, packageType).then((res) => res[0]),
+    );
   }
 
   async getResource(source, file, header, signal) {
     const cacheKey = `${source.getKey()}|${header.etag || ""}|${file}|Resource`;
-    const cacheValue = this.cache.get(cacheKey);
-    if (cacheValue) {
-      cacheValue.lastUsed = this.counter++;
-      const data = await cacheValue.data;
-      return data;
-    }
-    const p = new Promise((resolve, reject) => {
-      getResource(source, file, header, signal)
-        .then((resource) => {
-          resolve(resource);
-          this.prune();
-        })
-        .catch((e) => {
-          reject(e);
-        });
-    });
-    this.cache.set(cacheKey, { lastUsed: this.counter++, data: p });
-    return p;
+    return await this.shared(
+      "resource",
+      cacheKey,
+      (sharedSignal) =>
+        this.getDataOffset(source, file, header, sharedSignal).then(
+          (dataOffset) =>
+            getResource(source, dataOffset, file, header, sharedSignal),
+        ),
+      signal,
+    );
   }
 
   async getTileIndex(source, file, header, signal) {
     const cacheKey = `${source.getKey()}|${
       header.etag || ""
     }|${file}|TileIndex`;
-    const cacheValue = this.cache.get(cacheKey);
-    if (cacheValue) {
-      cacheValue.lastUsed = this.counter++;
-      const data = await cacheValue.data;
-      return data;
-    }
-    const p = new Promise((resolve, reject) => {
-      getTileIndex(source, file, header, signal)
-        .then((directory) => {
-          resolve(directory);
-          this.prune();
-        })
-        .catch((e) => {
-          reject(e);
-        });
-    });
-    this.cache.set(cacheKey, { lastUsed: this.counter++, data: p });
-    return p;
-  }
-
-  prune() {
-    if (this.cache.size >= this.maxCacheEntries) {
-      let minUsed = Infinity;
-      let minKey = undefined;
-      this.cache.forEach((cacheValue, key) => {
-        if (cacheValue.lastUsed < minUsed) {
-          minUsed = cacheValue.lastUsed;
-          minKey = key;
+    return await this.shared(
+      "tileIndex",
+      cacheKey,
+      (sharedSignal) =>
+        this.getDataOffset(source, file, header, sharedSignal).then(
+          (dataOffset) =>
+            getTileIndex(source, dataOffset, file, header, sharedSignal),
+        ),
+      signal,
+    );
+  }
+
+  /**
+   * Look up the index record of the tile at row, col of a bundle, or undefined when
+   * the bundle has no such tile.
+   *
+   * mode "full" reads the whole 128x128 index of the bundle once, "sparse" reads
+   * only the record of the tile. "auto" reads single records until a bundle has
+   * been looked up often, then switches to the full index. Single records are kept
+   * in the tileIndex budget, only records read from the archive count as lookups.
+   */
+  async getTileRecord(source, file, header, row, col, signal, mode = "auto") {
+    const key = `${source.getKey()}|${header.etag || ""}|${file}`;
+    const recordKey = `${key}|${row}|${col}|TileRecord`;
+    const layout = getIndexLayout(file, header);
+    const entry = getEntry(header, layout.file);
+    // Missing or compressed indexes are handled, or rejected, by getTileIndex
+    let sparse =
+      mode !== "full" &&
+      !this.cache.has(`${key}|TileIndex`) &&
+      !!entry &&
+      getEntry(header, file).compressionMethod === 0 &&
+      entry.compressionMethod === 0;
+    if (sparse && mode === "auto" && !this.cache.has(recordKey)) {
+      const lookups = (this.indexLookups.get(key) || 0) + 1;
+      if (lookups > SPARSE_LOOKUPS) {
+        this.indexLookups.delete(key);
+        sparse = false;
+      } else {
+        if (this.indexLookups.size >= MAX_INDEX_LOOKUPS) {
+          this.indexLookups.clear();
         }
-      });
-      if (minKey) {
-        this.cache.delete(minKey);
+        this.indexLookups.set(key, lookups);
       }
     }
+    if (!sparse) {
+      const tileIndex = await this.getTileIndex(source, file, header, signal);
+      return tileIndex.get(row, col);
+    }
+    return await this.shared(
+      "tileIndex",
+      recordKey,
+      async (sharedSignal) => {
+        const dataOffset = await this.getDataOffset(
+          source,
+          layout.file,
+          header,
+          sharedSignal,
+        );
+        const resp = await (entry.source || source).getBytes(
+          dataOffset + layout.start + layout.recordOffset(row, col),
+          layout.recordSize,
+          sharedSignal,
+          header.etag,
+        );
+        return readIndexRecord(
+          toDataView(resp.data, 0, layout.recordSize),
+          0,
+          layout,
+          row,
+          col,
+        );
+      },
+      signal,
+    );
+  }
+
+  async getDataOffset(source, file, header, signal) {
+    const cacheKey = `${source.getKey()}|${
+      header.etag || ""
+    }|${file}|DataOffset`;
+    return await this.shared(
+      "header",
+      cacheKey,
+      (sharedSignal) =>
+        getDataOffset(
+          source,
+          getEntry(header, file),
+          sharedSignal,
+          header.etag,
+        ),
+      signal,
+    );
+  }
+
+  /**
+   * Share the tile of load(signal) between concurrent requests and keep it within
+   * the tile budget, keyed by ETag so tiles of a replaced archive are not served.
+   * Without a tile budget load() is called for every request.
+   *
+   * variant names the options of the package the tile depends on, so packages of
+   * the same source with other options do not share it.
+   */
+  async getTile(source, header, z, x, y, variant, load, signal) {
+    if (!(this.maxBytes.tile > 0)) return await load(signal);
+    const key = `${source.getKey()}|${header.etag || ""}|${variant}|${z}|${x}|${y}|Tile`;
+    return copyTile(await this.shared("tile", key, load, signal));
   }
 
   getSubdivided(source, z, x, y) {
     const key = `${source.getKey()}|${z}|${x}|${y}|Subdivided`;
-    return this.subdivided.get(key);
+    const entry = this.lookup("subdivided", key);
+    return entry ? entry.data : undefined;
   }
 
+  /**
+   * Keep a synthesized tile in the subdivided budget. Does nothing with a tile
+   * budget, getTile then keeps the synthesized tile like any other.
+   */
   setSubdivided(source, z, x, y, bytes) {
+    if (this.maxBytes.tile > 0) return;
     const key = `${source.getKey()}|${z}|${x}|${y}|Subdivided`;
-    if (!this.subdivided.has(key)) {
-      this.subdivided.set(key, bytes);
-      // Optional lightweight prune if huge:
-      if (this.subdivided.size > this.maxCacheEntries * 2) {
-        // Remove oldest half (no usage tracking kept; iterate arbitrary)
-        let toRemove = Math.floor(this.subdivided.size / 2);
-        for (const k of this.subdivided.keys()) {
-          this.subdivided.delete(k);
-          toRemove--;
-          if (toRemove <= 0) break;
-        }
-      }
+    if (!this.cache.has(key)) {
+      this.store("subdivided", key, bytes, bytes.byteLength);
     }
   }
 
-  async invalidate(source) {
+  async invalidate(source, packageType) {
     const key = source.getKey();
     if (this.invalidations.get(key)) {
       return await this.invalidations.get(key);
     }
-    this.cache.delete(source.getKey());
+    this.remove(key);
+    // Headers read with a packageType, synthesized tiles which are not keyed by ETag,
+    // and tiles of the previous ETag which are never read again
+    for (const [k, entry] of this.cache) {
+      if (
+        (entry.category === "header" ||
+          entry.category === "subdivided" ||
+          entry.category === "tile") &&
+        k.startsWith(`${key}|`)
+      ) {
+        this.remove(k);
+      }
+    }
     const p = new Promise((resolve, reject) => {
-      this.getHeader(source)
+      this.getHeader(source, packageType)
         .then(() => {
           resolve();
           this.invalidations.delete(key);
         })
         .catch((e) => {
+          this.invalidations.delete(key);
           reject(e);
         });
     });
     this.invalidations.set(key, p);
+    return await p;
   }
 }
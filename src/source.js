@@ -1,4 +1,77 @@
 /* global globalThis */
+import RangeBatcher from "./range-batcher.js";
+import parseMultipartByteranges, {
+  parseContentRange,
+} from "./parse-multipart-byteranges.js";
+
+function abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+function statusError(resp) {
+  const e = new Error(`Bad response code: ${resp.status}`);
+  e.status = resp.status;
+  const retryAfter = resp.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    if (!isNaN(delay)) e.retryAfter = Math.max(0, delay);
+  }
+  return e;
+}
+
+function isRetryable(e) {
+  if (e.status >= 500) return true;
+  if (e.status === 429) return e.retryAfter !== undefined;
+  // fetch rejects with a TypeError on network failures
+  return e instanceof TypeError;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Thrown by a Source when the archive changed since the header was read, detected
+ * by a different ETag or Last-Modified value or by a 416 response.
+ *
+ * etag is the validator the request was made with, newEtag the one returned by the server.
+ */
+export class EtagMismatch extends Error {
+  constructor(message, etag, newEtag) {
+    super(message);
+    this.name = "EtagMismatch";
+    this.etag = etag;
+    this.newEtag = newEtag;
+  }
+}
+
+/**
+ * Thrown by FetchSource when a request still fails after being retried, or when a
+ * request times out. Failures without a retry are thrown unchanged.
+ *
+ * attempts holds one { attempt, status, error } entry per request made.
+ */
+export class FetchError extends Error {
+  constructor(message, attempts, cause) {
+    super(message);
+    this.name = "FetchError";
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
 
 /**
  * Interface for retrieving an archive from remote or local storage.
@@ -42,13 +115,79 @@ export class FileSource extends Source {
   }
 }
 
+let bufferSourceCount = 0;
+
+/**
+ * Serve an archive that is already held in memory as an ArrayBuffer or typed array.
+ *
+ * getBytes returns Uint8Array views into the original buffer, no bytes are copied.
+ * Without options.key each instance gets its own key ("buffer-1", "buffer-2", ...),
+ * so separate buffers never share cache entries.
+ */
+export class BufferSource extends Source {
+  constructor(buffer, options) {
+    super();
+    if (ArrayBuffer.isView(buffer)) {
+      this.bytes = new Uint8Array(
+        buffer.buffer,
+        buffer.byteOffset,
+        buffer.byteLength,
+      );
+    } else if (buffer instanceof ArrayBuffer) {
+      this.bytes = new Uint8Array(buffer);
+    } else {
+      throw new Error("BufferSource requires an ArrayBuffer or a typed array");
+    }
+    this.key =
+      options && options.key ? options.key : `buffer-${++bufferSourceCount}`;
+    if (options && options.coverageCheck) {
+      this.coverageCheck = options.coverageCheck;
+    }
+  }
+
+  getKey() {
+    return this.key;
+  }
+
+  async getSize() {
+    return this.bytes.byteLength;
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async getBytes(offset, length, passedSignal, etag) {
+    if (offset < 0 || offset + length > this.bytes.byteLength) {
+      throw new Error(
+        `Requested range ${offset}-${offset + length - 1} is outside the buffer of ${this.bytes.byteLength} bytes`,
+      );
+    }
+    return { data: this.bytes.subarray(offset, offset + length) };
+  }
+}
+
 /**
  * Uses the browser Fetch API to make tile requests via HTTP.
  *
  * This method does not send conditional request headers If-Match because of CORS.
  * Instead, it detects ETag mismatches via the response ETag or the 416 response code.
+ * Weak ETags are compared as well, and Last-Modified is used as validator when the
+ * server sends no ETag. A mismatch throws EtagMismatch.
  *
  * This also works around browser and storage-specific edge cases.
+ *
+ * Set the batchRequests option (true or an options object for RangeBatcher) to collect
+ * getBytes calls made within a few milliseconds and merge nearby ranges into fewer
+ * requests, optionally as multipart/byteranges requests.
+ *
+ * Requests failing with a network error, a 5xx status or a 429 status with Retry-After
+ * are retried maxRetries times (default 0) with exponential backoff and jitter, starting
+ * at retryDelay ms (default 250) and capped at maxRetryDelay ms (default 8000). Each
+ * request is aborted after timeout ms (default 0, no timeout).
+ *
+ * The transformRequest option, async (url, range, { refresh }) => ({ url, headers }),
+ * is called before every request to supply a fresh URL and headers, for example
+ * a token or a pre-signed URL. range is { offset, length }, an array of those for
+ * multipart requests, or undefined for HEAD requests. On a 401 or 403 response the
+ * hook is called again with refresh set to true and the request is retried once.
  */
 export class FetchSource extends Source {
   constructor(url, options, customHeaders = new Headers()) {
@@ -78,41 +217,120 @@ export class FetchSource extends Source {
     if (options && options.coverageCheck) {
       this.coverageCheck = options.coverageCheck;
     }
+    this.timeout = options && options.timeout > 0 ? options.timeout : 0;
+    this.maxRetries =
+      options && options.maxRetries > 0 ? options.maxRetries : 0;
+    this.retryDelay =
+      options && typeof options.retryDelay === "number"
+        ? options.retryDelay
+        : 250;
+    this.maxRetryDelay =
+      options && typeof options.maxRetryDelay === "number"
+        ? options.maxRetryDelay
+        : 8000;
+    this.transformRequest =
+      options && options.transformRequest
+        ? options.transformRequest
+        : undefined;
+    if (options && options.batchRequests) {
+      this.batcher = new RangeBatcher(
+        {
+          fetchRange: (offset, length, signal, etag) =>
+            this.fetchBytes(offset, length, signal, etag),
+          fetchRanges: (ranges, signal, etag) =>
+            this.fetchMultipartBytes(ranges, signal, etag),
+        },
+        options.batchRequests === true ? {} : options.batchRequests,
+      );
+    }
   }
 
   getKey() {
     return this.url;
   }
 
+  /**
+   * Run a request attempt with the configured timeout, retrying failures that are safe to retry.
+   *
+   * The attempt receives its own AbortController which is aborted on timeout or when
+   * passedSignal aborts.
+   */
+  async withRetry(passedSignal, attemptRequest) {
+    const attempts = [];
+    for (let attempt = 1; ; attempt++) {
+      if (passedSignal && passedSignal.aborted) throw abortError();
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (passedSignal) passedSignal.addEventListener("abort", onAbort);
+      let timedOut = false;
+      let timer;
+      if (this.timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, this.timeout);
+      }
+      try {
+        return await attemptRequest(controller.signal, controller);
+      } catch (e) {
+        if (passedSignal && passedSignal.aborted) throw e;
+        if (e instanceof EtagMismatch) throw e;
+        attempts.push({
+          attempt: attempt,
+          status: e.status,
+          error: timedOut
+            ? `Request timed out after ${this.timeout} ms`
+            : e.message,
+        });
+        const retryable = timedOut || isRetryable(e);
+        const backoff = Math.min(
+          this.maxRetryDelay,
+          this.retryDelay * Math.pow(2, attempt - 1),
+        );
+        const delay =
+          e.retryAfter !== undefined ? e.retryAfter : Math.random() * backoff;
+        if (
+          !retryable ||
+          attempt > this.maxRetries ||
+          delay > this.maxRetryDelay
+        ) {
+          // Without a retry callers see the original error, except for timeouts
+          // which would otherwise surface as an AbortError
+          if (attempts.length === 1 && !timedOut) throw e;
+          throw new FetchError(
+            `Request for ${this.url} failed after ${attempts.length} attempt${
+              attempts.length > 1 ? "s" : ""
+            }: ${attempts[attempts.length - 1].error}`,
+            attempts,
+            e,
+          );
+        }
+        await sleep(delay, passedSignal);
+      } finally {
+        clearTimeout(timer);
+        if (passedSignal) passedSignal.removeEventListener("abort", onAbort);
+      }
+    }
+  }
+
   // eslint-disable-next-line no-unused-vars
   async getSize(passedSignal, etag) {
     if (this.size) return this.size;
+    return await this.withRetry(passedSignal, (signal, controller) =>
+      this.getSizeAttempt(signal, controller),
+    );
+  }
 
-    let controller;
-    let signal;
-    if (passedSignal) {
-      signal = passedSignal;
-    } else {
-      controller = new AbortController();
-      signal = controller.signal;
-    }
-
-    const requestHeaders = new Headers(this.customHeaders);
-    requestHeaders.set("range", `bytes=${0}-${4}`);
+  async getSizeAttempt(signal, controller) {
+    const resp = await this.request(
+      { offset: 0, length: 5 },
+      { signal: signal, cache: this.cacheMode() },
+    );
 
-    let cache;
-    if (this.mustReload) {
-      cache = "reload";
-    } else if (this.chromeWindowsNoCache) {
-      cache = "no-store";
+    if (!resp.ok) {
+      throw statusError(resp);
     }
 
-    const resp = await fetch(this.url, {
-      signal: signal,
-      cache: cache,
-      headers: requestHeaders,
-    });
-
     //Making sure that the server supports content-range and getting the file size
     const contentRange = resp.headers.get("Content-Range");
     if (resp.status === 206 && contentRange) {
@@ -127,18 +345,20 @@ export class FetchSource extends Source {
       // Getting head is much slower but works. We need to get the size
       // of the file in some way since zip files has the catalog
       // directory at the end.
-      const response = await fetch(this.url, {
+      const response = await this.request(undefined, {
         method: "HEAD",
+        signal: signal,
       });
       if (response.ok) {
         const fileSize = response.headers.get("Content-Length");
         this.size = fileSize;
         return fileSize;
       }
+      throw statusError(response);
     }
 
     if (resp.status === 200 && !contentRange) {
-      if (controller) controller.abort();
+      controller.abort();
       throw new Error(
         "Server returned no content-length header or content-length exceeding request. Check that your storage backend supports HTTP Byte Serving.",
       );
@@ -179,31 +399,81 @@ export class FetchSource extends Source {
     this.customHeaders = customHeaders;
   }
 
-  async getBytes(offset, length, passedSignal, etag) {
-    let controller;
-    let signal;
-    if (passedSignal) {
-      signal = passedSignal;
-    } else {
-      controller = new AbortController();
-      signal = controller.signal;
+  setTransformRequest(transformRequest) {
+    this.transformRequest = transformRequest;
+  }
+
+  cacheMode() {
+    if (this.mustReload) return "reload";
+    if (this.chromeWindowsNoCache) return "no-store";
+    return undefined;
+  }
+
+  /**
+   * Build the URL and headers for a request, asking transformRequest for fresh values.
+   */
+  async prepareRequest(range, refresh) {
+    let url = this.url;
+    const headers = new Headers(this.customHeaders);
+    if (this.transformRequest) {
+      const transformed = await this.transformRequest(this.url, range, {
+        refresh: refresh,
+      });
+      if (transformed && transformed.url) url = transformed.url;
+      if (transformed && transformed.headers) {
+        new Headers(transformed.headers).forEach((value, name) => {
+          headers.set(name, value);
+        });
+      }
+    }
+    if (range) {
+      const ranges = Array.isArray(range) ? range : [range];
+      headers.set(
+        "range",
+        `bytes=${ranges
+          .map((r) => `${r.offset}-${r.offset + r.length - 1}`)
+          .join(",")}`,
+      );
     }
+    return { url, headers };
+  }
 
-    const requestHeaders = new Headers(this.customHeaders);
-    requestHeaders.set("range", `bytes=${offset}-${offset + length - 1}`);
+  async request(range, init) {
+    let prepared = await this.prepareRequest(range, false);
+    let resp = await fetch(
+      prepared.url,
+      Object.assign({}, init, { headers: prepared.headers }),
+    );
+    if ((resp.status === 401 || resp.status === 403) && this.transformRequest) {
+      // Credentials may have expired, ask for new ones and try once more
+      if (resp.body) resp.body.cancel();
+      prepared = await this.prepareRequest(range, true);
+      resp = await fetch(
+        prepared.url,
+        Object.assign({}, init, { headers: prepared.headers }),
+      );
+    }
+    return resp;
+  }
 
-    let cache;
-    if (this.mustReload) {
-      cache = "reload";
-    } else if (this.chromeWindowsNoCache) {
-      cache = "no-store";
+  async getBytes(offset, length, passedSignal, etag) {
+    if (this.batcher) {
+      return await this.batcher.getBytes(offset, length, passedSignal, etag);
     }
+    return await this.fetchBytes(offset, length, passedSignal, etag);
+  }
 
-    let resp = await fetch(this.url, {
-      signal: signal,
-      cache: cache,
-      headers: requestHeaders,
-    });
+  async fetchBytes(offset, length, passedSignal, etag) {
+    return await this.withRetry(passedSignal, (signal, controller) =>
+      this.fetchBytesAttempt(offset, length, signal, controller, etag),
+    );
+  }
+
+  async fetchBytesAttempt(offset, length, signal, controller, etag) {
+    let resp = await this.request(
+      { offset: offset, length: length },
+      { signal: signal, cache: this.cacheMode() },
+    );
 
     if (offset === 0 && resp.status === 416) {
       const contentRange = resp.headers.get("Content-Range");
@@ -211,32 +481,17 @@ export class FetchSource extends Source {
         throw new Error("Missing content-length on 416 response");
       }
       const actualLength = +contentRange.substr(8);
-      resp = await fetch(this.url, {
-        signal: signal,
-        cache: "reload",
-        headers: { range: `bytes=0-${actualLength - 1}` },
-      });
-    }
-
-    let newEtag = resp.headers.get("Etag");
-    if (newEtag && newEtag.startsWith("W/")) {
-      newEtag = null;
-    }
-
-    if (resp.status === 416 || (etag && newEtag && newEtag !== etag)) {
-      this.mustReload = true;
-      throw new Error(
-        `Server returned non-matching ETag ${etag} after one retry. Check browser extensions and servers for issues that may affect correct ETag headers.`,
+      resp = await this.request(
+        { offset: 0, length: actualLength },
+        { signal: signal, cache: "reload" },
       );
     }
 
-    if (resp.status >= 300) {
-      throw new Error(`Bad response code: ${resp.status}`);
-    }
+    const newEtag = this.checkResponse(resp, etag);
 
     const contentLength = resp.headers.get("Content-Length");
     if (resp.status === 200 && (!contentLength || +contentLength > length)) {
-      if (controller) controller.abort();
+      controller.abort();
       throw new Error(
         "Server returned no content-length header or content-length exceeding request. Check that your storage backend supports HTTP Byte Serving.",
       );
@@ -249,4 +504,90 @@ export class FetchSource extends Source {
       expires: resp.headers.get("Expires") || undefined,
     };
   }
+
+  /**
+   * Throw EtagMismatch or a status error for a failed response, otherwise return the
+   * validator of the response: the ETag (weak or strong), or Last-Modified without ETag.
+   *
+   * The kind of validator is recorded from responses to requests without an expected
+   * etag, and later responses are only compared by that header, so a server or CDN
+   * that omits the ETag on some responses is not mistaken for a changed archive.
+   */
+  checkResponse(resp, etag) {
+    const etagHeader = resp.headers.get("Etag");
+    const lastModified = resp.headers.get("Last-Modified");
+    if (!etag && resp.ok && (etagHeader || lastModified)) {
+      this.validator = etagHeader ? "etag" : "last-modified";
+    }
+    let newEtag = etagHeader || lastModified || null;
+    if (this.validator === "etag") newEtag = etagHeader;
+    if (this.validator === "last-modified") newEtag = lastModified;
+
+    if (resp.status === 416 || (etag && newEtag && newEtag !== etag)) {
+      this.mustReload = true;
+      this.size = undefined;
+      throw new EtagMismatch(
+        resp.status === 416
+          ? `Server returned 416 for ${this.url}, the archive has changed size.`
+          : `Archive at ${this.url} has changed, expected ETag ${etag} but got ${newEtag}.`,
+        etag,
+        newEtag || undefined,
+      );
+    }
+
+    if (resp.status >= 300) {
+      throw statusError(resp);
+    }
+    return newEtag;
+  }
+
+  /**
+   * Request several ranges at once with a multipart/byteranges request.
+   *
+   * Returns undefined when the server ignores the multipart request, so the caller
+   * can fall back to single range requests.
+   */
+  async fetchMultipartBytes(ranges, passedSignal, etag) {
+    return await this.withRetry(passedSignal, (signal) =>
+      this.fetchMultipartBytesAttempt(ranges, signal, etag),
+    );
+  }
+
+  async fetchMultipartBytesAttempt(ranges, signal, etag) {
+    const resp = await this.request(ranges, {
+      signal: signal,
+      cache: this.cacheMode(),
+    });
+    const newEtag = this.checkResponse(resp, etag);
+    const result = {
+      etag: newEtag || undefined,
+      cacheControl: resp.headers.get("Cache-Control") || undefined,
+      expires: resp.headers.get("Expires") || undefined,
+    };
+
+    const contentType = resp.headers.get("Content-Type") || "";
+    const boundary = /boundary="?([^";]+)"?/i.exec(contentType);
+    if (resp.status === 206 && /^multipart\/byteranges/i.test(contentType)) {
+      if (!boundary) {
+        throw new Error("Missing boundary in multipart/byteranges response");
+      }
+      result.parts = parseMultipartByteranges(
+        await resp.arrayBuffer(),
+        boundary[1],
+      );
+      return result;
+    }
+    if (resp.status === 206) {
+      // The server coalesced all ranges into a single range
+      const range = parseContentRange(resp.headers.get("Content-Range"));
+      if (range) {
+        result.parts = [
+          { offset: range.offset, data: await resp.arrayBuffer() },
+        ];
+        return result;
+      }
+    }
+    if (resp.body) resp.body.cancel();
+    return undefined;
+  }
 }
@@ -0,0 +1,228 @@
+import toDataView from "./to-data-view.js";
+import { EtagMismatch } from "./source.js";
+import { isDirectory } from "./directory-source.js";
+import { TILE_ROOTS } from "./calculate-filename.js";
+import {
+  assertCompatible,
+  levelToZoom,
+  lonLatToTile,
+} from "./tile-matrix-set.js";
+
+const BUNDLE_PATTERN = /\/L(\d+)\/R([0-9a-f]+)C([0-9a-f]+)\.bundle$/i;
+
+/**
+ * Async iterator over every tile stored in the bundles of a TilePackage, bundle by
+ * bundle in level order and row-major within a bundle.
+ *
+ * Each value is { z, x, y, level, offset, size, file, getData(signal) }: offset and
+ * size locate the stored, possibly compressed, tile within the archive (within the
+ * bundle file for directories) and getData reads and decompresses it on demand.
+ *
+ * The iteration protocol is implemented by hand, the source targets ES2017 which
+ * has no async generators. Use with for await.
+ *
+ * The offsets of a republished archive differ, so an iteration is not resumed after
+ * an EtagMismatch: next() and getData() let the package reload its header and
+ * dispatch archivechanged, then throw the EtagMismatch.
+ */
+export default class TileIterator {
+  /**
+   * @param {TilePackage} pkg
+   * @param {object} [options]
+   * @param {number} [options.minZoom]
+   * @param {number} [options.maxZoom]
+   * @param {number[]} [options.bbox] - [west, south, east, north] in degrees.
+   * @param {AbortSignal} [options.signal] - Aborts the reads of tile indexes.
+   */
+  constructor(pkg, options) {
+    this.pkg = pkg;
+    this.options = options || {};
+    this.bundles = undefined;
+    this.bundle = undefined;
+    this.done = false;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * List the bundles of the package that can hold tiles in the requested range.
+   */
+  async init() {
+    const pkg = this.pkg;
+    const options = this.options;
+    const header = await pkg.getHeader();
+    if (isDirectory(pkg.source)) {
+      throw new Error(
+        `${pkg.source.getKey()} is a directory, its bundles can not be listed`,
+      );
+    }
+    if (options.bbox) assertCompatible(header.tileMatrixSet);
+    const root = `${TILE_ROOTS[header.type] || TILE_ROOTS.vtpk}/`;
+    this.header = header;
+    this.bundles = Object.keys(header.files)
+      .filter((file) => file.startsWith(root))
+      .map((file) => {
+        const match = BUNDLE_PATTERN.exec(file);
+        if (!match) return undefined;
+        const level = parseInt(match[1], 10);
+        const zoom = levelToZoom(header.tileMatrixSet, level);
+        // Levels with tiles wider than the world hold no XYZ tiles
+        if (zoom === undefined && header.tileMatrixSet.compatible) {
+          return undefined;
+        }
+        return {
+          file: file,
+          level: level,
+          // Schemes without XYZ zooms are numbered by level
+          z: zoom === undefined ? level : zoom,
+          row: parseInt(match[2], 16),
+          col: parseInt(match[3], 16),
+        };
+      })
+      .filter((bundle) => bundle && this.inZoomRange(bundle.z))
+      .map((bundle) => Object.assign(bundle, this.getRange(bundle)))
+      .filter(
+        (bundle) => bundle.minX <= bundle.maxX && bundle.minY <= bundle.maxY,
+      )
+      .sort((a, b) => a.level - b.level || a.row - b.row || a.col - b.col);
+  }
+
+  inZoomRange(z) {
+    const options = this.options;
+    return (
+      (options.minZoom === undefined || z >= options.minZoom) &&
+      (options.maxZoom === undefined || z <= options.maxZoom)
+    );
+  }
+
+  /**
+   * The columns and rows of a bundle within the bbox.
+   */
+  getRange(bundle) {
+    let minX = bundle.col;
+    let minY = bundle.row;
+    let maxX = bundle.col + 127;
+    let maxY = bundle.row + 127;
+    const bbox = this.options.bbox;
+    if (bbox) {
+      const topLeft = lonLatToTile(bbox[0], bbox[3], bundle.z);
+      const bottomRight = lonLatToTile(bbox[2], bbox[1], bundle.z);
+      minX = Math.max(minX, topLeft[0]);
+      minY = Math.max(minY, topLeft[1]);
+      maxX = Math.min(maxX, bottomRight[0]);
+      maxY = Math.min(maxY, bottomRight[1]);
+    }
+    return { minX, minY, maxX, maxY };
+  }
+
+  async next() {
+    try {
+      return await this.nextTile();
+    } catch (e) {
+      if (e instanceof EtagMismatch) {
+        await this.return();
+        await this.pkg.archiveChanged(e);
+      }
+      throw e;
+    }
+  }
+
+  async nextTile() {
+    if (this.done) return { done: true, value: undefined };
+    if (!this.bundles) await this.init();
+    const pkg = this.pkg;
+    const header = this.header;
+    const signal = this.options.signal;
+    while (this.bundles.length > 0) {
+      const bundle = this.bundles[0];
+      if (!this.bundle) {
+        this.bundle = {
+          tileIndex: await pkg.cache.getTileIndex(
+            pkg.source,
+            bundle.file,
+            header,
+            signal,
+          ),
+          dataOffset: await pkg.cache.getDataOffset(
+            pkg.source,
+            bundle.file,
+            header,
+            signal,
+          ),
+          x: bundle.minX,
+          y: bundle.minY,
+        };
+      }
+      const current = this.bundle;
+      while (current.y <= bundle.maxY) {
+        const x = current.x;
+        const y = current.y;
+        current.x++;
+        if (current.x > bundle.maxX) {
+          current.x = bundle.minX;
+          current.y++;
+        }
+        const record = current.tileIndex.get(y - bundle.row, x - bundle.col);
+        if (!record) continue;
+        const offset = current.dataOffset + record.tileOffset;
+        let size = record.tileSize;
+        if (size === undefined) {
+          // Compact cache V1 stores the tile size in front of the tile
+          const resp = await pkg.source.getBytes(
+            offset - 4,
+            4,
+            signal,
+            header.etag,
+          );
+          size = toDataView(resp.data, 0, 4).getUint32(0, true);
+        }
+        if (size === 0) continue;
+        return {
+          done: false,
+          value: {
+            z: bundle.z,
+            x: x,
+            y: y,
+            level: bundle.level,
+            offset: offset,
+            size: size,
+            file: bundle.file,
+            getData: (dataSignal) => this.readTile(offset, size, dataSignal),
+          },
+        };
+      }
+      this.bundles.shift();
+      this.bundle = undefined;
+    }
+    this.done = true;
+    return { done: true, value: undefined };
+  }
+
+  async readTile(offset, size, signal) {
+    let resp;
+    try {
+      resp = await this.pkg.source.getBytes(
+        offset,
+        size,
+        signal,
+        this.header.etag,
+      );
+    } catch (e) {
+      if (e instanceof EtagMismatch) await this.pkg.archiveChanged(e);
+      throw e;
+    }
+    return await this.pkg.decompress(resp.data, this.header.tileCompression);
+  }
+
+  /**
+   * Stop the iteration, called by for await when the loop exits early.
+   */
+  async return() {
+    this.done = true;
+    this.bundles = [];
+    this.bundle = undefined;
+    return { done: true, value: undefined };
+  }
+}
@@ -0,0 +1,155 @@
+// Width of the Web Mercator world in meters, the origin is its top left corner
+const WEB_MERCATOR_WIDTH = 2 * 20037508.342787;
+export const WEB_MERCATOR_WKIDS = [3857, 102100, 102113, 900913];
+const MAX_LAT = 85.0511287798;
+
+function isWebMercator(spatialReference) {
+  return (
+    WEB_MERCATOR_WKIDS.indexOf(spatialReference.latestWkid) !== -1 ||
+    WEB_MERCATOR_WKIDS.indexOf(spatialReference.wkid) !== -1
+  );
+}
+
+/**
+ * Normalize the tileInfo of root.json (or conf.xml) into a tile matrix set.
+ *
+ * Every level of detail gets the XYZ zoom MapLibre uses for the same tile grid, so
+ * packages whose levels do not start at the XYZ zoom (512 pixel tiles, partial
+ * pyramids) are addressed correctly. The zoom follows from the ground width of a
+ * tile, resolution times tile size, so levels whose tile is wider than the world
+ * get no zoom. Schemes MapLibre can not display, such as EPSG:4326, national grids
+ * or a shifted origin, are marked incompatible with the reason.
+ *
+ * Returns { wkid, latestWkid, wkt, origin: { x, y }, tileWidth, tileHeight, dpi,
+ * lods: [{ level, resolution, scale, zoom }], compatible, reason }.
+ */
+export default function getTileMatrixSet(tileInfo) {
+  const sr = tileInfo.spatialReference || {};
+  const tileMatrixSet = {
+    wkid: sr.wkid,
+    latestWkid: sr.latestWkid || sr.wkid,
+    wkt: sr.wkt,
+    origin: tileInfo.origin
+      ? { x: Number(tileInfo.origin.x), y: Number(tileInfo.origin.y) }
+      : undefined,
+    tileWidth: tileInfo.cols || tileInfo.rows,
+    tileHeight: tileInfo.rows,
+    dpi: tileInfo.dpi,
+    lods: (tileInfo.lods || [])
+      .map((lod) => ({
+        level: lod.level,
+        resolution: lod.resolution,
+        scale: lod.scale,
+        zoom: undefined,
+      }))
+      .sort((a, b) => a.level - b.level),
+    compatible: true,
+    reason: undefined,
+  };
+
+  const incompatible = (reason) => {
+    tileMatrixSet.compatible = false;
+    tileMatrixSet.reason = reason;
+    return tileMatrixSet;
+  };
+  if (sr.wkid === undefined && sr.latestWkid === undefined && !sr.wkt) {
+    // No spatial reference given, assume the XYZ scheme
+    tileMatrixSet.lods.forEach((lod) => (lod.zoom = lod.level));
+    return tileMatrixSet;
+  }
+  if (!isWebMercator(sr)) {
+    return incompatible(
+      `spatial reference ${tileMatrixSet.latestWkid || sr.wkt} is not Web Mercator`,
+    );
+  }
+  if (tileMatrixSet.tileWidth !== tileMatrixSet.tileHeight) {
+    return incompatible(
+      `tiles are ${tileMatrixSet.tileWidth}x${tileMatrixSet.tileHeight} pixels, not square`,
+    );
+  }
+  const origin = tileMatrixSet.origin;
+  if (
+    origin &&
+    (Math.abs(origin.x + WEB_MERCATOR_WIDTH / 2) > 1 ||
+      Math.abs(origin.y - WEB_MERCATOR_WIDTH / 2) > 1)
+  ) {
+    return incompatible(
+      `tile origin ${origin.x}, ${origin.y} is not the top left corner of the Web Mercator world`,
+    );
+  }
+  const seen = {};
+  for (const lod of tileMatrixSet.lods) {
+    // Tiles across the world at this level, a power of two for XYZ levels
+    const zoom = Math.log2(
+      WEB_MERCATOR_WIDTH / (lod.resolution * tileMatrixSet.tileWidth),
+    );
+    const rounded = Math.round(zoom);
+    if (Math.abs(zoom - rounded) > 0.01) {
+      return incompatible(
+        `level ${lod.level} with resolution ${lod.resolution} does not match an XYZ zoom level`,
+      );
+    }
+    // A tile larger than the world, such as level 0 of 512 pixel tiles with the
+    // resolutions of the 256 pixel scheme, has no XYZ zoom
+    if (rounded < 0) continue;
+    if (seen[rounded] !== undefined) {
+      return incompatible(
+        `levels ${seen[rounded]} and ${lod.level} both map to zoom ${rounded}`,
+      );
+    }
+    seen[rounded] = lod.level;
+    lod.zoom = rounded;
+  }
+  if (tileMatrixSet.lods.length > 0 && Object.keys(seen).length === 0) {
+    return incompatible("no level matches an XYZ zoom level");
+  }
+  return tileMatrixSet;
+}
+
+/**
+ * Throw when MapLibre can not display the tiling scheme.
+ */
+export function assertCompatible(tileMatrixSet) {
+  if (!tileMatrixSet.compatible) {
+    throw new Error(
+      `Tiling scheme can not be displayed by MapLibre: ${tileMatrixSet.reason}`,
+    );
+  }
+}
+
+/**
+ * Return the level of detail holding XYZ zoom z, or undefined when the package has
+ * no such level. Throws for incompatible tiling schemes.
+ */
+export function zoomToLevel(tileMatrixSet, z) {
+  assertCompatible(tileMatrixSet);
+  if (tileMatrixSet.lods.length === 0) return z;
+  const lod = tileMatrixSet.lods.find((lod) => lod.zoom === z);
+  return lod ? lod.level : undefined;
+}
+
+/**
+ * Return the XYZ zoom of a level of detail, or undefined when the scheme is
+ * incompatible, the level is unknown or its tiles are wider than the world.
+ */
+export function levelToZoom(tileMatrixSet, level) {
+  if (!tileMatrixSet.compatible) return undefined;
+  if (tileMatrixSet.lods.length === 0) return level;
+  const lod = tileMatrixSet.lods.find((lod) => lod.level === level);
+  return lod ? lod.zoom : undefined;
+}
+
+/**
+ * Return the XYZ tile [x, y] holding a longitude and latitude at zoom z.
+ */
+export function lonLatToTile(lon, lat, z) {
+  const n = Math.pow(2, z);
+  const sin = Math.sin(
+    (Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI) / 180,
+  );
+  const x = Math.floor(((lon + 180) / 360) * n);
+  const y = Math.floor(
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n,
+  );
+  return [Math.max(0, Math.min(n - 1, x)), Math.max(0, Math.min(n - 1, y))];
+}
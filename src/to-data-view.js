@@ -0,0 +1,16 @@
+/**
+ * Create a DataView over bytes returned by a Source.
+ *
+ * Sources may return either an ArrayBuffer or a typed array view into a larger
+ * buffer, byteOffset and byteLength are relative to the start of the returned bytes.
+ */
+export default function toDataView(data, byteOffset = 0, byteLength) {
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(
+      data.buffer,
+      data.byteOffset + byteOffset,
+      byteLength === undefined ? data.byteLength - byteOffset : byteLength,
+    );
+  }
+  return new DataView(data, byteOffset, byteLength);
+}
@@ -0,0 +1,363 @@
+import { EtagMismatch } from "./source.js";
+import getHeaderAndFileList from "./get-header-and-filelist.js";
+import getDataOffset from "./get-data-offset.js";
+import readEntry from "./read-entry.js";
+import toDataView from "./to-data-view.js";
+import crc32 from "./crc32.js";
+
+const BUNDLE_HEADER_SIZE = 64;
+const BUNDLE_INDEX_SIZE = 128 * 128 * 8;
+// Compact cache V1 index: 16 byte header, 5 bytes per tile, 16 byte footer
+const BUNDLX_SIZE = 16 + 128 * 128 * 5 + 16;
+const COMPACT_V1 = "esriMapCacheStorageModeCompact";
+
+// Errors that end the verification instead of being reported
+function isFatal(e) {
+  return e instanceof EtagMismatch || e.name === "AbortError";
+}
+
+function addError(report, file, check, message) {
+  report.valid = false;
+  report.errors.push({ file, check, message });
+}
+
+/**
+ * Check the 64 byte bundle header and the 128x128 tile index of a stored bundle.
+ */
+async function verifyBundle(source, entry, dataOffset, options, report) {
+  const file = entry.filename;
+  if (entry.compressionMethod !== 0) {
+    addError(
+      report,
+      file,
+      "compression",
+      `Bundle is compressed (method ${entry.compressionMethod}) and can not be read with random access`,
+    );
+    return;
+  }
+  if (entry.size < BUNDLE_HEADER_SIZE + BUNDLE_INDEX_SIZE) {
+    addError(
+      report,
+      file,
+      "bundle-header",
+      `Bundle of ${entry.size} bytes is smaller than its header and tile index`,
+    );
+    return;
+  }
+
+  const length = options.bundleCrc
+    ? entry.size
+    : BUNDLE_HEADER_SIZE + BUNDLE_INDEX_SIZE;
+  let resp;
+  try {
+    resp = await source.getBytes(
+      dataOffset,
+      length,
+      options.signal,
+      report.etag,
+    );
+  } catch (e) {
+    if (isFatal(e)) throw e;
+    addError(report, file, "read", e.message);
+    return;
+  }
+  if (options.bundleCrc && crc32(resp.data) !== entry.crc32) {
+    addError(report, file, "crc32", "CRC-32 does not match");
+  }
+
+  /*
+      version                         4 bytes  (3)
+      ...
+      offset byte count               4 bytes  (offset 12, 5)
+      ...
+      file size                       8 bytes  (offset 24)
+      ...
+      index size                      4 bytes  (offset 60, 131072)
+  */
+  const v = toDataView(resp.data, 0, BUNDLE_HEADER_SIZE + BUNDLE_INDEX_SIZE);
+  const version = v.getUint32(0, true);
+  if (version !== 3) {
+    addError(
+      report,
+      file,
+      "bundle-header",
+      `Unsupported bundle version ${version}, expected 3`,
+    );
+    return;
+  }
+  const offsetByteCount = v.getUint32(12, true);
+  if (offsetByteCount !== 5) {
+    addError(
+      report,
+      file,
+      "bundle-header",
+      `Unsupported tile offset size of ${offsetByteCount} bytes, expected 5`,
+    );
+  }
+  const bundleSize = Number(v.getBigUint64(24, true));
+  if (bundleSize !== entry.size) {
+    addError(
+      report,
+      file,
+      "bundle-header",
+      `Bundle header gives a size of ${bundleSize} bytes, the Zip entry is ${entry.size} bytes`,
+    );
+  }
+  const indexSize = v.getUint32(60, true);
+  if (indexSize !== BUNDLE_INDEX_SIZE) {
+    addError(
+      report,
+      file,
+      "bundle-header",
+      `Tile index is ${indexSize} bytes, expected ${BUNDLE_INDEX_SIZE}`,
+    );
+  }
+
+  // Every tile is preceded by its 4 byte size, so no tile starts before this
+  const firstTileOffset = BUNDLE_HEADER_SIZE + BUNDLE_INDEX_SIZE + 4;
+  let outside = 0;
+  let example;
+  for (let i = 0; i < 128 * 128; i++) {
+    const p = BUNDLE_HEADER_SIZE + 8 * i;
+    const tileOffset = v.getUint32(p, true) + v.getUint8(p + 4) * 0x100000000;
+    const tileSize = v.getUint16(p + 5, true) + v.getUint8(p + 7) * 0x10000;
+    if (tileSize === 0) continue;
+    report.tiles++;
+    if (tileOffset < firstTileOffset || tileOffset + tileSize > entry.size) {
+      outside++;
+      if (!example) {
+        example = `row ${Math.floor(i / 128)} col ${i % 128} (offset ${tileOffset}, size ${tileSize})`;
+      }
+    }
+  }
+  if (outside > 0) {
+    addError(
+      report,
+      file,
+      "tile-index",
+      `${outside} tiles are outside the bundle of ${entry.size} bytes, first at ${example}`,
+    );
+  }
+}
+
+/**
+ * Check a compact cache V1 .bundlx index: every tile size record it points to must
+ * lie inside the bundle, after the 60 byte bundle header.
+ */
+async function verifyBundlx(
+  source,
+  header,
+  entry,
+  dataOffset,
+  options,
+  report,
+) {
+  const file = entry.filename;
+  const bundle = header.files[file.replace(/\.bundlx$/, ".bundle")];
+  if (!bundle) {
+    addError(
+      report,
+      file,
+      "tile-index",
+      "Bundle for this tile index is missing",
+    );
+    return;
+  }
+  if (entry.size !== BUNDLX_SIZE) {
+    addError(
+      report,
+      file,
+      "tile-index",
+      `Tile index is ${entry.size} bytes, expected ${BUNDLX_SIZE}`,
+    );
+    return;
+  }
+  let resp;
+  try {
+    resp = await readEntry(
+      source,
+      entry,
+      options.signal,
+      report.etag,
+      dataOffset,
+    );
+  } catch (e) {
+    if (isFatal(e)) throw e;
+    addError(report, file, "read", e.message);
+    return;
+  }
+  if (crc32(resp.data) !== entry.crc32) {
+    addError(report, file, "crc32", "CRC-32 does not match");
+  }
+  const v = toDataView(resp.data, 0, BUNDLX_SIZE);
+  let outside = 0;
+  let example;
+  for (let i = 0; i < 128 * 128; i++) {
+    const p = 16 + 5 * i;
+    const sizeOffset = v.getUint32(p, true) + v.getUint8(p + 4) * 0x100000000;
+    if (sizeOffset < 60 || sizeOffset + 4 > bundle.size) {
+      outside++;
+      if (!example) {
+        example = `row ${i % 128} col ${Math.floor(i / 128)} (offset ${sizeOffset})`;
+      }
+    }
+  }
+  if (outside > 0) {
+    addError(
+      report,
+      file,
+      "tile-index",
+      `${outside} tiles are outside the bundle of ${bundle.size} bytes, first at ${example}`,
+    );
+  }
+}
+
+async function verifyResource(source, entry, dataOffset, options, report) {
+  const file = entry.filename;
+  let resp;
+  try {
+    resp = await readEntry(
+      source,
+      entry,
+      options.signal,
+      report.etag,
+      dataOffset,
+    );
+  } catch (e) {
+    if (isFatal(e)) throw e;
+    addError(report, file, "read", e.message);
+    return;
+  }
+  if (resp.data.byteLength !== entry.size) {
+    addError(
+      report,
+      file,
+      "read",
+      `Read ${resp.data.byteLength} bytes, the Zip entry is ${entry.size} bytes`,
+    );
+  } else if (crc32(resp.data) !== entry.crc32) {
+    addError(report, file, "crc32", "CRC-32 does not match");
+  }
+}
+
+async function verifyEntry(source, header, entry, options, report) {
+  const file = entry.filename;
+  if (entry.relativeOffset + 30 > report.size) {
+    addError(
+      report,
+      file,
+      "bounds",
+      `Local file header at ${entry.relativeOffset} is outside the archive of ${report.size} bytes`,
+    );
+    return;
+  }
+  let dataOffset;
+  try {
+    dataOffset = await getDataOffset(
+      source,
+      entry,
+      options.signal,
+      report.etag,
+    );
+  } catch (e) {
+    if (isFatal(e)) throw e;
+    addError(report, file, "local-header", e.message);
+    return;
+  }
+  if (dataOffset + entry.compressedSize > report.size) {
+    addError(
+      report,
+      file,
+      "bounds",
+      `Data (${entry.compressedSize} bytes at ${dataOffset}) extends beyond the archive of ${report.size} bytes`,
+    );
+    return;
+  }
+  if (file.endsWith("/")) return; // Directory entry
+
+  if (file.endsWith(".bundle") && header.storageFormat === COMPACT_V1) {
+    // Tiles are checked through the .bundlx index
+    report.bundles++;
+    if (entry.compressionMethod !== 0) {
+      addError(
+        report,
+        file,
+        "compression",
+        `Bundle is compressed (method ${entry.compressionMethod}) and can not be read with random access`,
+      );
+    }
+  } else if (file.endsWith(".bundle")) {
+    report.bundles++;
+    await verifyBundle(source, entry, dataOffset, options, report);
+  } else if (file.endsWith(".bundlx")) {
+    await verifyBundlx(source, header, entry, dataOffset, options, report);
+  } else {
+    report.resources++;
+    await verifyResource(source, entry, dataOffset, options, report);
+  }
+}
+
+/**
+ * Check the integrity of a TilePackage archive.
+ *
+ * Walks the central directory and checks that every entry lies inside the archive,
+ * the CRC-32 of every resource entry, and the header and tile index of every bundle,
+ * including that each tile lies inside its bundle (compact cache V1 packages are
+ * checked through their .bundlx index). Problems are collected in the
+ * report, only aborts and ETag mismatches are thrown.
+ *
+ * Returns a report:
+ *   { key, etag, size, valid, total, checked, resources, bundles, tiles,
+ *     errors: [{ file, check, message }] }
+ * where check is one of "archive", "bounds", "local-header", "read", "crc32",
+ * "compression", "bundle-header" and "tile-index".
+ *
+ * @param {Source} source - The source of the TilePackage archive.
+ * @param {object} [options]
+ * @param {object|Promise} [options.header] - The parsed header, read from the source when omitted.
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with { file, checked, total } after each entry.
+ * @param {boolean} [options.bundleCrc=false] - Also check the CRC-32 of bundles, which reads the whole archive.
+ */
+export default async function verifyPackage(source, options) {
+  options = options || {};
+  const report = {
+    key: source.getKey(),
+    etag: undefined,
+    size: undefined,
+    valid: true,
+    total: 0,
+    checked: 0,
+    resources: 0,
+    bundles: 0,
+    tiles: 0,
+    errors: [],
+  };
+
+  let header;
+  try {
+    header = await (options.header ||
+      getHeaderAndFileList(source).then((res) => res[0]));
+    report.size = Number(await source.getSize(options.signal));
+  } catch (e) {
+    if (isFatal(e)) throw e;
+    addError(report, undefined, "archive", e.message);
+    return report;
+  }
+  report.etag = header.etag;
+
+  const entries = Object.keys(header.files).map((file) => header.files[file]);
+  report.total = entries.length;
+  for (const entry of entries) {
+    await verifyEntry(source, header, entry, options, report);
+    report.checked++;
+    if (options.onProgress) {
+      options.onProgress({
+        file: entry.filename,
+        checked: report.checked,
+        total: report.total,
+      });
+    }
+  }
+  return report;
+}
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BlockCacheSource } from "../src/block-cache-source.js";
+import { EtagMismatch } from "../src/source.js";
+import {
+  MemoryBlockStore,
+  FakeRemoteSource,
+  pattern,
+} from "./helpers/memory-store.js";
+
+function bytesOf(resp) {
+  return new Uint8Array(resp.data);
+}
+
+function cacheOf(remote, store, options) {
+  return new BlockCacheSource(
+    remote,
+    Object.assign({ store: store, blockSize: 100 }, options),
+  );
+}
+
+test("reads with an ETag are served from blocks of that ETag", async () => {
+  const remote = new FakeRemoteSource(pattern(1000), '"a"');
+  const store = new MemoryBlockStore();
+  const cache = cacheOf(remote, store);
+
+  const first = await cache.getBytes(0, 150);
+  assert.deepEqual(bytesOf(first), pattern(150));
+  assert.equal(first.etag, '"a"');
+  assert.deepEqual(remote.requests, [[0, 200, undefined]]);
+
+  assert.deepEqual(
+    bytesOf(await cache.getBytes(50, 100, undefined, '"a"')),
+    pattern(100, 50),
+  );
+  assert.equal(remote.requests.length, 1);
+
+  // Only the missing block is requested
+  assert.deepEqual(
+    bytesOf(await cache.getBytes(150, 100, undefined, '"a"')),
+    pattern(100, 150),
+  );
+  assert.deepEqual(remote.requests[1], [200, 100, '"a"']);
+  assert.deepEqual(Array.from(store.blocks.keys()), [
+    'https://example.com/a.vtpk|"a"|0',
+    'https://example.com/a.vtpk|"a"|1',
+    'https://example.com/a.vtpk|"a"|2',
+  ]);
+
+  // A header read finds the republished archive and drops the old blocks
+  remote.publish(pattern(1000, 7), '"b"');
+  const changed = await cache.getBytes(0, 10);
+  assert.equal(changed.etag, '"b"');
+  assert.deepEqual(bytesOf(changed), pattern(10, 7));
+  await cache.flush();
+  assert.deepEqual(Array.from(store.blocks.keys()), [
+    'https://example.com/a.vtpk|"b"|0',
+  ]);
+  assert.deepEqual(store.index.archives, {
+    "https://example.com/a.vtpk": { size: 1000, etag: '"b"' },
+  });
+});
+
+test("the least recently used blocks are evicted beyond maxBytes", async () => {
+  const remote = new FakeRemoteSource(pattern(1000), '"a"');
+  const store = new MemoryBlockStore();
+  const cache = cacheOf(remote, store, { maxBytes: 300 });
+  for (const offset of [0, 100, 200, 0, 300]) {
+    await cache.getBytes(offset, 100, undefined, '"a"');
+  }
+  await cache.flush();
+  assert.deepEqual(
+    remote.requests.map((r) => r[0]),
+    [0, 100, 200, 300],
+  );
+  assert.deepEqual(Array.from(store.blocks.keys()).sort(), [
+    'https://example.com/a.vtpk|"a"|0',
+    'https://example.com/a.vtpk|"a"|2',
+    'https://example.com/a.vtpk|"a"|3',
+  ]);
+  assert.equal(cache.bytes, 300);
+
+  await cache.getBytes(100, 100, undefined, '"a"');
+  assert.deepEqual(remote.requests[4], [100, 100, '"a"']);
+  await cache.flush();
+});
+
+test("cached blocks are served when the network is unavailable", async () => {
+  const remote = new FakeRemoteSource(pattern(1000), '"a"');
+  const store = new MemoryBlockStore();
+  const online = cacheOf(remote, store);
+  await online.getBytes(0, 150);
+  await online.flush();
+
+  // After a reload of the page
+  remote.offline = true;
+  const offline = cacheOf(remote, store);
+  assert.equal(await offline.getSize(), 1000);
+  const resp = await offline.getBytes(20, 100);
+  assert.deepEqual(bytesOf(resp), pattern(100, 20));
+  assert.equal(resp.etag, '"a"');
+  await assert.rejects(offline.getBytes(500, 10), TypeError);
+
+  // A republished archive is not answered from the old blocks
+  remote.offline = false;
+  remote.publish(pattern(1000, 1), '"b"');
+  await assert.rejects(
+    offline.getBytes(500, 10, undefined, '"a"'),
+    EtagMismatch,
+  );
+  await offline.flush();
+});
+
+test("concurrent reads of a missing block fetch it once", async () => {
+  const remote = new FakeRemoteSource(pattern(1000), '"a"');
+  const store = new MemoryBlockStore();
+  const cache = cacheOf(remote, store);
+  const [a, b] = await Promise.all([
+    cache.getBytes(0, 10, undefined, '"a"'),
+    cache.getBytes(5, 10, undefined, '"a"'),
+  ]);
+  assert.deepEqual(bytesOf(a), pattern(10));
+  assert.deepEqual(bytesOf(b), pattern(10, 5));
+  assert.equal(remote.requests.length, 1);
+  await cache.flush();
+});
+
+test("blocks missing from the saved index are deleted on load", async () => {
+  const store = new MemoryBlockStore();
+  await store.put("stray|x|0", new ArrayBuffer(4));
+  const cache = cacheOf(new FakeRemoteSource(pattern(100), '"a"'), store);
+  await cache.load();
+  assert.equal(store.blocks.size, 0);
+  assert.throws(
+    () => new BlockCacheSource(new FakeRemoteSource(pattern(1))),
+    /requires a block store/,
+  );
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import {
+  FetchDirectorySource,
+  isDirectory,
+  isMissingFile,
+} from "../src/directory-source.js";
+import { NodeDirectorySource } from "../src/node-file-source.js";
+import getHeaderAndFileList, {
+  getEntry,
+} from "../src/get-header-and-filelist.js";
+import readEntry from "../src/read-entry.js";
+import { BufferSource, FetchSource } from "../src/source.js";
+import { TPKX_ROOT } from "./helpers/zip.js";
+import { bundleV2 } from "./helpers/bundle.js";
+
+const BUNDLE = "tile/L00/R0000C0000.bundle";
+
+test("a missing file is a 404 response or ENOENT", () => {
+  assert.equal(
+    isMissingFile(Object.assign(new Error(), { status: 404 })),
+    true,
+  );
+  assert.equal(
+    isMissingFile(Object.assign(new Error(), { code: "ENOENT" })),
+    true,
+  );
+  assert.equal(
+    isMissingFile(Object.assign(new Error(), { status: 403 })),
+    false,
+  );
+  assert.equal(isMissingFile(new Error("Bad response code: 404")), false);
+  assert.equal(isMissingFile(undefined), false);
+});
+
+test("only directory sources are directories", () => {
+  assert.equal(isDirectory(new FetchDirectorySource("https://a.com/p")), true);
+  assert.equal(isDirectory(new NodeDirectorySource("/tmp/p")), true);
+  assert.equal(isDirectory(new BufferSource(new Uint8Array(1))), false);
+  assert.equal(isDirectory(undefined), false);
+});
+
+test("file URLs keep the query string and encode each path segment", () => {
+  const signed = new FetchDirectorySource(
+    "https://cdn.example.com/packages/world//?sig=a%2Fb&exp=1",
+    { timeout: 5000 },
+  );
+  assert.equal(
+    signed.getSource("tile/L00/R0000C0000.bundle").url,
+    "https://cdn.example.com/packages/world/tile/L00/R0000C0000.bundle?sig=a%2Fb&exp=1",
+  );
+  assert.equal(
+    signed.getSource("p12/resources/fonts/Arial Bold/0-255.pbf").url,
+    "https://cdn.example.com/packages/world/p12/resources/fonts/Arial%20Bold/0-255.pbf?sig=a%2Fb&exp=1",
+  );
+  assert.equal(
+    new FetchDirectorySource("https://a.com/p/").getSource("root.json").url,
+    "https://a.com/p/root.json",
+  );
+
+  const source = signed.getSource("root.json");
+  assert.ok(source instanceof FetchSource);
+  assert.equal(signed.getSource("root.json"), source);
+  assert.equal(
+    signed.getKey(),
+    "https://cdn.example.com/packages/world//?sig=a%2Fb&exp=1",
+  );
+});
+
+test("a file missing from a web server is reported as missing", async (t) => {
+  const original = globalThis.fetch;
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return new Response("not found", { status: 404 });
+  };
+  t.after(() => (globalThis.fetch = original));
+  const directory = new FetchDirectorySource("https://a.com/p?token=x", {
+    maxRetries: 0,
+  });
+  await assert.rejects(directory.getSource("root.json").getBytes(0, 10), (e) =>
+    isMissingFile(e),
+  );
+  assert.deepEqual(urls, ["https://a.com/p/root.json?token=x"]);
+});
+
+test("an unzipped TPKX is read file by file from local disk", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "tilepackage-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const write = async (file, data) => {
+    await mkdir(dirname(join(dir, file)), { recursive: true });
+    await writeFile(join(dir, file), data);
+  };
+  await write("root.json", JSON.stringify(TPKX_ROOT));
+  await write("iteminfo.json", JSON.stringify({ title: "World" }));
+  await write(BUNDLE, bundleV2([{ row: 0, col: 0, data: "TILE" }]));
+
+  const directory = new NodeDirectorySource(dir);
+  assert.equal(directory.getKey(), dir);
+  const [header] = await getHeaderAndFileList(directory);
+  assert.equal(header.packageType, "tpkx");
+  assert.equal(header.files["root.json"].size > 0, true);
+
+  const bundle = getEntry(header, BUNDLE);
+  assert.equal(bundle.source.getKey(), join(dir, BUNDLE));
+  const resp = await readEntry(bundle.source, bundle);
+  assert.equal(
+    resp.data.byteLength,
+    bundleV2([{ row: 0, col: 0, data: "TILE" }]).length,
+  );
+
+  const missing = getEntry(header, "tile/L01/R0000C0000.bundle");
+  await assert.rejects(missing.source.getBytes(0, 64), (e) => isMissingFile(e));
+
+  const source = directory.getSource(BUNDLE);
+  assert.equal(directory.getSource(BUNDLE), source);
+  await directory.close();
+  assert.equal(source.handle, undefined);
+  assert.notEqual(directory.getSource(BUNDLE), source);
+  await directory.close();
+});
+
+test("a folder that is not a package is rejected", async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), "tilepackage-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await writeFile(join(dir, "root.json"), "{}");
+  await assert.rejects(
+    getHeaderAndFileList(new NodeDirectorySource(dir)),
+    /is not a tile package directory, it contains neither/,
+  );
+  await assert.rejects(
+    getHeaderAndFileList(new NodeDirectorySource(dir), "vtpk"),
+    /was opened as vtpk but does not contain p12\/root.json/,
+  );
+});
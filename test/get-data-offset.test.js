@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import getDataOffset from "../src/get-data-offset.js";
+import { BufferSource } from "../src/source.js";
+import zip from "./helpers/zip.js";
+
+test("the data offset follows the name and extra field of the local header", async () => {
+  const archive = zip([
+    { name: "first.txt", data: "first" },
+    { name: "p12/root.json", data: "{}", localExtra: 7 },
+  ]);
+  const source = new BufferSource(archive);
+  const second = 30 + "first.txt".length + "first".length;
+  const offset = await getDataOffset(source, {
+    filename: "p12/root.json",
+    relativeOffset: second,
+  });
+  assert.equal(offset, second + 30 + "p12/root.json".length + 7);
+  assert.equal(
+    new TextDecoder().decode(archive.subarray(offset)).slice(0, 2),
+    "{}",
+  );
+});
+
+test("an offset that is not a local header is rejected", async () => {
+  const source = new BufferSource(zip([{ name: "a.txt", data: "a" }]));
+  await assert.rejects(
+    getDataOffset(source, { filename: "a.txt", relativeOffset: 1 }),
+    /Wrong magic number for local file header of a.txt/,
+  );
+});
+
+test("files of a directory start at 0", async () => {
+  const entry = { filename: "root.json", relativeOffset: 0, source: {} };
+  assert.equal(await getDataOffset(undefined, entry), 0);
+});
@@ -0,0 +1,281 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import getHeaderAndFileList, {
+  parseItemInfo,
+  confToJson,
+} from "../src/get-header-and-filelist.js";
+import readEntry from "../src/read-entry.js";
+import { BufferSource } from "../src/source.js";
+import zip, { tpkxEntries, TPKX_ROOT, CONF_XML } from "./helpers/zip.js";
+
+const README = { name: "readme.txt", data: "hello", method: "deflate" };
+
+async function headerOf(archive, packageType) {
+  const [header] = await getHeaderAndFileList(
+    new BufferSource(archive),
+    packageType,
+  );
+  return header;
+}
+
+async function readText(archive, header, file) {
+  const resp = await readEntry(new BufferSource(archive), header.files[file]);
+  return new TextDecoder().decode(resp.data);
+}
+
+test("the central directory lists every entry", async () => {
+  const archive = zip(tpkxEntries([README]));
+  const header = await headerOf(archive);
+  assert.deepEqual(Object.keys(header.files), [
+    "root.json",
+    "iteminfo.json",
+    "readme.txt",
+  ]);
+  const entry = header.files["readme.txt"];
+  assert.equal(entry.compressionMethod, 8);
+  assert.equal(entry.size, 5);
+  assert.equal(await readText(archive, header, "readme.txt"), "hello");
+});
+
+test("the end of central directory is found before a comment", async () => {
+  for (const comment of ["short", "x".repeat(5000)]) {
+    const archive = zip(tpkxEntries([README]), { comment });
+    const header = await headerOf(archive);
+    assert.equal(await readText(archive, header, "readme.txt"), "hello");
+  }
+});
+
+test("a signature inside the comment is not taken for the record", async () => {
+  const fake = String.fromCharCode(0x50, 0x4b, 0x05, 0x06) + "\0".repeat(18);
+  const archive = zip(tpkxEntries([README]), { comment: fake + "tail" });
+  const header = await headerOf(archive);
+  assert.equal(Object.keys(header.files).length, 3);
+});
+
+test("ZIP64 archives are read through the locator and record", async () => {
+  const archive = zip(tpkxEntries([README]), { zip64: true });
+  const header = await headerOf(archive);
+  const entry = header.files["readme.txt"];
+  assert.equal(entry.size, 5);
+  assert.ok(entry.relativeOffset > 0);
+  assert.equal(await readText(archive, header, "readme.txt"), "hello");
+
+  const commented = zip(tpkxEntries([README]), {
+    zip64: true,
+    comment: "c".repeat(300),
+  });
+  assert.equal(
+    await readText(commented, await headerOf(commented), "readme.txt"),
+    "hello",
+  );
+});
+
+test("multi-disk archives are rejected", async () => {
+  await assert.rejects(
+    headerOf(zip(tpkxEntries(), { zip64: true, disks: 2 })),
+    /Multi-disk Zip archives are not supported, archive spans 2 disks/,
+  );
+  await assert.rejects(
+    headerOf(zip(tpkxEntries(), { diskNumber: 1 })),
+    /Multi-disk Zip archives are not supported/,
+  );
+});
+
+test("truncated archives are detected", async () => {
+  const archive = zip(tpkxEntries([README]));
+  await assert.rejects(
+    headerOf(archive.subarray(0, archive.length - 10)),
+    /no end of central directory record found/,
+  );
+  await assert.rejects(
+    headerOf(archive.subarray(60)),
+    /Central directory \(\d+ bytes at \d+\) extends beyond the archive/,
+  );
+  await assert.rejects(
+    headerOf(zip(tpkxEntries(), { zip64: true }).subarray(200)),
+    /ZIP64 end of central directory at \d+ is outside the archive/,
+  );
+  await assert.rejects(
+    headerOf(new Uint8Array(10)),
+    /only 10 bytes, too small to be a Zip archive/,
+  );
+});
+
+test("iteminfo.xml fields are strings, arrays and numbers", () => {
+  const info = parseItemInfo(`<?xml version="1.0"?>
+    <ESRI_ItemInformation Culture="en-US">
+      <name>Basemap</name>
+      <title lang="en">World &amp; Oceans</title>
+      <summary><![CDATA[<p>Streets</p>]]></summary>
+      <description/>
+      <typekeywords>
+        <typekeyword>Vector Tile Package</typekeyword>
+        <typekeyword source="user">vtpk</typekeyword>
+      </typekeywords>
+      <extent>
+        <xmin>-180</xmin><ymin>-85.05</ymin>
+        <xmax unit="degree">180</xmax><ymax>85.05</ymax>
+      </extent>
+      <minScale>295828763.79585</minScale>
+      <maxScale></maxScale>
+    </ESRI_ItemInformation>`);
+  assert.deepEqual(info, {
+    name: "Basemap",
+    title: "World & Oceans",
+    summary: "<p>Streets</p>",
+    description: "",
+    typekeywords: ["Vector Tile Package", "vtpk"],
+    extent: { xmin: -180, ymin: -85.05, xmax: 180, ymax: 85.05 },
+    minScale: 295828763.79585,
+    maxScale: "",
+    culture: "en-US",
+  });
+});
+
+test("iteminfo.xml with a single or no type keyword", () => {
+  assert.deepEqual(
+    parseItemInfo(
+      "<ESRI_ItemInformation><typekeywords><typekeyword>tpk</typekeyword></typekeywords></ESRI_ItemInformation>",
+    ).typekeywords,
+    ["tpk"],
+  );
+  assert.deepEqual(
+    parseItemInfo(
+      "<ESRI_ItemInformation><typekeywords/></ESRI_ItemInformation>",
+    ).typekeywords,
+    [],
+  );
+  assert.throws(
+    () => parseItemInfo("<metadata/>"),
+    /no ESRI_ItemInformation element/,
+  );
+});
+
+const CONF_CDI = `<EnvelopeN xsi:type="typens:EnvelopeN" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:typens="http://www.esri.com/schemas/ArcGIS/10.1">
+  <XMin>-20037508.342787</XMin><YMin>0</YMin><XMax>0</XMax><YMax>20037508.342787</YMax>
+</EnvelopeN>`;
+
+const VTPK = {
+  name: "p12/root.json",
+  data: JSON.stringify(
+    Object.assign({}, TPKX_ROOT, {
+      tileInfo: Object.assign({}, TPKX_ROOT.tileInfo, { format: "pbf" }),
+    }),
+  ),
+};
+const TPK = { name: "v101/Layers/conf.xml", data: CONF_XML };
+
+test("the package type is detected from the files in the archive", async () => {
+  const vtpk = await headerOf(zip([VTPK]));
+  assert.equal(vtpk.packageType, "vtpk");
+  assert.equal(vtpk.tileType, "pbf");
+
+  const tpkx = await headerOf(zip(tpkxEntries()));
+  assert.equal(tpkx.packageType, "tpkx");
+  assert.equal(tpkx.tileType, "PNG");
+
+  const tpk = await headerOf(zip([TPK]));
+  assert.equal(tpk.packageType, "tpk");
+  assert.equal(tpk.storageFormat, "esriMapCacheStorageModeCompact");
+
+  // VTPK before TPKX before TPK
+  assert.equal(
+    (await headerOf(zip(tpkxEntries([VTPK, TPK])))).packageType,
+    "vtpk",
+  );
+  assert.equal((await headerOf(zip(tpkxEntries([TPK])))).packageType, "tpkx");
+});
+
+test("packageType skips detection but has to match the contents", async () => {
+  const archive = zip(tpkxEntries([VTPK, TPK]));
+  assert.equal((await headerOf(archive, "tpkx")).packageType, "tpkx");
+  assert.equal((await headerOf(archive, "tpk")).packageType, "tpk");
+  await assert.rejects(
+    headerOf(zip(tpkxEntries()), "vtpk"),
+    /was opened as vtpk but does not contain p12\/root.json/,
+  );
+  await assert.rejects(
+    headerOf(archive, "zip"),
+    /Unknown packageType "zip", expected one of vtpk, tpkx, tpk/,
+  );
+});
+
+test("minZoom and maxZoom are the XYZ zooms of the levels", async () => {
+  const root = Object.assign({}, TPKX_ROOT, {
+    tileInfo: Object.assign({}, TPKX_ROOT.tileInfo, { rows: 512, cols: 512 }),
+  });
+  const header = await headerOf(zip(tpkxEntries([], root)));
+  assert.equal(header.tileMatrixSet.compatible, true);
+  assert.deepEqual([header.minZoom, header.maxZoom], [0, 1]);
+});
+
+test("archives without a known layout are rejected", async () => {
+  await assert.rejects(
+    headerOf(zip([{ name: "root.json", data: "{}" }])),
+    /is not a tile package, it contains neither/,
+  );
+});
+
+test("conf.xml and conf.cdi become the root.json of a TPKX", () => {
+  const json = confToJson(CONF_XML, CONF_CDI);
+  assert.deepEqual(json.tileInfo, {
+    rows: 256,
+    cols: 256,
+    dpi: 96,
+    origin: { x: -20037508.342787001, y: 20037508.342787001 },
+    spatialReference: {
+      wkid: 102100,
+      latestWkid: 3857,
+      wkt: 'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere"]',
+    },
+    lods: [
+      { level: 0, resolution: 156543.03392800014, scale: 591657527.591555 },
+      { level: 1, resolution: 78271.516963999937, scale: 295828763.79577702 },
+    ],
+  });
+  assert.deepEqual(json.tileImageInfo, {
+    format: "JPEG",
+    compressionQuality: 75,
+  });
+  assert.deepEqual(json.storageInfo, {
+    storageFormat: "esriMapCacheStorageModeCompact",
+    packetSize: 128,
+  });
+  assert.deepEqual([json.type, json.minLOD, json.maxLOD], ["tpk", 0, 1]);
+  assert.ok(Math.abs(json.extent.xmin + 180) < 1e-9);
+  assert.ok(Math.abs(json.extent.ymin) < 1e-9);
+  assert.ok(Math.abs(json.extent.xmax) < 1e-9);
+  assert.ok(Math.abs(json.extent.ymax - 85.0511287798) < 1e-6);
+
+  // Without conf.cdi the extent is left to the item info
+  assert.equal(confToJson(CONF_XML).extent, undefined);
+});
+
+test("conf.xml in geographic coordinates keeps its extent in degrees", () => {
+  const conf = CONF_XML.replace("<WKID>102100</WKID>", "<WKID>4326</WKID>")
+    .replace("<LatestWKID>3857</LatestWKID>", "")
+    .replace(/<WKT>.*<\/WKT>/, "");
+  const cdi = CONF_CDI.replace("-20037508.342787", "-10")
+    .replace("<YMin>0</YMin>", "<YMin>-5</YMin>")
+    .replace("<XMax>0</XMax>", "<XMax>10</XMax>")
+    .replace("20037508.342787<", "5<");
+  const json = confToJson(conf, cdi);
+  assert.deepEqual(json.tileInfo.spatialReference, {
+    wkid: 4326,
+    latestWkid: 4326,
+    wkt: undefined,
+  });
+  assert.deepEqual(json.extent, { xmin: -10, ymin: -5, xmax: 10, ymax: 5 });
+});
+
+test("conf.xml without a tiling scheme is rejected", () => {
+  assert.throws(
+    () => confToJson("<CacheInfo/>"),
+    /no CacheInfo\/TileCacheInfo element/,
+  );
+  assert.throws(
+    () =>
+      confToJson(CONF_XML.replace(/<LODInfos[^]*<\/LODInfos>/, "<LODInfos/>")),
+    /does not define any levels of detail/,
+  );
+});
@@ -0,0 +1,83 @@
+const encoder = new TextEncoder();
+
+export const HEADER_SIZE = 64;
+export const INDEX_SIZE = 128 * 128 * 8;
+
+/**
+ * Build a compact cache V2 .bundle: 64 byte header, 128x128 tile index and the
+ * tiles, each preceded by its 4 byte size.
+ *
+ * tiles are { row, col, data } within the bundle, data a string or Uint8Array.
+ * options override header fields { version, offsetByteCount, fileSize, indexSize }
+ * and add raw index records { row, col, offset, size }.
+ */
+export function bundleV2(tiles = [], options = {}) {
+  const data = tiles.map((tile) =>
+    typeof tile.data === "string" ? encoder.encode(tile.data) : tile.data,
+  );
+  const length = data.reduce(
+    (sum, d) => sum + 4 + d.length,
+    HEADER_SIZE + INDEX_SIZE,
+  );
+  const bytes = new Uint8Array(length);
+  const v = new DataView(bytes.buffer);
+  v.setUint32(0, options.version === undefined ? 3 : options.version, true);
+  v.setUint32(12, options.offsetByteCount || 5, true);
+  v.setBigUint64(24, BigInt(options.fileSize || length), true);
+  v.setUint32(60, options.indexSize || INDEX_SIZE, true);
+
+  const setRecord = (row, col, offset, size) => {
+    const p = HEADER_SIZE + 8 * (row * 128 + col);
+    v.setUint32(p, offset % 0x100000000, true);
+    v.setUint8(p + 4, Math.floor(offset / 0x100000000));
+    v.setUint16(p + 5, size % 0x10000, true);
+    v.setUint8(p + 7, Math.floor(size / 0x10000));
+  };
+  let offset = HEADER_SIZE + INDEX_SIZE;
+  tiles.forEach((tile, i) => {
+    v.setUint32(offset, data[i].length, true);
+    bytes.set(data[i], offset + 4);
+    setRecord(tile.row, tile.col, offset + 4, data[i].length);
+    offset += 4 + data[i].length;
+  });
+  (options.records || []).forEach((r) =>
+    setRecord(r.row, r.col, r.offset, r.size),
+  );
+  return bytes;
+}
+
+export const V1_HEADER_SIZE = 60;
+
+/**
+ * Build a compact cache V1 .bundle and its .bundlx: the bundle is a 60 byte header,
+ * an empty tile (a 4 byte zero size) and the tiles, each preceded by its 4 byte
+ * size. The .bundlx is a 16 byte header, a 5 byte bundle offset per tile in
+ * column-major order and a 16 byte footer, empty tiles point to the empty tile.
+ *
+ * tiles are { row, col, data } within the bundle, data a string or Uint8Array.
+ */
+export function bundleV1(tiles = []) {
+  const data = tiles.map((tile) =>
+    typeof tile.data === "string" ? encoder.encode(tile.data) : tile.data,
+  );
+  const length = data.reduce(
+    (sum, d) => sum + 4 + d.length,
+    V1_HEADER_SIZE + 4,
+  );
+  const bundle = new Uint8Array(length);
+  const v = new DataView(bundle.buffer);
+  const bundlx = new Uint8Array(16 + 128 * 128 * 5 + 16);
+  const x = new DataView(bundlx.buffer);
+  for (let i = 0; i < 128 * 128; i++) {
+    x.setUint32(16 + 5 * i, V1_HEADER_SIZE, true);
+  }
+
+  let offset = V1_HEADER_SIZE + 4;
+  tiles.forEach((tile, i) => {
+    v.setUint32(offset, data[i].length, true);
+    bundle.set(data[i], offset + 4);
+    x.setUint32(16 + 5 * (128 * tile.col + tile.row), offset, true);
+    offset += 4 + data[i].length;
+  });
+  return { bundle, bundlx };
+}
@@ -0,0 +1,87 @@
+import { Source, EtagMismatch } from "../../src/source.js";
+
+/**
+ * A block store kept in a Map, with the interface of IndexedDBBlockStore.
+ */
+export class MemoryBlockStore {
+  constructor(name = "memory") {
+    this.name = name;
+    this.blocks = new Map();
+    this.index = undefined;
+    this.gets = 0;
+  }
+
+  async loadIndex() {
+    return this.index && JSON.parse(JSON.stringify(this.index));
+  }
+
+  async saveIndex(index) {
+    this.index = JSON.parse(JSON.stringify(index));
+  }
+
+  async get(key) {
+    this.gets++;
+    return this.blocks.get(key);
+  }
+
+  async put(key, data) {
+    this.blocks.set(key, data);
+  }
+
+  async delete(key) {
+    this.blocks.delete(key);
+  }
+
+  async retain(keys) {
+    Array.from(this.blocks.keys()).forEach((key) => {
+      if (!keys.has(key)) this.blocks.delete(key);
+    });
+  }
+}
+
+/**
+ * A remote archive that can be republished with new bytes and an ETag, or go
+ * offline. Requests are recorded as [offset, length, etag].
+ */
+export class FakeRemoteSource extends Source {
+  constructor(bytes, etag) {
+    super();
+    this.bytes = bytes;
+    this.etag = etag;
+    this.offline = false;
+    this.requests = [];
+  }
+
+  getKey() {
+    return "https://example.com/a.vtpk";
+  }
+
+  publish(bytes, etag) {
+    this.bytes = bytes;
+    this.etag = etag;
+  }
+
+  async getSize() {
+    if (this.offline) throw new TypeError("fetch failed");
+    return this.bytes.length;
+  }
+
+  async getBytes(offset, length, signal, etag) {
+    this.requests.push([offset, length, etag]);
+    if (this.offline) throw new TypeError("fetch failed");
+    if (etag && etag !== this.etag) {
+      throw new EtagMismatch("changed", etag, this.etag);
+    }
+    return {
+      data: this.bytes.slice(offset, offset + length).buffer,
+      etag: this.etag,
+    };
+  }
+}
+
+/**
+ * Bytes 0..length - 1 with byte i set to (i + seed) % 256.
+ */
+export function pattern(length, seed = 0) {
+  return new Uint8Array(length).map((_, i) => (i + seed) % 256);
+}
@@ -0,0 +1,176 @@
+import * as fflate from "fflate";
+import crc32 from "../../src/crc32.js";
+
+const encoder = new TextEncoder();
+
+function toBytes(data) {
+  return typeof data === "string" ? encoder.encode(data) : data;
+}
+
+function setUint64(view, offset, value) {
+  view.setBigUint64(offset, BigInt(value), true);
+}
+
+/**
+ * Build a Zip archive in memory.
+ *
+ * entries are { name, data, method, localExtra }: data a string or Uint8Array,
+ * method "store" (default) or "deflate", localExtra the length of padding in the
+ * extra field of the local header only.
+ *
+ * options are { comment, zip64, disks, diskNumber }: zip64 adds the ZIP64 end of
+ * central directory record and locator and moves sizes and offsets to the ZIP64
+ * extra fields, disks is the disk count in the locator, diskNumber the disk of the
+ * end of central directory record.
+ */
+export default function zip(entries, options = {}) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  entries.forEach((entry) => {
+    const name = encoder.encode(entry.name);
+    const data = toBytes(entry.data);
+    const deflate = entry.method === "deflate";
+    const stored = deflate ? fflate.deflateSync(data) : data;
+    const crc = crc32(data);
+    const localExtra = entry.localExtra || 0;
+
+    const local = new DataView(new ArrayBuffer(30 + name.length + localExtra));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, deflate ? 8 : 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, localExtra, true);
+    new Uint8Array(local.buffer).set(name, 30);
+    const localOffset = offset;
+    push(new Uint8Array(local.buffer));
+    push(stored);
+
+    const extra = options.zip64 ? 28 : 0;
+    const header = new DataView(new ArrayBuffer(46 + name.length + extra));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 45, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(10, deflate ? 8 : 0, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, options.zip64 ? 0xffffffff : stored.length, true);
+    header.setUint32(24, options.zip64 ? 0xffffffff : data.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint16(30, extra, true);
+    header.setUint32(42, options.zip64 ? 0xffffffff : localOffset, true);
+    new Uint8Array(header.buffer).set(name, 46);
+    if (options.zip64) {
+      const e = 46 + name.length;
+      header.setUint16(e, 0x0001, true);
+      header.setUint16(e + 2, 24, true);
+      setUint64(header, e + 4, data.length);
+      setUint64(header, e + 12, stored.length);
+      setUint64(header, e + 20, localOffset);
+    }
+    central.push(new Uint8Array(header.buffer));
+  });
+
+  const centralOffset = offset;
+  central.forEach(push);
+  const centralSize = offset - centralOffset;
+
+  if (options.zip64) {
+    const record = new DataView(new ArrayBuffer(56));
+    record.setUint32(0, 0x06064b50, true);
+    setUint64(record, 4, 44);
+    record.setUint16(12, 45, true);
+    record.setUint16(14, 45, true);
+    setUint64(record, 24, entries.length);
+    setUint64(record, 32, entries.length);
+    setUint64(record, 40, centralSize);
+    setUint64(record, 48, centralOffset);
+    const recordOffset = offset;
+    push(new Uint8Array(record.buffer));
+
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    setUint64(locator, 8, recordOffset);
+    locator.setUint32(16, options.disks || 1, true);
+    push(new Uint8Array(locator.buffer));
+  }
+
+  const comment = encoder.encode(options.comment || "");
+  const eocd = new DataView(new ArrayBuffer(22 + comment.length));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(4, options.diskNumber || 0, true);
+  eocd.setUint16(8, options.zip64 ? 0xffff : entries.length, true);
+  eocd.setUint16(10, options.zip64 ? 0xffff : entries.length, true);
+  eocd.setUint32(12, options.zip64 ? 0xffffffff : centralSize, true);
+  eocd.setUint32(16, options.zip64 ? 0xffffffff : centralOffset, true);
+  eocd.setUint16(20, comment.length, true);
+  new Uint8Array(eocd.buffer).set(comment, 22);
+  push(new Uint8Array(eocd.buffer));
+
+  const archive = new Uint8Array(offset);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    archive.set(chunk, position);
+    position += chunk.length;
+  });
+  return archive;
+}
+
+// A minimal Web Mercator TPKX with 256 pixel tiles and LODs 0 to 2
+export const TPKX_ROOT = {
+  tileInfo: {
+    rows: 256,
+    cols: 256,
+    dpi: 96,
+    origin: { x: -20037508.342787, y: 20037508.342787 },
+    spatialReference: { wkid: 102100, latestWkid: 3857 },
+    lods: [0, 1, 2].map((level) => ({
+      level: level,
+      resolution: 156543.03392800014 / Math.pow(2, level),
+      scale: 591657527.591555 / Math.pow(2, level),
+    })),
+  },
+  tileImageInfo: { format: "PNG" },
+  minLOD: 0,
+  maxLOD: 2,
+  extent: { xmin: -180, ymin: -85, xmax: 180, ymax: 85 },
+};
+
+/**
+ * The entries of a TPKX with the given root.json, iteminfo.json and further entries.
+ */
+export function tpkxEntries(entries = [], root = TPKX_ROOT, iteminfo = {}) {
+  return [
+    { name: "root.json", data: JSON.stringify(root) },
+    { name: "iteminfo.json", data: JSON.stringify(iteminfo) },
+  ].concat(entries);
+}
+
+// The conf.xml of a Web Mercator TPK with JPEG tiles in compact cache V1 bundles
+export const CONF_XML = `<?xml version="1.0" encoding="utf-8"?>
+<CacheInfo xsi:type="typens:CacheInfo" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:typens="http://www.esri.com/schemas/ArcGIS/10.1">
+  <TileCacheInfo xsi:type="typens:TileCacheInfo">
+    <SpatialReference xsi:type="typens:ProjectedCoordinateSystem">
+      <WKT>PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere"]</WKT>
+      <WKID>102100</WKID>
+      <LatestWKID>3857</LatestWKID>
+    </SpatialReference>
+    <TileOrigin xsi:type="typens:PointN"><X>-20037508.342787001</X><Y>20037508.342787001</Y></TileOrigin>
+    <TileCols>256</TileCols>
+    <TileRows>256</TileRows>
+    <DPI>96</DPI>
+    <LODInfos xsi:type="typens:ArrayOfLODInfo">
+      <LODInfo xsi:type="typens:LODInfo"><LevelID>0</LevelID><Scale>591657527.591555</Scale><Resolution>156543.03392800014</Resolution></LODInfo>
+      <LODInfo xsi:type="typens:LODInfo"><LevelID>1</LevelID><Scale>295828763.79577702</Scale><Resolution>78271.516963999937</Resolution></LODInfo>
+    </LODInfos>
+  </TileCacheInfo>
+  <TileImageInfo xsi:type="typens:TileImageInfo"><CacheTileFormat>JPEG</CacheTileFormat><CompressionQuality>75</CompressionQuality></TileImageInfo>
+  <CacheStorageInfo xsi:type="typens:CacheStorageInfo"><StorageFormat>esriMapCacheStorageModeCompact</StorageFormat><PacketSize>128</PacketSize></CacheStorageInfo>
+</CacheInfo>`;
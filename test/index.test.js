@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zip, { tpkxEntries } from "./helpers/zip.js";
+
+// The package entry point imports every dependency, skip when one is missing
+let TilePackage;
+let skip = false;
+try {
+  TilePackage = (await import("../src/index.js")).TilePackage;
+} catch (e) {
+  if (e.code !== "ERR_MODULE_NOT_FOUND") throw e;
+  skip = e.message;
+}
+
+// Serve server.archive with server.etag to range requests through fetch
+function serveArchive(t, server) {
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const range = /bytes=(\d+)-(\d+)/.exec(init.headers.get("range"));
+    const start = Number(range[1]);
+    const end = Math.min(Number(range[2]), server.archive.length - 1);
+    server.requests++;
+    return new Response(server.archive.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        "Content-Length": String(end - start + 1),
+        "Content-Range": `bytes ${start}-${end}/${server.archive.length}`,
+        ETag: server.etag,
+      },
+    });
+  };
+  t.after(() => (globalThis.fetch = original));
+}
+
+function text(resource) {
+  return new TextDecoder().decode(resource.data);
+}
+
+test(
+  "a republished archive is reloaded and announced once",
+  { skip },
+  async (t) => {
+    const server = {
+      archive: zip(
+        tpkxEntries([
+          { name: "a.txt", data: "first a" },
+          { name: "b.txt", data: "first b" },
+        ]),
+      ),
+      etag: '"v1"',
+      requests: 0,
+    };
+    serveArchive(t, server);
+    const url = "https://example.com/a.tpkx";
+    const pkg = new TilePackage(url);
+    const events = [];
+    pkg.addEventListener("archivechanged", (e) => events.push(e.detail));
+
+    assert.equal(text(await pkg.getResource("a.txt")), "first a");
+
+    server.archive = zip(
+      tpkxEntries([
+        { name: "extra.txt", data: "moves the other entries" },
+        { name: "a.txt", data: "second a", method: "deflate" },
+        { name: "b.txt", data: "second b" },
+      ]),
+    );
+    server.etag = '"v2"';
+    const [b, again] = await Promise.all([
+      pkg.getResource("b.txt"),
+      pkg.getResource("b.txt"),
+    ]);
+    assert.equal(text(b), "second b");
+    assert.equal(text(again), "second b");
+    assert.deepEqual(events, [
+      { key: url, previousEtag: '"v1"', etag: '"v2"' },
+    ]);
+    assert.equal((await pkg.getHeader()).etag, '"v2"');
+
+    // Resources cached from the previous archive are dropped
+    assert.equal(text(await pkg.getResource("a.txt")), "second a");
+    assert.equal(events.length, 1);
+  },
+);
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { access, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { NodeFileSource, NodeFileTarget } from "../src/node-file-source.js";
+import { isMissingFile } from "../src/directory-source.js";
+
+const BYTES = new Uint8Array(300).map((_, i) => i % 256);
+
+async function tempDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), "tilepackage-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("NodeFileSource reads ranges through one file handle", async (t) => {
+  const path = join(await tempDir(t), "a.vtpk");
+  await writeFile(path, BYTES);
+  const source = new NodeFileSource(path);
+  assert.equal(source.getKey(), path);
+  assert.equal(await source.getSize(), 300);
+
+  const [a, b] = await Promise.all([
+    source.getBytes(0, 10),
+    source.getBytes(290, 10),
+  ]);
+  assert.deepEqual(new Uint8Array(a.data), BYTES.slice(0, 10));
+  assert.deepEqual(new Uint8Array(b.data), BYTES.slice(290));
+  const handle = source.handle;
+  await source.getBytes(100, 1);
+  assert.equal(source.handle, handle);
+
+  await source.close();
+  assert.equal(source.handle, undefined);
+  // Reopened on the next read
+  assert.deepEqual(
+    new Uint8Array((await source.getBytes(5, 2)).data),
+    BYTES.slice(5, 7),
+  );
+  await source.close();
+});
+
+test("NodeFileSource rejects reads past the end and aborted reads", async (t) => {
+  const path = join(await tempDir(t), "a.vtpk");
+  await writeFile(path, BYTES);
+  const source = new NodeFileSource(path);
+  await assert.rejects(
+    source.getBytes(295, 10),
+    /Unexpected end of file .*: requested 10 bytes at offset 295, got 5/,
+  );
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(source.getBytes(0, 10, controller.signal), {
+    name: "AbortError",
+  });
+  await source.close();
+});
+
+test("a missing file is reported as missing", async (t) => {
+  const source = new NodeFileSource(join(await tempDir(t), "missing.vtpk"));
+  await assert.rejects(source.getBytes(0, 10), (e) => isMissingFile(e));
+  await source.close();
+});
+
+test("NodeFileTarget writes the parts, then the tile data", async (t) => {
+  const path = join(await tempDir(t), "out.pmtiles");
+  const target = new NodeFileTarget(path);
+  await target.write(BYTES.slice(0, 200));
+  await target.write(BYTES.slice(200));
+  await access(target.tempPath);
+  assert.equal(
+    await target.finish([new Uint8Array([1, 2]), new Uint8Array([3])]),
+    path,
+  );
+  const written = new Uint8Array(await readFile(path));
+  assert.deepEqual(written.slice(0, 3), new Uint8Array([1, 2, 3]));
+  assert.deepEqual(written.slice(3), BYTES);
+  await assert.rejects(access(target.tempPath), { code: "ENOENT" });
+});
+
+test("NodeFileTarget removes the tile data on abort", async (t) => {
+  const path = join(await tempDir(t), "out.pmtiles");
+  const target = new NodeFileTarget(path);
+  await target.write(BYTES);
+  await target.abort();
+  await assert.rejects(access(target.tempPath), { code: "ENOENT" });
+  await assert.rejects(access(path), { code: "ENOENT" });
+  // Nothing written, nothing to remove
+  await new NodeFileTarget(path).abort();
+});
@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PackageDownloader } from "../src/package-downloader.js";
+import {
+  MemoryBlockStore,
+  FakeRemoteSource,
+  pattern,
+} from "./helpers/memory-store.js";
+
+function downloaderOf(remote, store) {
+  return new PackageDownloader(remote, { store: store, chunkSize: 100 });
+}
+
+test("a download stores every chunk and reports its progress", async () => {
+  const remote = new FakeRemoteSource(pattern(250), '"a"');
+  const store = new MemoryBlockStore("tilepackage-downloads");
+  const downloader = downloaderOf(remote, store);
+  const events = [];
+  downloader.addEventListener("progress", (e) => events.push(e.detail.loaded));
+  downloader.addEventListener("complete", (e) => events.push(e.detail));
+
+  const source = await downloader.download();
+  assert.deepEqual(events, [
+    100,
+    200,
+    250,
+    { key: remote.getKey(), size: 250, etag: '"a"' },
+  ]);
+  assert.deepEqual(remote.requests, [
+    [0, 100, undefined],
+    [100, 100, '"a"'],
+    [200, 50, '"a"'],
+  ]);
+  assert.deepEqual(await downloader.getProgress(), {
+    loaded: 250,
+    total: 250,
+    complete: true,
+  });
+  assert.equal(source.getKey(), remote.getKey());
+  const resp = await source.getBytes(90, 120);
+  assert.deepEqual(new Uint8Array(resp.data), pattern(120, 90));
+  assert.equal(resp.etag, '"a"');
+
+  // A completed download is served from the store
+  await downloaderOf(remote, store).download();
+  assert.equal(remote.requests.length, 3);
+  assert.ok(await downloaderOf(remote, store).getSource());
+});
+
+test("an interrupted download resumes after the last stored chunk", async () => {
+  const remote = new FakeRemoteSource(pattern(250), '"a"');
+  const store = new MemoryBlockStore("tilepackage-downloads");
+  const downloader = downloaderOf(remote, store);
+  downloader.addEventListener("progress", () => (remote.offline = true));
+  await assert.rejects(downloader.download(), TypeError);
+  assert.deepEqual(await downloader.getProgress(), {
+    loaded: 100,
+    total: 250,
+    complete: false,
+  });
+  assert.equal(await downloader.getSource(), undefined);
+
+  remote.offline = false;
+  remote.requests = [];
+  const source = await downloaderOf(remote, store).download();
+  assert.deepEqual(remote.requests, [
+    [100, 100, '"a"'],
+    [200, 50, '"a"'],
+  ]);
+  assert.deepEqual(
+    new Uint8Array((await source.getBytes(0, 250)).data),
+    pattern(250),
+  );
+});
+
+test("a download starts over when the package changed", async () => {
+  const remote = new FakeRemoteSource(pattern(250), '"a"');
+  const store = new MemoryBlockStore("tilepackage-downloads");
+  const downloader = downloaderOf(remote, store);
+  downloader.addEventListener("progress", () => (remote.offline = true));
+  await assert.rejects(downloader.download(), TypeError);
+
+  remote.offline = false;
+  remote.publish(pattern(250, 9), '"b"');
+  remote.requests = [];
+  const source = await downloaderOf(remote, store).download();
+  assert.deepEqual(remote.requests, [
+    [100, 100, '"a"'],
+    [0, 100, undefined],
+    [100, 100, '"b"'],
+    [200, 50, '"b"'],
+  ]);
+  const resp = await source.getBytes(0, 250);
+  assert.deepEqual(new Uint8Array(resp.data), pattern(250, 9));
+  assert.equal(resp.etag, '"b"');
+});
+
+test("a stored package can be deleted", async () => {
+  const remote = new FakeRemoteSource(pattern(250), '"a"');
+  const store = new MemoryBlockStore("tilepackage-downloads");
+  const downloader = downloaderOf(remote, store);
+  await downloader.download();
+  await downloader.delete();
+  assert.equal(store.blocks.size, 0);
+  assert.equal(await downloader.getProgress(), undefined);
+});
+
+test("the store of the block cache is refused", () => {
+  assert.throws(
+    () =>
+      new PackageDownloader(new FakeRemoteSource(pattern(1)), {
+        store: new MemoryBlockStore("tilepackage-block-cache"),
+      }),
+    /can not use the block cache store/,
+  );
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import parseMultipartByteranges, {
+  parseContentRange,
+} from "../src/parse-multipart-byteranges.js";
+
+const encoder = new TextEncoder();
+
+// A multipart/byteranges body with the given parts of { offset, data, headers }
+function multipartBody(boundary, parts, size = 1000) {
+  const chunks = [];
+  parts.forEach((part) => {
+    const headers = part.headers || [
+      "Content-Type: application/octet-stream",
+      `Content-Range: bytes ${part.offset}-${part.offset + part.data.length - 1}/${size}`,
+    ];
+    chunks.push(
+      encoder.encode(`\r\n--${boundary}\r\n${headers.join("\r\n")}\r\n\r\n`),
+    );
+    chunks.push(part.data);
+  });
+  chunks.push(encoder.encode(`\r\n--${boundary}--\r\n`));
+  const length = chunks.reduce((sum, c) => sum + c.length, 0);
+  const body = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((c) => {
+    body.set(c, offset);
+    offset += c.length;
+  });
+  return body.buffer;
+}
+
+test("parseContentRange reads offset, length and size", () => {
+  assert.deepEqual(parseContentRange("bytes 0-499/1234"), {
+    offset: 0,
+    length: 500,
+    size: 1234,
+  });
+  assert.deepEqual(parseContentRange(" bytes 10-19/* "), {
+    offset: 10,
+    length: 10,
+    size: undefined,
+  });
+  assert.equal(parseContentRange("bytes */1234"), undefined);
+  assert.equal(parseContentRange(null), undefined);
+});
+
+test("every part is returned with its offset and data", () => {
+  const body = multipartBody("XYZ", [
+    { offset: 0, data: new Uint8Array([1, 2, 3]) },
+    { offset: 500, data: new Uint8Array([4, 5]) },
+  ]);
+  const parts = parseMultipartByteranges(body, "XYZ");
+  assert.deepEqual(
+    parts.map((p) => [p.offset, p.length, Array.from(new Uint8Array(p.data))]),
+    [
+      [0, 3, [1, 2, 3]],
+      [500, 2, [4, 5]],
+    ],
+  );
+});
+
+test("data containing the boundary is located by Content-Range", () => {
+  const data = encoder.encode("ab\r\n--XYZ\r\ncd");
+  const body = multipartBody("XYZ", [
+    { offset: 7, data: data },
+    { offset: 100, data: new Uint8Array([9]) },
+  ]);
+  const parts = parseMultipartByteranges(body, "XYZ");
+  assert.equal(parts.length, 2);
+  assert.deepEqual(new Uint8Array(parts[0].data), data);
+  assert.equal(parts[1].offset, 100);
+});
+
+test("header names are case-insensitive", () => {
+  const body = multipartBody("b", [
+    {
+      offset: 5,
+      data: new Uint8Array([1]),
+      headers: ["content-range:   bytes 5-5/10"],
+    },
+  ]);
+  assert.equal(parseMultipartByteranges(body, "b")[0].offset, 5);
+});
+
+test("malformed responses throw", () => {
+  const missingRange = multipartBody("b", [
+    { offset: 0, data: new Uint8Array([1]), headers: ["Content-Type: x"] },
+  ]);
+  assert.throws(
+    () => parseMultipartByteranges(missingRange, "b"),
+    /Missing Content-Range/,
+  );
+
+  const truncated = multipartBody("b", [
+    {
+      offset: 0,
+      data: new Uint8Array([1]),
+      headers: ["Content-Range: bytes 0-99/100"],
+    },
+  ]);
+  assert.throws(
+    () => parseMultipartByteranges(truncated, "b"),
+    /Truncated multipart/,
+  );
+
+  const noHeaderEnd = encoder.encode(
+    "--b\r\nContent-Range: bytes 0-0/1",
+  ).buffer;
+  assert.throws(
+    () => parseMultipartByteranges(noHeaderEnd, "b"),
+    /Malformed multipart/,
+  );
+});
+
+test("a body without the boundary has no parts", () => {
+  assert.deepEqual(
+    parseMultipartByteranges(encoder.encode("hello").buffer, "b"),
+    [],
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import parseXml from "../src/parse-xml.js";
+
+test("text elements become strings and repeated elements arrays", () => {
+  const xml = parseXml(`<?xml version="1.0" encoding="utf-8"?>
+    <!DOCTYPE root [ <!ENTITY x "y"> ]>
+    <root>
+      <!-- a comment <with> tags -->
+      <name> Basemap </name>
+      <empty/>
+      <blank></blank>
+      <tag>a</tag>
+      <tag>b</tag>
+      <tag>c</tag>
+    </root>`);
+  assert.deepEqual(xml, {
+    root: { name: "Basemap", empty: "", blank: "", tag: ["a", "b", "c"] },
+  });
+});
+
+test("attributes become @ keys next to children and #text", () => {
+  const xml = parseXml(
+    `<CacheInfo xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xsi:type="typens:CacheInfo">` +
+      `<title lang="en">Roads</title>` +
+      `<LODInfo Level="0"><Resolution>1.5</Resolution></LODInfo>` +
+      `mixed</CacheInfo>`,
+  );
+  assert.deepEqual(xml, {
+    CacheInfo: {
+      "@xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+      "@xsi:type": "typens:CacheInfo",
+      title: { "@lang": "en", "#text": "Roads" },
+      LODInfo: { "@Level": "0", Resolution: "1.5" },
+      "#text": "mixed",
+    },
+  });
+});
+
+test("entities are decoded in text and attributes", () => {
+  const xml = parseXml(
+    `<a title="&quot;x&quot; &amp; &apos;y&apos;">&lt;b&gt; &#65;&#x42;&#x1F600; &unknown;</a>`,
+  );
+  assert.deepEqual(xml, {
+    a: { "@title": `"x" & 'y'`, "#text": "<b> AB\u{1F600} &unknown;" },
+  });
+});
+
+test("CDATA is kept as written", () => {
+  const xml = parseXml(
+    "<summary>Before <![CDATA[<b>bold</b> &amp; ]]]]><![CDATA[>]]> after</summary>",
+  );
+  assert.deepEqual(xml, { summary: "Before <b>bold</b> &amp; ]]> after" });
+});
+
+test("malformed documents throw", () => {
+  assert.throws(() => parseXml("<a><b></a>"), /unexpected closing tag <\/a>/);
+  assert.throws(() => parseXml("<a>"), /missing closing tag for <a>/);
+  assert.throws(() => parseXml("<a/><b/>"), /expected a single root element/);
+  assert.throws(() => parseXml("<a><!-- open</a>"), /unterminated comment/);
+  assert.throws(() => parseXml("<a><![CDATA[x</a>"), /unterminated CDATA/);
+  assert.throws(() => parseXml("<a <b>"), /invalid tag at 0/);
+});
@@ -0,0 +1,268 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PMTiles, zxyToTileId as pmtilesTileId } from "pmtiles";
+import exportPmtiles, {
+  BlobTarget,
+  zxyToTileId,
+} from "../src/pmtiles-export.js";
+import TileIterator from "../src/tile-iterator.js";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function hex(n) {
+  return n.toString(16).padStart(4, "0");
+}
+
+// A TPKX whose bundles hold the tiles { z, x, y, data }, data a string
+function fakePackage(tiles) {
+  const files = {};
+  const bundles = {};
+  const chunks = [];
+  let length = 0;
+  tiles.forEach((tile) => {
+    const level = String(tile.z).padStart(2, "0");
+    const row = tile.y - (tile.y % 128);
+    const col = tile.x - (tile.x % 128);
+    const file = `tile/L${level}/R${hex(row)}C${hex(col)}.bundle`;
+    files[file] = { filename: file };
+    bundles[file] = bundles[file] || {};
+    const data = encoder.encode(tile.data);
+    bundles[file][`${tile.y - row},${tile.x - col}`] = {
+      tileOffset: length,
+      tileSize: data.length,
+    };
+    chunks.push(data);
+    length += data.length;
+  });
+  const archive = new Uint8Array(length);
+  chunks.reduce((offset, data) => {
+    archive.set(data, offset);
+    return offset + data.length;
+  }, 0);
+
+  const header = {
+    type: "tpkx",
+    packageType: "tpkx",
+    files: files,
+    tileMatrixSet: { compatible: true, lods: [] },
+    tileCompression: "none",
+    tileType: "PNG",
+    etag: '"a"',
+    minLon: -180,
+    minLat: -85,
+    maxLon: 180,
+    maxLat: 85,
+  };
+  const pkg = {
+    getHeader: async () => header,
+    source: {
+      getKey: () => "fake.tpkx",
+      getBytes: async (offset, size) => ({
+        data: archive.slice(offset, offset + size).buffer,
+      }),
+    },
+    cache: {
+      getTileIndex: async (source, file) => ({
+        get: (row, col) => bundles[file][`${row},${col}`],
+      }),
+      getDataOffset: async () => 0,
+    },
+    decompress: async (data) => data,
+    tiles: (options) => new TileIterator(pkg, options),
+    getTileJson: async () => ({
+      tilejson: "3.0.0",
+      tiles: ["/{z}/{x}/{y}"],
+      name: "Fake",
+      minzoom: 0,
+    }),
+    getMetadata: async () => ({ description: "A fake package" }),
+    getStyle: async () => ({ version: 8, sources: {}, layers: [] }),
+  };
+  return pkg;
+}
+
+// Export to a Blob and open it with the PMTiles reader
+async function roundTrip(pkg, options) {
+  const target = new BlobTarget();
+  const report = await exportPmtiles(pkg, target, options);
+  const bytes = new Uint8Array(await target.blob.arrayBuffer());
+  assert.equal(report.size, bytes.length);
+  const reader = new PMTiles({
+    getKey: () => "export.pmtiles",
+    getBytes: async (offset, length) => ({
+      data: bytes.slice(offset, offset + length).buffer,
+    }),
+  });
+  return { report, reader };
+}
+
+async function readTile(reader, z, x, y) {
+  const resp = await reader.getZxy(z, x, y);
+  return resp && decoder.decode(resp.data);
+}
+
+test("zxyToTileId numbers tiles along the Hilbert curve of each zoom", () => {
+  assert.equal(zxyToTileId(0, 0, 0), 0);
+  assert.deepEqual(
+    [
+      [0, 0],
+      [0, 1],
+      [1, 1],
+      [1, 0],
+    ].map(([x, y]) => zxyToTileId(1, x, y)),
+    [1, 2, 3, 4],
+  );
+  assert.equal(zxyToTileId(2, 0, 0), 5);
+  for (const [z, x, y] of [
+    [3, 5, 2],
+    [12, 2200, 1343],
+    [20, 560000, 330000],
+    [26, 2 ** 26 - 1, 2 ** 26 - 1],
+  ]) {
+    assert.equal(zxyToTileId(z, x, y), pmtilesTileId(z, x, y));
+  }
+  assert.throws(() => zxyToTileId(27, 0, 0), /exceeds the PMTiles maximum/);
+});
+
+test("an export reads back through the PMTiles reader", async () => {
+  const pkg = fakePackage([
+    { z: 0, x: 0, y: 0, data: "world" },
+    { z: 1, x: 1, y: 0, data: "north-east" },
+    { z: 1, x: 0, y: 1, data: "south-west" },
+    { z: 2, x: 3, y: 3, data: "south-west" },
+  ]);
+  const progress = [];
+  const { report, reader } = await roundTrip(pkg, {
+    concurrency: 2,
+    onProgress: (p) => progress.push(p),
+  });
+  assert.deepEqual(
+    [report.addressedTiles, report.tileEntries, report.tileContents],
+    [4, 4, 3],
+  );
+  assert.deepEqual(progress, [
+    { written: 2, tileContents: 2 },
+    { written: 4, tileContents: 3 },
+  ]);
+
+  const header = await reader.getHeader();
+  assert.equal(header.specVersion, 3);
+  assert.equal(header.clustered, false);
+  assert.equal(header.tileType, 2);
+  assert.equal(header.tileCompression, 1);
+  assert.deepEqual([header.minZoom, header.maxZoom], [0, 2]);
+  assert.deepEqual(
+    [header.numAddressedTiles, header.numTileEntries, header.numTileContents],
+    [4, 4, 3],
+  );
+  assert.equal(header.leafDirectoryLength, 0);
+
+  assert.equal(await readTile(reader, 0, 0, 0), "world");
+  assert.equal(await readTile(reader, 1, 1, 0), "north-east");
+  assert.equal(await readTile(reader, 1, 0, 1), "south-west");
+  assert.equal(await readTile(reader, 2, 3, 3), "south-west");
+  assert.equal(await readTile(reader, 1, 0, 0), undefined);
+
+  const metadata = await reader.getMetadata();
+  assert.equal(metadata.name, "Fake");
+  assert.equal(metadata.description, "A fake package");
+  assert.equal(metadata.format, "png");
+  assert.equal(metadata.tiles, undefined);
+  assert.deepEqual(metadata.style, { version: 8, sources: {}, layers: [] });
+});
+
+test("runs of identical tiles share an entry, repeated tiles one content", async () => {
+  // All 16 tiles of zoom 2, the first and last along the Hilbert curve differ
+  const tiles = [];
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) tiles.push({ z: 2, x, y, data: "sea" });
+  }
+  tiles.find((t) => t.x === 0 && t.y === 0).data = "land";
+  tiles.find((t) => t.x === 3 && t.y === 0).data = "land";
+  const { report, reader } = await roundTrip(fakePackage(tiles), {
+    style: false,
+  });
+  assert.deepEqual(
+    [report.addressedTiles, report.tileEntries, report.tileContents],
+    [16, 3, 2],
+  );
+  for (const t of tiles) {
+    assert.equal(await readTile(reader, t.z, t.x, t.y), t.data);
+  }
+  assert.equal((await reader.getMetadata()).style, undefined);
+});
+
+test("minZoom, maxZoom and bbox select the exported tiles", async () => {
+  const pkg = fakePackage([
+    { z: 0, x: 0, y: 0, data: "world" },
+    { z: 1, x: 0, y: 0, data: "north-west" },
+    { z: 1, x: 1, y: 1, data: "south-east" },
+    { z: 2, x: 0, y: 0, data: "far north-west" },
+  ]);
+  const { report, reader } = await roundTrip(pkg, {
+    minZoom: 1,
+    maxZoom: 1,
+    bbox: [-170, 10, -10, 80],
+  });
+  assert.equal(report.addressedTiles, 1);
+  const header = await reader.getHeader();
+  assert.deepEqual([header.minZoom, header.maxZoom], [1, 1]);
+  assert.deepEqual(
+    [header.minLon, header.minLat, header.maxLon, header.maxLat],
+    [-170, 10, -10, 80],
+  );
+  assert.equal(await readTile(reader, 1, 0, 0), "north-west");
+  assert.equal(await readTile(reader, 1, 1, 1), undefined);
+});
+
+test("entries that do not fit the root directory go to leaf directories", async () => {
+  // 16384 different tiles, a whole bundle at zoom 7
+  const tiles = [];
+  for (let y = 0; y < 128; y++) {
+    for (let x = 0; x < 128; x++) {
+      tiles.push({ z: 7, x, y, data: `${x},${y}` });
+    }
+  }
+  const { report, reader } = await roundTrip(fakePackage(tiles), {
+    concurrency: 64,
+  });
+  assert.deepEqual(
+    [report.addressedTiles, report.tileEntries, report.tileContents],
+    [16384, 16384, 16384],
+  );
+  const header = await reader.getHeader();
+  assert.ok(header.leafDirectoryLength > 0);
+  assert.ok(header.rootDirectoryOffset + header.rootDirectoryLength <= 16384);
+  for (const [x, y] of [
+    [0, 0],
+    [127, 0],
+    [64, 64],
+    [5, 120],
+    [127, 127],
+  ]) {
+    assert.equal(await readTile(reader, 7, x, y), `${x},${y}`);
+  }
+});
+
+test("a failed read aborts the target and stops the iteration", async () => {
+  const pkg = fakePackage([
+    { z: 0, x: 0, y: 0, data: "world" },
+    { z: 1, x: 0, y: 0, data: "north-west" },
+  ]);
+  pkg.source.getBytes = async () => {
+    throw new Error("Bad response code: 500");
+  };
+  const target = new BlobTarget();
+  let aborted = false;
+  target.abort = async () => (aborted = true);
+  let iterator;
+  pkg.tiles = (options) => (iterator = new TileIterator(pkg, options));
+  await assert.rejects(
+    exportPmtiles(pkg, target, { concurrency: 1 }),
+    /Bad response code: 500/,
+  );
+  assert.equal(aborted, true);
+  assert.equal(target.blob, undefined);
+  assert.deepEqual(await iterator.next(), { done: true, value: undefined });
+});
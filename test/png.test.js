@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as fflate from "fflate";
+import { isPng, decodePng, encodePng } from "../src/png.js";
+import crc32 from "../src/crc32.js";
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, data.length);
+  out.set(new TextEncoder().encode(type), 4);
+  out.set(data, 8);
+  v.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+// A PNG of rows given as their filter type followed by the filtered bytes
+function png(width, height, bitDepth, colorType, rows, chunks = {}) {
+  const header = new Uint8Array(13);
+  const v = new DataView(header.buffer);
+  v.setUint32(0, width);
+  v.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = chunks.interlace ? 1 : 0;
+  const raw = [].concat.apply([], rows);
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+  ];
+  if (chunks.PLTE) parts.push(chunk("PLTE", new Uint8Array(chunks.PLTE)));
+  if (chunks.tRNS) parts.push(chunk("tRNS", new Uint8Array(chunks.tRNS)));
+  // Split the image data over two IDAT chunks
+  const idat = fflate.zlibSync(new Uint8Array(raw));
+  parts.push(
+    chunk("IDAT", idat.subarray(0, 3)),
+    chunk("IDAT", idat.subarray(3)),
+  );
+  parts.push(chunk("IEND", new Uint8Array(0)));
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  parts.reduce((offset, p) => {
+    out.set(p, offset);
+    return offset + p.length;
+  }, 0);
+  return out;
+}
+
+test("encoded RGBA pixels decode unchanged", () => {
+  const width = 7;
+  const height = 5;
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37 + (i >> 2)) % 256;
+  const encoded = encodePng({ width, height, data });
+  assert.equal(isPng(encoded), true);
+  const decoded = decodePng(encoded.buffer);
+  assert.equal(decoded.width, width);
+  assert.equal(decoded.height, height);
+  assert.deepEqual(decoded.data, data);
+  // Views into larger buffers are read at their offset
+  const padded = new Uint8Array(encoded.length + 10);
+  padded.set(encoded, 10);
+  assert.deepEqual(decodePng(padded.subarray(10)).data, data);
+});
+
+test("every filter type is reversed", () => {
+  // 8 bit gray pixels 10, 30 and 40, 100 filtered by each type
+  const filtered = {
+    1: [
+      [1, 10, 20],
+      [1, 40, 60],
+    ],
+    2: [
+      [2, 10, 30],
+      [2, 30, 70],
+    ],
+    3: [
+      [3, 10, 25],
+      [3, 35, 65],
+    ],
+    4: [
+      [4, 10, 20],
+      [4, 30, 60],
+    ],
+  };
+  for (const filter of [1, 2, 3, 4]) {
+    const image = decodePng(png(2, 2, 8, 0, filtered[filter]));
+    assert.deepEqual(
+      Array.from(image.data).filter((_, i) => i % 4 === 0),
+      [10, 30, 40, 100],
+      `filter ${filter}`,
+    );
+  }
+  assert.throws(
+    () => decodePng(png(1, 1, 8, 0, [[5, 0]])),
+    /Invalid PNG filter 5/,
+  );
+});
+
+test("palette, gray, 16 bit and transparency are expanded to RGBA", () => {
+  const palette = png(3, 1, 2, 3, [[0, 0x18]], {
+    PLTE: [255, 0, 0, 0, 255, 0, 0, 0, 255],
+    tRNS: [0, 128],
+  });
+  assert.deepEqual(
+    Array.from(decodePng(palette).data),
+    [255, 0, 0, 0, 0, 255, 0, 128, 0, 0, 255, 255],
+  );
+
+  const bits = png(3, 1, 1, 0, [[0, 0xa0]]);
+  assert.deepEqual(
+    Array.from(decodePng(bits).data),
+    [255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255],
+  );
+
+  const deep = png(
+    2,
+    1,
+    16,
+    2,
+    [[0, 0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc, 0, 1, 0, 2, 0, 3]],
+    { tRNS: [0, 1, 0, 2, 0, 3] },
+  );
+  assert.deepEqual(
+    Array.from(decodePng(deep).data),
+    [0x12, 0x56, 0x9a, 255, 0, 0, 0, 0],
+  );
+
+  const grayAlpha = png(1, 1, 8, 4, [[0, 200, 50]]);
+  assert.deepEqual(Array.from(decodePng(grayAlpha).data), [200, 200, 200, 50]);
+});
+
+test("unsupported images throw", () => {
+  assert.equal(isPng(new Uint8Array([0xff, 0xd8, 0xff])), false);
+  assert.throws(() => decodePng(new Uint8Array(16)), /Not a PNG image/);
+  assert.throws(
+    () => decodePng(png(1, 1, 8, 0, [[0, 1]], { interlace: true })),
+    /Interlaced PNG images are not supported/,
+  );
+  assert.throws(
+    () => decodePng(png(1, 1, 8, 5, [[0, 1]])),
+    /Invalid PNG header/,
+  );
+});
@@ -0,0 +1,213 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import prefetchPackage from "../src/prefetch.js";
+
+const L00 = "tile/L00/R0000C0000.bundle";
+const L01 = "tile/L01/R0000C0000.bundle";
+
+// A package whose bundles hold the tiles listed as "row,col" in bundles[file]
+function fakePackage(bundles, overrides = {}) {
+  const header = Object.assign(
+    {
+      type: "tpkx",
+      packageType: "tpkx",
+      tileMatrixSet: { compatible: true, lods: [] },
+      minZoom: 0,
+      maxZoom: 1,
+      minLon: -180,
+      minLat: -85,
+      maxLon: 180,
+      maxLat: 85,
+      files: {},
+    },
+    overrides.header,
+  );
+  Object.keys(bundles).forEach((file) => (header.files[file] = {}));
+  const pkg = {
+    header: header,
+    tiles: [],
+    resources: [],
+    source: overrides.source || { getKey: () => "a.tpkx" },
+    getHeader: async () => header,
+    isReprojected: () => false,
+    getZoomRange: (h) => ({ minZoom: h.minZoom, maxZoom: h.maxZoom }),
+    getStyle: async () => overrides.style,
+    getResource: async (file) => {
+      pkg.resources.push(file);
+      return file.indexOf("@2x") === -1 ? new Uint8Array(1) : undefined;
+    },
+    getZxy: async (z, x, y) => {
+      pkg.tiles.push(`${z}/${x}/${y}`);
+      if (overrides.getZxy) return await overrides.getZxy(z, x, y);
+      return { data: new Uint8Array(1) };
+    },
+    cache: {
+      getTileIndex: async (source, file) => {
+        if (overrides.getTileIndex) await overrides.getTileIndex(file);
+        return { get: (row, col) => bundles[file][`${row},${col}`] };
+      },
+    },
+  };
+  return pkg;
+}
+
+test("tiles are read from the bundle indexes, the others are skipped", async () => {
+  const pkg = fakePackage({
+    [L00]: { "0,0": true },
+    [L01]: { "0,0": true, "1,1": true },
+  });
+  const progress = [];
+  const report = await prefetchPackage(pkg, {
+    onProgress: (p) => progress.push([p.loaded, p.total]),
+  });
+  assert.deepEqual(report, {
+    tiles: 3,
+    skipped: 2,
+    failed: 0,
+    resources: 0,
+    bundles: 2,
+  });
+  assert.deepEqual(pkg.tiles.sort(), ["0/0/0", "1/0/0", "1/1/1"]);
+  assert.deepEqual(progress[progress.length - 1], [5, 5]);
+
+  // The coverage map and the zoom range limit the tiles too
+  const covered = fakePackage(
+    { [L01]: { "0,0": true, "1,1": true } },
+    { header: { coverageMap: { 1: { 1: { 1: 1 } } } } },
+  );
+  const limited = await prefetchPackage(covered, { minZoom: 1 });
+  assert.deepEqual(covered.tiles, ["1/1/1"]);
+  assert.equal(limited.skipped, 3);
+});
+
+test("a failed tile stops the prefetch and is thrown", async () => {
+  const tiles = {};
+  for (let col = 0; col < 8; col++) tiles[`0,${col}`] = true;
+  const pkg = fakePackage(
+    { "tile/L03/R0000C0000.bundle": tiles },
+    {
+      header: { minZoom: 3, maxZoom: 3 },
+      getZxy: async (z, x) => {
+        if (x === 1) throw new Error("Bad response code: 500");
+        return { data: new Uint8Array(1) };
+      },
+    },
+  );
+  await assert.rejects(
+    prefetchPackage(pkg, { concurrency: 2 }),
+    /Bad response code: 500/,
+  );
+  // The running read finishes, no new one is started
+  assert.deepEqual(pkg.tiles, ["3/0/0", "3/1/0", "3/2/0"]);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    prefetchPackage(fakePackage({ [L00]: { "0,0": true } }), {
+      signal: controller.signal,
+    }),
+    { name: "AbortError" },
+  );
+});
+
+const STYLE = {
+  layers: [
+    { id: "water", type: "fill" },
+    { id: "labels", layout: { "text-font": ["Arial Regular"] } },
+    { id: "roads", layout: { "text-font": ["Arial Regular", "Noto Sans"] } },
+    { id: "data", layout: { "text-font": ["get", "font"] } },
+    { id: "expression", layout: { "text-font": [["get", "font"]] } },
+    { id: "literal", layout: { "text-font": ["literal", ["Noto Sans"]] } },
+  ],
+};
+const SPRITES = [
+  "p12/resources/sprites/sprite.json",
+  "p12/resources/sprites/sprite.png",
+  "p12/resources/sprites/sprite@2x.json",
+  "p12/resources/sprites/sprite@2x.png",
+];
+const FONTS = "p12/resources/fonts";
+
+test("the sprites and the glyphs of the fonts used by the style are loaded", async () => {
+  const files = {};
+  [
+    `${FONTS}/Arial Regular/0-255.pbf`,
+    `${FONTS}/Arial Regular/256-511.pbf`,
+    `${FONTS}/Arial Regular,Noto Sans/0-255.pbf`,
+    `${FONTS}/Noto Sans/0-255.pbf`,
+    `${FONTS}/Unused/0-255.pbf`,
+  ].forEach((file) => (files[file] = {}));
+  const pkg = fakePackage(
+    {},
+    {
+      header: { type: "vtpk", packageType: "vtpk", maxZoom: 0, files: files },
+      style: STYLE,
+    },
+  );
+  const report = await prefetchPackage(pkg);
+  assert.deepEqual(
+    pkg.resources,
+    SPRITES.concat([
+      `${FONTS}/Arial Regular/0-255.pbf`,
+      `${FONTS}/Arial Regular/256-511.pbf`,
+      `${FONTS}/Arial Regular,Noto Sans/0-255.pbf`,
+      `${FONTS}/Noto Sans/0-255.pbf`,
+    ]),
+  );
+  // The @2x sprites are missing
+  assert.equal(report.resources, 6);
+  assert.equal(report.skipped, 1);
+});
+
+test("directories load the given glyph ranges and count missing bundles as failed", async () => {
+  const missing = Object.assign(new Error("Bad response code: 404"), {
+    status: 404,
+  });
+  const directory = { getKey: () => "https://a.com/p", getSource: () => ({}) };
+  const options = {
+    header: { type: "vtpk", packageType: "vtpk", maxZoom: 0 },
+    style: STYLE,
+    source: directory,
+    getTileIndex: async () => {
+      throw missing;
+    },
+  };
+  const pkg = fakePackage({}, options);
+  pkg.header.directory = { source: directory, prefix: "" };
+  const report = await prefetchPackage(pkg);
+  assert.deepEqual(pkg.resources.slice(SPRITES.length), [
+    `${FONTS}/Arial Regular/0-255.pbf`,
+    `${FONTS}/Arial Regular,Noto Sans/0-255.pbf`,
+    `${FONTS}/Noto Sans/0-255.pbf`,
+  ]);
+  assert.deepEqual(report, {
+    tiles: 0,
+    skipped: 0,
+    failed: 1,
+    resources: 5,
+    bundles: 0,
+  });
+  // The missing bundle is not requested again
+  assert.equal(pkg.header.files["p12/tile/L00/R0000C0000.bundle"], undefined);
+  assert.ok("p12/tile/L00/R0000C0000.bundle" in pkg.header.files);
+
+  const ranges = fakePackage({}, options);
+  ranges.header.directory = { source: directory, prefix: "" };
+  await prefetchPackage(ranges, { glyphRanges: ["0-255", "1024-1279"] });
+  assert.deepEqual(ranges.resources.slice(SPRITES.length, SPRITES.length + 2), [
+    `${FONTS}/Arial Regular/0-255.pbf`,
+    `${FONTS}/Arial Regular/1024-1279.pbf`,
+  ]);
+
+  // Other errors are thrown
+  const broken = fakePackage(
+    {},
+    Object.assign({}, options, {
+      getTileIndex: async () => {
+        throw new Error("Bad response code: 500");
+      },
+    }),
+  );
+  broken.header.directory = { source: directory, prefix: "" };
+  await assert.rejects(prefetchPackage(broken), /Bad response code: 500/);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import getProjection from "../src/projection.js";
+
+const GEOGCS =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+function transverseMercatorWkt(parameters, unit = 'UNIT["Meter",1.0]') {
+  const values = Object.assign(
+    {
+      False_Easting: 500000,
+      False_Northing: 0,
+      Central_Meridian: 15,
+      Scale_Factor: 0.9996,
+      Latitude_Of_Origin: 0,
+    },
+    parameters,
+  );
+  return (
+    `PROJCS["Test",${GEOGCS},PROJECTION["Transverse_Mercator"],` +
+    Object.keys(values)
+      .map((name) => `PARAMETER["${name}",${values[name]}]`)
+      .join(",") +
+    `,${unit}]`
+  );
+}
+
+function assertClose(actual, expected, tolerance = 0.001) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) =>
+    assert.ok(
+      Math.abs(value - expected[i]) < tolerance,
+      `${actual} is not ${expected}`,
+    ),
+  );
+}
+
+test("geographic coordinate systems keep degrees", () => {
+  for (const sr of [{ wkid: 4326 }, { wkid: 4258 }, { wkt: GEOGCS }]) {
+    assert.deepEqual(getProjection(sr)(13.4, 52.5), [13.4, 52.5]);
+  }
+});
+
+test("Web Mercator is clamped to the latitude of the XYZ pyramid", () => {
+  const project = getProjection({ wkid: 102100, latestWkid: 3857 });
+  assertClose(project(180, 0), [20037508.342789, 0]);
+  assertClose(project(-90, 0), [-20037508.342789 / 2, 0]);
+  assert.deepEqual(project(0, 89), project(0, 85.0511287798));
+  assertClose(project(0, 85.0511287798), [0, 20037508.342789], 0.01);
+});
+
+test("UTM zones follow the meridian arc and are symmetric", () => {
+  const north = getProjection({ wkid: 32633 });
+  // 0.9996 times the WGS 84 meridian arc of 4984944.378 m from the equator to 45°
+  assertClose(north(15, 45), [500000, 4982950.4]);
+  assertClose(north(15, 0), [500000, 0]);
+  const west = north(12, 10);
+  const east = north(18, 10);
+  assertClose([west[0] + east[0], west[1]], [1000000, east[1]]);
+  // Away from the central meridian the northing exceeds the arc of 1105854.8 m to 10°
+  assert.ok(west[1] > 0.9996 * 1105854.8);
+
+  assertClose(getProjection({ wkid: 32733 })(15, -45), [
+    500000,
+    10000000 - 4982950.4,
+  ]);
+  // ETRS89 and NAD83 zones use the same grids
+  assert.deepEqual(getProjection({ wkid: 25833 })(16, 50), north(16, 50));
+  assertClose(getProjection({ wkid: 26918 })(-75, 40), [
+    500000,
+    getProjection({ wkid: 32618 })(-75, 40)[1],
+  ]);
+});
+
+test("transverse Mercator WKT parameters and units are applied", () => {
+  const utm = getProjection({ wkid: 32633 });
+  assertClose(
+    getProjection({ wkt: transverseMercatorWkt() })(16, 50),
+    utm(16, 50),
+  );
+  const feet = getProjection({
+    wkt: transverseMercatorWkt({}, 'UNIT["Foot_US",0.3048006096012192]'),
+  })(16, 50);
+  assertClose(
+    feet.map((v) => v * 0.3048006096012192),
+    utm(16, 50),
+  );
+  const shifted = getProjection({
+    wkt: transverseMercatorWkt({
+      False_Easting: 0,
+      False_Northing: 1000,
+      Latitude_Of_Origin: 45,
+      Scale_Factor: 1,
+    }),
+  });
+  assertClose(shifted(15, 45), [0, 1000]);
+  const gaussKruger = getProjection({
+    wkt: transverseMercatorWkt().replace("Transverse_Mercator", "Gauss_Kruger"),
+  });
+  assertClose(gaussKruger(16, 50), utm(16, 50));
+});
+
+test("other spatial references have no projection", () => {
+  assert.equal(getProjection({ wkid: 2056 }), undefined);
+  assert.equal(
+    getProjection({
+      wkt: `PROJCS["Lambert",${GEOGCS},PROJECTION["Lambert_Conformal_Conic"]]`,
+    }),
+    undefined,
+  );
+});
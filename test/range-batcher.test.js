@@ -0,0 +1,278 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import RangeBatcher from "../src/range-batcher.js";
+
+const BYTES = new Uint8Array(1024).map((_, i) => i % 251);
+
+function slice(offset, length) {
+  return BYTES.slice(offset, offset + length).buffer;
+}
+
+// A fetcher over BYTES that records its calls, multipart answers with one part per range
+function fakeFetcher(options = {}) {
+  const fetcher = {
+    ranges: [],
+    multipart: [],
+    fetchRange: async (offset, length, signal, etag) => {
+      fetcher.ranges.push({ offset, length, signal, etag });
+      if (options.pending) await options.pending;
+      return { data: slice(offset, options.short ? length - 1 : length) };
+    },
+    fetchRanges: async (ranges, signal, etag) => {
+      fetcher.multipart.push({ ranges, signal, etag });
+      if (options.multipart === "unsupported") return undefined;
+      if (options.multipart === "coalesced") {
+        const end = ranges[ranges.length - 1];
+        return {
+          parts: [
+            {
+              offset: ranges[0].offset,
+              data: slice(ranges[0].offset, end.offset + end.length),
+            },
+          ],
+        };
+      }
+      return {
+        parts: ranges.map((r) => ({
+          offset: r.offset,
+          data: slice(r.offset, r.length),
+        })),
+      };
+    },
+  };
+  return fetcher;
+}
+
+function expectBytes(resp, offset, length) {
+  assert.deepEqual(
+    new Uint8Array(resp.data),
+    new Uint8Array(slice(offset, length)),
+  );
+}
+
+test("nearby ranges are merged and sliced back to each caller", async () => {
+  const fetcher = fakeFetcher();
+  const batcher = new RangeBatcher(fetcher, { delay: 1, maxGap: 16 });
+  const [a, b, c] = await Promise.all([
+    batcher.getBytes(20, 10),
+    batcher.getBytes(0, 10),
+    batcher.getBytes(25, 10),
+  ]);
+  assert.deepEqual(
+    fetcher.ranges.map((r) => [r.offset, r.length]),
+    [[0, 35]],
+  );
+  expectBytes(a, 20, 10);
+  expectBytes(b, 0, 10);
+  expectBytes(c, 25, 10);
+});
+
+test("ranges further apart than maxGap are requested separately", async () => {
+  const fetcher = fakeFetcher();
+  const batcher = new RangeBatcher(fetcher, { delay: 1, maxGap: 16 });
+  const [a, b] = await Promise.all([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(100, 10),
+  ]);
+  assert.deepEqual(
+    fetcher.ranges.map((r) => [r.offset, r.length]),
+    [
+      [0, 10],
+      [100, 10],
+    ],
+  );
+  expectBytes(a, 0, 10);
+  expectBytes(b, 100, 10);
+});
+
+test("merged ranges stay within maxRequestBytes", async () => {
+  const fetcher = fakeFetcher();
+  const batcher = new RangeBatcher(fetcher, {
+    delay: 1,
+    maxGap: 16,
+    maxRequestBytes: 20,
+  });
+  await Promise.all([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(10, 10),
+    batcher.getBytes(20, 10),
+  ]);
+  assert.deepEqual(
+    fetcher.ranges.map((r) => [r.offset, r.length]),
+    [
+      [0, 20],
+      [20, 10],
+    ],
+  );
+});
+
+test("requests for different ETags are not merged", async () => {
+  const fetcher = fakeFetcher();
+  const batcher = new RangeBatcher(fetcher, { delay: 1 });
+  await Promise.all([
+    batcher.getBytes(0, 10, undefined, "a"),
+    batcher.getBytes(10, 10, undefined, "b"),
+  ]);
+  assert.deepEqual(
+    fetcher.ranges.map((r) => [r.offset, r.length, r.etag]),
+    [
+      [0, 10, "a"],
+      [10, 10, "b"],
+    ],
+  );
+});
+
+test("a short response rejects the requests it does not cover", async () => {
+  const batcher = new RangeBatcher(fakeFetcher({ short: true }), { delay: 1 });
+  const [a, b] = await Promise.allSettled([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(10, 10),
+  ]);
+  assert.equal(a.status, "fulfilled");
+  assert.equal(b.status, "rejected");
+  assert.match(b.reason.message, /returned 19 bytes/);
+});
+
+test("multipart requests hold at most maxRanges ranges", async () => {
+  const fetcher = fakeFetcher();
+  const batcher = new RangeBatcher(fetcher, {
+    delay: 1,
+    maxGap: 0,
+    multipart: true,
+    maxRanges: 2,
+  });
+  const results = await Promise.all(
+    [0, 100, 200].map((offset) => batcher.getBytes(offset, 10)),
+  );
+  assert.deepEqual(
+    fetcher.multipart.map((m) => m.ranges.map((r) => r.offset)),
+    [[0, 100], [200]],
+  );
+  assert.equal(fetcher.ranges.length, 0);
+  results.forEach((resp, i) => expectBytes(resp, i * 100, 10));
+});
+
+test("parts coalesced by the server are sliced back to each caller", async () => {
+  const fetcher = fakeFetcher({ multipart: "coalesced" });
+  const batcher = new RangeBatcher(fetcher, {
+    delay: 1,
+    maxGap: 0,
+    multipart: true,
+  });
+  const [a, b] = await Promise.all([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(100, 10),
+  ]);
+  expectBytes(a, 0, 10);
+  expectBytes(b, 100, 10);
+  assert.equal(fetcher.ranges.length, 0);
+});
+
+test("single ranges are used when the server does not answer multipart", async () => {
+  const fetcher = fakeFetcher({ multipart: "unsupported" });
+  const batcher = new RangeBatcher(fetcher, {
+    delay: 1,
+    maxGap: 0,
+    multipart: true,
+  });
+  const [a, b] = await Promise.all([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(100, 10),
+  ]);
+  expectBytes(a, 0, 10);
+  expectBytes(b, 100, 10);
+  assert.equal(fetcher.multipart.length, 1);
+  assert.equal(fetcher.ranges.length, 2);
+  assert.equal(batcher.multipart, false);
+});
+
+test("the merged request is only aborted when every caller aborted", async () => {
+  let release;
+  const pending = new Promise((resolve) => (release = resolve));
+  const fetcher = fakeFetcher({ pending });
+  const batcher = new RangeBatcher(fetcher, { delay: 1 });
+  const first = new AbortController();
+  const second = new AbortController();
+  const third = new AbortController();
+  const a = batcher.getBytes(0, 10, first.signal);
+  const b = batcher.getBytes(10, 10, second.signal);
+  const c = batcher.getBytes(20, 10, third.signal);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const shared = fetcher.ranges[0].signal;
+
+  first.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  assert.equal(shared.aborted, false);
+  second.abort();
+  assert.equal(shared.aborted, false);
+  release();
+  expectBytes(await c, 20, 10);
+  await assert.rejects(b, { name: "AbortError" });
+
+  third.abort();
+  assert.equal(shared.aborted, false);
+});
+
+test("aborting every caller aborts the merged request", async () => {
+  const fetcher = fakeFetcher({ pending: new Promise(() => {}) });
+  const batcher = new RangeBatcher(fetcher, { delay: 1 });
+  const first = new AbortController();
+  const second = new AbortController();
+  const a = batcher.getBytes(0, 10, first.signal);
+  const b = batcher.getBytes(10, 10, second.signal);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  first.abort();
+  second.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  await assert.rejects(b, { name: "AbortError" });
+  assert.equal(fetcher.ranges[0].signal.aborted, true);
+});
+
+test("callers aborted while the batch is collected are not waited for", async () => {
+  const fetcher = fakeFetcher({ pending: new Promise(() => {}) });
+  const batcher = new RangeBatcher(fetcher, { delay: 5 });
+  const controller = new AbortController();
+  const a = batcher.getBytes(0, 10, controller.signal);
+  controller.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(fetcher.ranges.length, 1);
+  assert.equal(fetcher.ranges[0].signal.aborted, true);
+
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(batcher.getBytes(0, 10, aborted.signal), {
+    name: "AbortError",
+  });
+});
+
+test("callers without a signal keep the merged request alive", async () => {
+  const fetcher = fakeFetcher({ pending: new Promise(() => {}) });
+  const batcher = new RangeBatcher(fetcher, { delay: 1 });
+  const controller = new AbortController();
+  const a = batcher.getBytes(0, 10, controller.signal);
+  batcher.getBytes(10, 10);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  controller.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  assert.equal(fetcher.ranges[0].signal.aborted, false);
+});
+
+test("a failed request rejects every caller", async () => {
+  const batcher = new RangeBatcher(
+    {
+      fetchRange: async () => {
+        throw new Error("Bad response code: 500");
+      },
+    },
+    { delay: 1 },
+  );
+  const results = await Promise.allSettled([
+    batcher.getBytes(0, 10),
+    batcher.getBytes(10, 10),
+  ]);
+  results.forEach((r) => {
+    assert.equal(r.status, "rejected");
+    assert.equal(r.reason.message, "Bad response code: 500");
+  });
+});
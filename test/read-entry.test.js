@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import readEntry from "../src/read-entry.js";
+import { BufferSource } from "../src/source.js";
+import zip from "./helpers/zip.js";
+
+const TEXT = JSON.stringify({ name: "a".repeat(200) });
+
+// The entry of the only file in an archive, as listed in header.files
+function onlyEntry(archive, method) {
+  const v = new DataView(archive.buffer);
+  return {
+    filename: "p12/root.json",
+    size: TEXT.length,
+    compressedSize: v.getUint32(18, true),
+    compressionMethod: method,
+    relativeOffset: 0,
+  };
+}
+
+function text(resp) {
+  return new TextDecoder().decode(resp.data);
+}
+
+test("stored entries are read as they are", async () => {
+  const archive = zip([{ name: "p12/root.json", data: TEXT }]);
+  const resp = await readEntry(
+    new BufferSource(archive),
+    onlyEntry(archive, 0),
+  );
+  assert.equal(text(resp), TEXT);
+});
+
+test("deflated entries are inflated", async () => {
+  const archive = zip([
+    { name: "p12/root.json", data: TEXT, method: "deflate", localExtra: 4 },
+  ]);
+  const entry = onlyEntry(archive, 8);
+  assert.ok(entry.compressedSize < TEXT.length);
+  const resp = await readEntry(new BufferSource(archive), entry);
+  assert.equal(text(resp), TEXT);
+  assert.equal(resp.data.byteLength, TEXT.length);
+});
+
+test("a known data offset skips the local header read", async () => {
+  const archive = zip([{ name: "p12/root.json", data: TEXT }]);
+  const reads = [];
+  const source = new BufferSource(archive);
+  const getBytes = source.getBytes.bind(source);
+  source.getBytes = (offset, length, signal, etag) => {
+    reads.push([offset, length, etag]);
+    return getBytes(offset, length, signal, etag);
+  };
+  const dataOffset = 30 + "p12/root.json".length;
+  await readEntry(source, onlyEntry(archive, 0), undefined, '"a"', dataOffset);
+  assert.deepEqual(reads, [[dataOffset, TEXT.length, '"a"']]);
+});
+
+test("other compression methods are rejected", async () => {
+  const archive = zip([{ name: "p12/root.json", data: TEXT }]);
+  await assert.rejects(
+    readEntry(new BufferSource(archive), onlyEntry(archive, 12)),
+    /Unsupported compression method 12 for p12\/root.json/,
+  );
+});
+
+test("directory entries are read whole from their own source", async () => {
+  const file = new BufferSource(new TextEncoder().encode(TEXT));
+  const entry = {
+    filename: "p12/root.json",
+    compressedSize: undefined,
+    compressionMethod: 0,
+    source: file,
+  };
+  assert.equal(text(await readEntry(undefined, entry)), TEXT);
+});
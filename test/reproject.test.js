@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import jpeg from "jpeg-js";
+import reprojectTile, {
+  decodeImage,
+  getReprojectedZoomRange,
+} from "../src/reproject.js";
+import getTileMatrixSet, { lonLatToTile } from "../src/tile-matrix-set.js";
+import getProjection from "../src/projection.js";
+import { decodePng, encodePng } from "../src/png.js";
+
+const EARTH_RADIUS = 6378137;
+const HALF_WIDTH = 20037508.342787;
+
+function solid(size, rgba) {
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < data.length; i++) data[i] = rgba[i % 4];
+  return { width: size, height: size, data: data };
+}
+
+// Longitude and latitude of the center of pixel px, py of Web Mercator tile z/x/y
+function pixelLonLat(z, x, y, px, py, size) {
+  const resolution = (2 * HALF_WIDTH) / (size * Math.pow(2, z));
+  const mx = -HALF_WIDTH + (x * size + px + 0.5) * resolution;
+  const my = HALF_WIDTH - (y * size + py + 0.5) * resolution;
+  return [
+    ((mx / EARTH_RADIUS) * 180) / Math.PI,
+    ((2 * Math.atan(Math.exp(my / EARTH_RADIUS)) - Math.PI / 2) * 180) /
+      Math.PI,
+  ];
+}
+
+function rgbaAt(image, px, py) {
+  const o = (py * image.width + px) * 4;
+  return Array.from(image.data.subarray(o, o + 4));
+}
+
+test("EPSG:4326 JPEG tiles are placed by longitude without a decodeImage option", async () => {
+  const tileMatrixSet = getTileMatrixSet({
+    rows: 256,
+    cols: 256,
+    origin: { x: -180, y: 90 },
+    spatialReference: { wkid: 4326 },
+    lods: [{ level: 0, resolution: 180 / 256, scale: 295828763.79585 }],
+  });
+  assert.equal(tileMatrixSet.compatible, false);
+  // The western tile red, the eastern blue
+  const tiles = [
+    [255, 0, 0, 255],
+    [0, 0, 255, 255],
+  ].map((color) => jpeg.encode(solid(256, color), 90).data);
+  const requests = [];
+  const png = await reprojectTile(0, 0, 0, {
+    tileMatrixSet: tileMatrixSet,
+    getTile: async (level, col, row) => {
+      requests.push(`${level}/${col}/${row}`);
+      return row === 0 ? tiles[col] : undefined;
+    },
+  });
+  assert.deepEqual(requests.sort(), ["0/0/0", "0/1/0"]);
+  const image = decodePng(png);
+  const close = (actual, expected) =>
+    actual.every((value, i) => Math.abs(value - expected[i]) <= 8);
+  assert.ok(close(rgbaAt(image, 64, 128), [255, 0, 0, 255]));
+  assert.ok(close(rgbaAt(image, 192, 20), [0, 0, 255, 255]));
+});
+
+test("transverse Mercator pixels are sampled at their projected position", async () => {
+  // UTM zone 33N with 1 km pixels and the origin at the false easting 0
+  const tileMatrixSet = getTileMatrixSet({
+    rows: 256,
+    cols: 256,
+    origin: { x: 0, y: 10000000 },
+    spatialReference: { wkid: 32633 },
+    lods: [{ level: 0, resolution: 1000, scale: 3779528 }],
+  });
+  // Red and green are the pixel column and row within the tile, blue the tile
+  const gradient = (col, row) => {
+    const image = solid(256, [0, 0, 0, 255]);
+    for (let iy = 0; iy < 256; iy++) {
+      for (let ix = 0; ix < 256; ix++) {
+        const o = (iy * 256 + ix) * 4;
+        image.data[o] = ix;
+        image.data[o + 1] = iy;
+        image.data[o + 2] = col * 16 + row;
+      }
+    }
+    return encodePng(image);
+  };
+  const z = 6;
+  const [x, y] = lonLatToTile(15, 50, z);
+  const image = decodePng(
+    await reprojectTile(z, x, y, {
+      tileMatrixSet: tileMatrixSet,
+      getTile: async (level, col, row) => gradient(col, row),
+    }),
+  );
+
+  const project = getProjection({ wkid: 32633 });
+  let checked = 0;
+  for (let py = 8; py < 256; py += 31) {
+    for (let px = 8; px < 256; px += 31) {
+      const lonLat = pixelLonLat(z, x, y, px, py, 256);
+      const s = project(lonLat[0], lonLat[1]);
+      const gx = s[0] / 1000 - 0.5;
+      const gy = (10000000 - s[1]) / 1000 - 0.5;
+      const col = Math.floor(gx / 256);
+      const row = Math.floor(gy / 256);
+      const ix = gx - col * 256;
+      const iy = gy - row * 256;
+      // All four neighbours within one tile
+      if (ix < 1 || iy < 1 || ix > 254 || iy > 254) continue;
+      const [r, g, b, a] = rgbaAt(image, px, py);
+      assert.ok(Math.abs(r - ix) <= 1, `column ${r} is not ${ix}`);
+      assert.ok(Math.abs(g - iy) <= 1, `row ${g} is not ${iy}`);
+      assert.equal(b, col * 16 + row);
+      assert.equal(a, 255);
+      checked++;
+    }
+  }
+  assert.ok(checked > 20);
+});
+
+test("tiles without source tiles are undefined and missing tiles transparent", async () => {
+  const tileMatrixSet = getTileMatrixSet({
+    rows: 256,
+    cols: 256,
+    origin: { x: -180, y: 90 },
+    spatialReference: { wkid: 4326 },
+    lods: [{ level: 0, resolution: 180 / 256, scale: 295828763.79585 }],
+  });
+  const options = { tileMatrixSet: tileMatrixSet, getTile: async () => {} };
+  assert.equal(await reprojectTile(0, 0, 0, options), undefined);
+
+  options.getTile = async (level, col) =>
+    col === 0 ? encodePng(solid(256, [0, 255, 0, 255])) : undefined;
+  const image = decodePng(await reprojectTile(0, 0, 0, options));
+  assert.deepEqual(rgbaAt(image, 32, 128), [0, 255, 0, 255]);
+  assert.deepEqual(rgbaAt(image, 224, 128), [0, 0, 0, 0]);
+
+  await assert.rejects(
+    reprojectTile(0, 0, 0, {
+      tileMatrixSet: getTileMatrixSet({
+        rows: 256,
+        spatialReference: { wkid: 2056 },
+        lods: [],
+      }),
+      getTile: async () => {},
+    }),
+    /Reprojection from spatial reference 2056 is not supported/,
+  );
+});
+
+test("non-PNG tiles use decodeImage, then JPEG in JavaScript", async () => {
+  const pixels = solid(2, [1, 2, 3, 255]);
+  const png = encodePng(pixels);
+  assert.deepEqual(await decodeImage(png.buffer), pixels);
+
+  const custom = await decodeImage(new Uint8Array([1, 2]), (bytes) => ({
+    width: 1,
+    height: 1,
+    data: bytes,
+  }));
+  assert.deepEqual(Array.from(custom.data), [1, 2]);
+
+  const decoded = await decodeImage(
+    jpeg.encode(solid(8, [200, 100, 50, 255]), 100).data,
+  );
+  assert.deepEqual([decoded.width, decoded.height], [8, 8]);
+  assert.ok(
+    rgbaAt(decoded, 4, 4).every(
+      (v, i) => Math.abs(v - [200, 100, 50, 255][i]) <= 4,
+    ),
+  );
+
+  assert.throws(
+    () => decodeImage(new TextEncoder().encode("RIFF....WEBP")),
+    /Only PNG and JPEG tiles can be reprojected without a decodeImage option/,
+  );
+});
+
+test("the zoom range follows the level scales", () => {
+  // Scales a little off zooms 3 and 6, the range covers both levels
+  const range = getReprojectedZoomRange(
+    {
+      lods: [
+        { scale: (591657527.591555 / 8) * 0.99 },
+        { scale: (591657527.591555 / 64) * 1.01 },
+      ],
+    },
+    256,
+  );
+  assert.deepEqual(range, { minZoom: 3, maxZoom: 6 });
+  assert.throws(
+    () => getReprojectedZoomRange({ lods: [{ scale: 0 }] }, 256),
+    /needs the scale of every level of detail/,
+  );
+});
@@ -0,0 +1,385 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import SharedPromiseCache from "../src/shared-promise-cache.js";
+import { BufferSource } from "../src/source.js";
+import { bundleV1, V1_HEADER_SIZE } from "./helpers/bundle.js";
+import zip, { tpkxEntries } from "./helpers/zip.js";
+
+// A promise resolved or rejected from outside, with the signal load was given
+function deferredLoad() {
+  const load = (signal) => {
+    load.calls++;
+    load.signal = signal;
+    return new Promise((resolve, reject) => {
+      load.resolve = resolve;
+      load.reject = reject;
+    });
+  };
+  load.calls = 0;
+  return load;
+}
+
+test("first caller aborts, second still resolves", async () => {
+  const cache = new SharedPromiseCache();
+  const load = deferredLoad();
+  const first = new AbortController();
+  const second = new AbortController();
+  const a = cache.shared("resource", "key", load, first.signal);
+  const b = cache.shared("resource", "key", load, second.signal);
+  first.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  assert.equal(load.signal.aborted, false);
+  load.resolve("value");
+  assert.equal(await b, "value");
+  assert.equal(load.calls, 1);
+  assert.equal(await cache.shared("resource", "key", load), "value");
+  assert.equal(load.calls, 1);
+});
+
+test("all abort → entry removed and load signal aborted", async () => {
+  const cache = new SharedPromiseCache();
+  const load = deferredLoad();
+  const first = new AbortController();
+  const second = new AbortController();
+  const a = cache.shared("resource", "key", load, first.signal);
+  const b = cache.shared("resource", "key", load, second.signal);
+  first.abort();
+  second.abort();
+  await assert.rejects(a, { name: "AbortError" });
+  await assert.rejects(b, { name: "AbortError" });
+  assert.equal(load.signal.aborted, true);
+  assert.equal(cache.cache.has("key"), false);
+  assert.equal(cache.getStats().resource.entries, 0);
+
+  const c = cache.shared("resource", "key", load);
+  assert.equal(load.calls, 2);
+  load.resolve("value");
+  assert.equal(await c, "value");
+});
+
+test("rejected load not cached", async () => {
+  const cache = new SharedPromiseCache();
+  const load = deferredLoad();
+  const a = cache.shared("resource", "key", load);
+  load.reject(new Error("404"));
+  await assert.rejects(a, { message: "404" });
+  assert.equal(cache.cache.has("key"), false);
+
+  const b = cache.shared("resource", "key", load);
+  assert.equal(load.calls, 2);
+  load.resolve("value");
+  assert.equal(await b, "value");
+});
+
+test("an aborted signal rejects without loading", async () => {
+  const cache = new SharedPromiseCache();
+  const load = deferredLoad();
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    cache.shared("resource", "key", load, controller.signal),
+    { name: "AbortError" },
+  );
+  assert.equal(load.calls, 0);
+  assert.equal(cache.cache.has("key"), false);
+});
+
+const BUNDLE = "tile/L00/R0000C0000.bundle";
+
+// A compact cache V2 bundle read as a directory entry, with one tile at row 2 col 3
+function bundleHeader() {
+  const bytes = new Uint8Array(64 + 128 * 128 * 8 + 16);
+  const v = new DataView(bytes.buffer);
+  const p = 64 + 8 * (128 * 2 + 3);
+  v.setUint32(p, 64 + 128 * 128 * 8 + 4, true);
+  v.setUint16(p + 5, 12, true);
+  const source = new BufferSource(bytes, { key: "bundle" });
+  source.reads = [];
+  const getBytes = source.getBytes.bind(source);
+  source.getBytes = (offset, length, signal, etag) => {
+    source.reads.push(length);
+    return getBytes(offset, length, signal, etag);
+  };
+  const header = {
+    storageFormat: "esriMapCacheStorageModeCompactV2",
+    etag: undefined,
+    files: {
+      [BUNDLE]: { filename: BUNDLE, compressionMethod: 0, source: source },
+    },
+  };
+  return { source, header };
+}
+
+test("auto mode switches from sparse records to the full index", async () => {
+  const cache = new SharedPromiseCache();
+  const { source, header } = bundleHeader();
+  assert.deepEqual(await cache.getTileRecord(source, BUNDLE, header, 2, 3), {
+    row: 2,
+    col: 3,
+    tileOffset: 64 + 128 * 128 * 8 + 4,
+    tileSize: 12,
+  });
+  // 15 more tiles of the bundle, all empty
+  for (let col = 0; col < 15; col++) {
+    assert.equal(
+      await cache.getTileRecord(source, BUNDLE, header, 0, col),
+      undefined,
+    );
+  }
+  assert.deepEqual(source.reads, new Array(16).fill(8));
+
+  assert.equal(
+    await cache.getTileRecord(source, BUNDLE, header, 1, 0),
+    undefined,
+  );
+  assert.equal(source.reads.length, 17);
+  assert.equal(source.reads[16], 128 * 128 * 8);
+  assert.ok(cache.cache.has(`bundle||${BUNDLE}|TileIndex`));
+
+  const record = await cache.getTileRecord(source, BUNDLE, header, 2, 3);
+  assert.equal(record.tileSize, 12);
+  assert.equal(source.reads.length, 17);
+});
+
+test("sparse records are cached in the tileIndex budget", async () => {
+  const cache = new SharedPromiseCache({
+    maxBytes: { tileIndex: 3 * 64 },
+  });
+  const { source, header } = bundleHeader();
+  const lookup = (row, col) =>
+    cache.getTileRecord(source, BUNDLE, header, row, col);
+  // Concurrent and repeated lookups of a tile read its record once
+  const [a, b] = await Promise.all([lookup(2, 3), lookup(2, 3)]);
+  assert.equal(a, b);
+  for (let i = 0; i < 20; i++) assert.equal((await lookup(2, 3)).tileSize, 12);
+  assert.equal(await lookup(0, 0), undefined);
+  assert.equal(await lookup(0, 0), undefined);
+  assert.deepEqual(source.reads, [8, 8]);
+  // Repeated lookups do not count towards the full index
+  assert.equal(cache.cache.has(`bundle||${BUNDLE}|TileIndex`), false);
+
+  const stats = cache.getStats().tileIndex;
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.bytes, 2 * 64);
+  await lookup(0, 1);
+  await lookup(0, 2);
+  assert.equal(cache.getStats().tileIndex.entries, 3);
+  assert.equal(cache.getStats().tileIndex.evictions, 1);
+});
+
+test("sparse and full modes do not switch", async () => {
+  const cache = new SharedPromiseCache();
+  const { source, header } = bundleHeader();
+  for (let col = 0; col < 20; col++) {
+    await cache.getTileRecord(
+      source,
+      BUNDLE,
+      header,
+      2,
+      col,
+      undefined,
+      "sparse",
+    );
+  }
+  assert.deepEqual(source.reads, new Array(20).fill(8));
+
+  for (let i = 0; i < 20; i++) {
+    await cache.getTileRecord(source, BUNDLE, header, 2, 3, undefined, "full");
+  }
+  assert.deepEqual(source.reads.slice(20), [128 * 128 * 8]);
+});
+
+test("compact cache V1 records are read from the .bundlx in column-major order", async () => {
+  const cache = new SharedPromiseCache();
+  const { bundlx } = bundleV1([{ row: 2, col: 3, data: "TILE" }]);
+  const source = new BufferSource(bundlx, { key: "bundlx" });
+  const reads = [];
+  const getBytes = source.getBytes.bind(source);
+  source.getBytes = (offset, length, signal, etag) => {
+    reads.push([offset, length]);
+    return getBytes(offset, length, signal, etag);
+  };
+  const entry = { compressionMethod: 0, source: source };
+  const index = BUNDLE.replace(/bundle$/, "bundlx");
+  const header = {
+    storageFormat: "esriMapCacheStorageModeCompact",
+    etag: undefined,
+    files: {
+      [BUNDLE]: Object.assign({ filename: BUNDLE }, entry),
+      [index]: Object.assign({ filename: index }, entry),
+    },
+  };
+  // The size is in the bundle, in front of the tile
+  assert.deepEqual(await cache.getTileRecord(source, BUNDLE, header, 2, 3), {
+    row: 2,
+    col: 3,
+    tileOffset: V1_HEADER_SIZE + 4 + 4,
+    tileSize: undefined,
+  });
+  assert.deepEqual(reads, [[16 + 5 * (128 * 3 + 2), 5]]);
+  assert.equal(
+    (await cache.getTileRecord(source, BUNDLE, header, 3, 2)).tileOffset,
+    V1_HEADER_SIZE + 4,
+  );
+});
+
+test("each category is pruned to its own byte budget", async () => {
+  const cache = new SharedPromiseCache({
+    maxBytes: { resource: 1000, tileIndex: 1000 },
+  });
+  const bytes = (n) => () => Promise.resolve(new Uint8Array(n));
+  await cache.shared("tileIndex", "index", bytes(400));
+  await cache.shared("resource", "a", bytes(400));
+  await cache.shared("resource", "b", bytes(400));
+  // Mark a as recently used, b is evicted first
+  await cache.shared("resource", "a", bytes(400));
+  await cache.shared("resource", "c", bytes(400));
+
+  assert.deepEqual(Array.from(cache.cache.keys()), ["index", "a", "c"]);
+  const stats = cache.getStats();
+  assert.deepEqual(stats.resource, {
+    maxBytes: 1000,
+    entries: 2,
+    bytes: 2 * (64 + 400),
+    hits: 1,
+    misses: 3,
+    evictions: 1,
+  });
+  assert.equal(stats.tileIndex.entries, 1);
+  assert.equal(stats.tileIndex.evictions, 0);
+});
+
+test("a value larger than its budget is not kept", async () => {
+  const cache = new SharedPromiseCache({ maxBytes: { resource: 1000 } });
+  const value = await cache.shared("resource", "big", () =>
+    Promise.resolve(new Uint8Array(2000)),
+  );
+  assert.equal(value.byteLength, 2000);
+  assert.equal(cache.cache.has("big"), false);
+  assert.equal(cache.getStats().resource.bytes, 0);
+});
+
+test("maxEntries caps the entries of all categories", async () => {
+  const cache = new SharedPromiseCache(2);
+  const value = () => Promise.resolve(new Uint8Array(10));
+  await cache.shared("header", "h", value);
+  await cache.shared("resource", "a", value);
+  await cache.shared("tileIndex", "i", value);
+  assert.deepEqual(Array.from(cache.cache.keys()), ["a", "i"]);
+  assert.equal(cache.getStats().header.evictions, 1);
+});
+
+test("synthesized tiles are kept as tiles when tiles have a budget", async () => {
+  const source = new BufferSource(new Uint8Array(1), { key: "a" });
+  const header = { etag: undefined };
+  const bytes = new Uint8Array([1, 2, 3]);
+
+  const subdivided = new SharedPromiseCache();
+  subdivided.setSubdivided(source, 5, 1, 2, bytes);
+  assert.equal(subdivided.getSubdivided(source, 5, 1, 2), bytes);
+  assert.equal(subdivided.getStats().subdivided.entries, 1);
+
+  const tiles = new SharedPromiseCache({ maxBytes: { tile: 1024 } });
+  // loadZxy synthesizes the tile within getTile, which keeps it
+  const load = () => {
+    tiles.setSubdivided(source, 5, 1, 2, bytes);
+    return Promise.resolve({ data: bytes });
+  };
+  await tiles.getTile(source, header, 5, 1, 2, "", load);
+  assert.equal(tiles.getSubdivided(source, 5, 1, 2), undefined);
+  assert.equal(tiles.getStats().subdivided.entries, 0);
+  assert.equal(tiles.getStats().tile.entries, 1);
+  const cached = await tiles.getTile(source, header, 5, 1, 2, "", () => {
+    throw new Error("not cached");
+  });
+  assert.deepEqual(cached.data, bytes);
+});
+
+test("tiles are only cached with a tile budget", async () => {
+  const source = new BufferSource(new Uint8Array(1), { key: "a" });
+  const header = { etag: '"1"' };
+  let loads = 0;
+  const load = () => {
+    loads++;
+    return Promise.resolve({ data: new Uint8Array([loads]) });
+  };
+  const uncached = new SharedPromiseCache();
+  await uncached.getTile(source, header, 1, 0, 0, "", load);
+  await uncached.getTile(source, header, 1, 0, 0, "", load);
+  assert.equal(loads, 2);
+  assert.equal(uncached.cache.size, 0);
+});
+
+test("concurrent requests for a tile share one load and get their own copy", async () => {
+  const cache = new SharedPromiseCache({ maxBytes: { tile: 1024 } });
+  const source = new BufferSource(new Uint8Array(1), { key: "a" });
+  const header = { etag: '"1"' };
+  const load = deferredLoad();
+  const first = new AbortController();
+  const requests = [
+    cache.getTile(source, header, 3, 1, 2, "v", load, first.signal),
+    cache.getTile(source, header, 3, 1, 2, "v", load),
+  ];
+  // The first caller giving up does not abort the shared load
+  first.abort();
+  load.resolve({ data: new Uint8Array([7, 8]), expires: "never" });
+  await assert.rejects(requests[0], { name: "AbortError" });
+  const tile = await requests[1];
+  assert.equal(load.calls, 1);
+  assert.deepEqual(tile, { data: new Uint8Array([7, 8]), expires: "never" });
+
+  const again = await cache.getTile(source, header, 3, 1, 2, "v", load);
+  assert.equal(load.calls, 1);
+  assert.notEqual(again.data, tile.data);
+  assert.equal(cache.getStats().tile.bytes, 64 + 2);
+
+  // Missing tiles are cached too
+  const missing = () => Promise.resolve(undefined);
+  assert.equal(
+    await cache.getTile(source, header, 3, 0, 0, "v", missing),
+    undefined,
+  );
+  assert.equal(
+    await cache.getTile(source, header, 3, 0, 0, "v", () => {
+      throw new Error("not cached");
+    }),
+    undefined,
+  );
+});
+
+test("cached tiles are keyed by variant and ETag and dropped on invalidate", async () => {
+  const source = new BufferSource(zip(tpkxEntries()), { key: "a" });
+  const cache = new SharedPromiseCache({ maxBytes: { tile: 1024 } });
+  let loads = 0;
+  const load = () => {
+    loads++;
+    return Promise.resolve({ data: new Uint8Array([loads]) });
+  };
+  const getTile = (etag, variant) =>
+    cache.getTile(source, { etag: etag }, 0, 0, 0, variant, load);
+
+  assert.deepEqual((await getTile('"1"', "gzip")).data, new Uint8Array([1]));
+  assert.deepEqual((await getTile('"1"', "gzip")).data, new Uint8Array([1]));
+  assert.deepEqual((await getTile('"1"', "raw")).data, new Uint8Array([2]));
+  assert.deepEqual((await getTile('"2"', "gzip")).data, new Uint8Array([3]));
+  assert.equal(cache.getStats().tile.entries, 3);
+
+  await cache.invalidate(source);
+  assert.equal(cache.getStats().tile.entries, 0);
+  assert.deepEqual((await getTile('"2"', "gzip")).data, new Uint8Array([4]));
+});
+
+test("tiles are evicted down to the tile budget", async () => {
+  const cache = new SharedPromiseCache({ maxBytes: { tile: 2 * (64 + 100) } });
+  const source = new BufferSource(new Uint8Array(1), { key: "a" });
+  const header = { etag: undefined };
+  const load = () => Promise.resolve({ data: new Uint8Array(100) });
+  for (let x = 0; x < 3; x++) {
+    await cache.getTile(source, header, 2, x, 0, "", load);
+  }
+  const stats = cache.getStats().tile;
+  assert.deepEqual([stats.entries, stats.evictions], [2, 1]);
+  // Keyed by source, ETag, variant and z/x/y
+  assert.equal(cache.cache.has("a|||2|0|0|Tile"), false);
+  assert.equal(cache.cache.has("a|||2|2|0|Tile"), true);
+});
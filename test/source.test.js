@@ -0,0 +1,298 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BufferSource,
+  FetchSource,
+  FetchError,
+  EtagMismatch,
+} from "../src/source.js";
+import SharedPromiseCache from "../src/shared-promise-cache.js";
+
+test("BufferSource returns views into the buffer without copying", async () => {
+  const bytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7]);
+  const source = new BufferSource(bytes.subarray(2));
+  assert.equal(await source.getSize(), 6);
+  const resp = await source.getBytes(1, 3);
+  assert.deepEqual(Array.from(resp.data), [3, 4, 5]);
+  assert.equal(resp.data.buffer, bytes.buffer);
+
+  const fromArrayBuffer = new BufferSource(bytes.buffer);
+  assert.deepEqual(
+    Array.from((await fromArrayBuffer.getBytes(6, 2)).data),
+    [6, 7],
+  );
+});
+
+test("BufferSource rejects ranges outside the buffer", async () => {
+  const source = new BufferSource(new Uint8Array(4));
+  await assert.rejects(source.getBytes(2, 3), /outside the buffer of 4 bytes/);
+  await assert.rejects(source.getBytes(-1, 1), /outside the buffer/);
+  assert.throws(() => new BufferSource("abc"), /requires an ArrayBuffer/);
+});
+
+test("every BufferSource without a key gets its own key", () => {
+  const a = new BufferSource(new Uint8Array(1));
+  const b = new BufferSource(new Uint8Array(1));
+  assert.match(a.getKey(), /^buffer-\d+$/);
+  assert.match(b.getKey(), /^buffer-\d+$/);
+  assert.notEqual(a.getKey(), b.getKey());
+  assert.equal(
+    new BufferSource(new Uint8Array(1), { key: "x.vtpk" }).getKey(),
+    "x.vtpk",
+  );
+});
+
+test("a tile from the tile cache can be changed without corrupting the source or the cache", async () => {
+  const bytes = new Uint8Array([10, 20, 30, 40]);
+  const source = new BufferSource(bytes);
+  const cache = new SharedPromiseCache({ maxBytes: { tile: 1024 } });
+  const header = { etag: undefined };
+  // The tile aliases the buffer of the source, as an uncompressed tile would
+  const load = () =>
+    source.getBytes(0, 4).then((resp) => ({ data: resp.data }));
+
+  const first = await cache.getTile(source, header, 0, 0, 0, "", load);
+  first.data[0] = 99;
+  assert.equal(bytes[0], 10);
+
+  const second = await cache.getTile(source, header, 0, 0, 0, "", () => {
+    throw new Error("not cached");
+  });
+  assert.deepEqual(Array.from(second.data), [10, 20, 30, 40]);
+  assert.notEqual(second.data, first.data);
+});
+
+// Replace fetch with responses produced in turn by the handlers, recording each call
+function stubFetch(t, handlers) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    const handler = handlers[Math.min(calls.length, handlers.length) - 1];
+    return await handler(init);
+  };
+  t.after(() => (globalThis.fetch = original));
+  return calls;
+}
+
+function rangeResponse(bytes, headers) {
+  return new Response(bytes, {
+    status: 206,
+    headers: Object.assign(
+      {
+        "Content-Length": String(bytes.length),
+        "Content-Range": `bytes 0-${bytes.length - 1}/100`,
+      },
+      headers,
+    ),
+  });
+}
+
+function statusResponse(status, headers) {
+  return new Response(null, { status, headers });
+}
+
+test("5xx responses and network errors are retried", async (t) => {
+  const calls = stubFetch(t, [
+    () => statusResponse(503),
+    () => {
+      throw new TypeError("fetch failed");
+    },
+    () => rangeResponse(new Uint8Array([1, 2, 3, 4])),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 2,
+    retryDelay: 1,
+  });
+  const resp = await source.getBytes(0, 4);
+  assert.deepEqual(Array.from(new Uint8Array(resp.data)), [1, 2, 3, 4]);
+  assert.equal(calls.length, 3);
+  assert.equal(calls[0].init.headers.get("range"), "bytes=0-3");
+});
+
+test("4xx responses are not retried and keep their error", async (t) => {
+  const calls = stubFetch(t, [() => statusResponse(404)]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 3,
+    retryDelay: 1,
+  });
+  await assert.rejects(source.getBytes(0, 4), (e) => {
+    assert.ok(!(e instanceof FetchError));
+    assert.equal(e.status, 404);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test("429 is retried after Retry-After and not without it", async (t) => {
+  const calls = stubFetch(t, [
+    () => statusResponse(429, { "Retry-After": "0" }),
+    () => statusResponse(429),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 3,
+    retryDelay: 1,
+  });
+  await assert.rejects(source.getBytes(0, 4), (e) => {
+    assert.ok(e instanceof FetchError);
+    assert.deepEqual(
+      e.attempts.map((a) => a.status),
+      [429, 429],
+    );
+    return true;
+  });
+  assert.equal(calls.length, 2);
+});
+
+test("a retry later than maxRetryDelay gives up with a FetchError", async (t) => {
+  stubFetch(t, [
+    () => statusResponse(500),
+    () => statusResponse(503, { "Retry-After": "60" }),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 5,
+    retryDelay: 1,
+    maxRetryDelay: 1000,
+  });
+  await assert.rejects(source.getBytes(0, 4), (e) => {
+    assert.ok(e instanceof FetchError);
+    assert.match(e.message, /failed after 2 attempts: Bad response code: 503/);
+    assert.deepEqual(
+      e.attempts.map((a) => [a.attempt, a.status]),
+      [
+        [1, 500],
+        [2, 503],
+      ],
+    );
+    assert.equal(e.cause.status, 503);
+    assert.equal(e.cause.retryAfter, 60000);
+    return true;
+  });
+});
+
+test("requests running longer than timeout fail with a FetchError", async (t) => {
+  const calls = stubFetch(t, [
+    (init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("aborted", "AbortError")),
+        );
+      }),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    timeout: 10,
+  });
+  await assert.rejects(source.getBytes(0, 4), (e) => {
+    assert.ok(e instanceof FetchError);
+    assert.equal(e.attempts[0].error, "Request timed out after 10 ms");
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test("an aborted request is not retried", async (t) => {
+  const controller = new AbortController();
+  const calls = stubFetch(t, [
+    () => {
+      controller.abort();
+      return statusResponse(503);
+    },
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 3,
+    retryDelay: 1,
+  });
+  await assert.rejects(source.getBytes(0, 4, controller.signal));
+  assert.equal(calls.length, 1);
+});
+
+test("a 401 asks transformRequest for new credentials once", async (t) => {
+  const calls = stubFetch(t, [
+    () => statusResponse(401),
+    () => rangeResponse(new Uint8Array([1, 2, 3, 4])),
+  ]);
+  const refreshes = [];
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    transformRequest: async (url, range, { refresh }) => {
+      refreshes.push(refresh);
+      return {
+        url: `${url}?token=${refresh ? "new" : "old"}`,
+        headers: { "X-Range": `${range.offset}+${range.length}` },
+      };
+    },
+  });
+  await source.getBytes(0, 4);
+  assert.deepEqual(refreshes, [false, true]);
+  assert.deepEqual(
+    calls.map((c) => c.url),
+    [
+      "https://example.com/a.vtpk?token=old",
+      "https://example.com/a.vtpk?token=new",
+    ],
+  );
+  assert.equal(calls[1].init.headers.get("X-Range"), "0+4");
+  assert.equal(calls[1].init.headers.get("range"), "bytes=0-3");
+});
+
+test("a second 401 after refreshing fails without another refresh", async (t) => {
+  const calls = stubFetch(t, [() => statusResponse(403)]);
+  let refreshes = 0;
+  const source = new FetchSource("https://example.com/a.vtpk", {
+    maxRetries: 2,
+    retryDelay: 1,
+    transformRequest: async (url, range, { refresh }) => {
+      if (refresh) refreshes++;
+      return { url };
+    },
+  });
+  await assert.rejects(source.getBytes(0, 4), { status: 403 });
+  assert.equal(refreshes, 1);
+  assert.equal(calls.length, 2);
+});
+
+test("responses are compared by the validator first seen", async (t) => {
+  stubFetch(t, [
+    () =>
+      rangeResponse(new Uint8Array(4), { ETag: '"a"', "Last-Modified": "Mon" }),
+    // Some CDN responses leave out the ETag
+    () => rangeResponse(new Uint8Array(4), { "Last-Modified": "Tue" }),
+    () => rangeResponse(new Uint8Array(4), { ETag: 'W/"b"' }),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk");
+  assert.equal((await source.getBytes(0, 4)).etag, '"a"');
+  assert.equal((await source.getBytes(0, 4, undefined, '"a"')).etag, undefined);
+  await assert.rejects(source.getBytes(0, 4, undefined, '"a"'), (e) => {
+    assert.ok(e instanceof EtagMismatch);
+    assert.equal(e.etag, '"a"');
+    assert.equal(e.newEtag, 'W/"b"');
+    return true;
+  });
+  assert.equal(source.mustReload, true);
+});
+
+test("Last-Modified is the validator of servers without ETag", async (t) => {
+  stubFetch(t, [
+    () => rangeResponse(new Uint8Array(4), { "Last-Modified": "Mon" }),
+    // An ETag added later does not replace Last-Modified
+    () =>
+      rangeResponse(new Uint8Array(4), { ETag: '"x"', "Last-Modified": "Mon" }),
+    () => rangeResponse(new Uint8Array(4), { "Last-Modified": "Tue" }),
+  ]);
+  const source = new FetchSource("https://example.com/a.vtpk");
+  assert.equal((await source.getBytes(0, 4)).etag, "Mon");
+  assert.equal((await source.getBytes(0, 4, undefined, "Mon")).etag, "Mon");
+  await assert.rejects(source.getBytes(0, 4, undefined, "Mon"), {
+    name: "EtagMismatch",
+    newEtag: "Tue",
+  });
+});
+
+test("a 416 response means the archive changed size", async (t) => {
+  stubFetch(t, [() => statusResponse(416)]);
+  const source = new FetchSource("https://example.com/a.vtpk");
+  await assert.rejects(source.getBytes(90, 20, undefined, '"a"'), (e) => {
+    assert.ok(e instanceof EtagMismatch);
+    assert.match(e.message, /changed size/);
+    return true;
+  });
+});
@@ -0,0 +1,224 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import TileIterator from "../src/tile-iterator.js";
+import SharedPromiseCache from "../src/shared-promise-cache.js";
+import getHeaderAndFileList from "../src/get-header-and-filelist.js";
+import { BufferSource, EtagMismatch } from "../src/source.js";
+import zip, { CONF_XML } from "./helpers/zip.js";
+import { bundleV1 } from "./helpers/bundle.js";
+
+const XYZ = { compatible: true, lods: [] };
+
+// A package whose bundles each hold the tiles listed in bundles[file]
+function fakePackage(bundles, options = {}) {
+  const files = {};
+  Object.keys(bundles).forEach((file) => (files[file] = { filename: file }));
+  const pkg = {
+    indexReads: [],
+    header: {
+      type: "tpkx",
+      files: files,
+      tileMatrixSet: XYZ,
+      tileCompression: "none",
+      etag: '"a"',
+    },
+    changes: [],
+    source: {
+      getKey: () => "fake.tpkx",
+      getBytes: async (offset, length) => {
+        if (options.getBytes) return await options.getBytes(offset, length);
+        return { data: new Uint8Array(length).fill(offset) };
+      },
+    },
+    getHeader: async () => {
+      if (options.getHeader) await options.getHeader();
+      return pkg.header;
+    },
+    cache: {
+      getTileIndex: async (source, file, header, signal) => {
+        if (signal && signal.aborted) {
+          throw new DOMException("aborted", "AbortError");
+        }
+        pkg.indexReads.push(file);
+        return { get: (row, col) => bundles[file][`${row},${col}`] };
+      },
+      getDataOffset: async () => 1000,
+    },
+    decompress: async (data) => data,
+    archiveChanged: async (e) => pkg.changes.push(e),
+  };
+  return pkg;
+}
+
+const TILE = { tileOffset: 0, tileSize: 4 };
+
+async function collect(iterator) {
+  const tiles = [];
+  for await (const t of iterator) tiles.push([t.z, t.x, t.y]);
+  return tiles;
+}
+
+test("tiles come in level order, bundle by bundle and row-major", async () => {
+  const pkg = fakePackage({
+    "tile/L02/R0000C0080.bundle": { "0,0": TILE },
+    "tile/L01/R0000C0000.bundle": { "1,0": TILE, "0,1": TILE, "0,0": TILE },
+    "tile/L02/R0000C0000.bundle": { "3,2": TILE },
+    "tile/L00/R0000C0000.bundle": { "0,0": TILE },
+  });
+  assert.deepEqual(await collect(new TileIterator(pkg)), [
+    [0, 0, 0],
+    [1, 0, 0],
+    [1, 1, 0],
+    [1, 0, 1],
+    [2, 2, 3],
+    [2, 128, 0],
+  ]);
+
+  const tile = (await new TileIterator(pkg).next()).value;
+  assert.deepEqual(
+    [tile.level, tile.offset, tile.size, tile.file],
+    [0, 1000, 4, "tile/L00/R0000C0000.bundle"],
+  );
+  assert.deepEqual(await tile.getData(), new Uint8Array(4).fill(1000));
+});
+
+test("minZoom, maxZoom and bbox select the bundles and tiles", async () => {
+  const pkg = fakePackage({
+    "tile/L00/R0000C0000.bundle": { "0,0": TILE },
+    "tile/L01/R0000C0000.bundle": { "0,0": TILE, "1,1": TILE },
+    "tile/L02/R0000C0000.bundle": { "0,0": TILE, "1,1": TILE, "3,3": TILE },
+  });
+  assert.deepEqual(
+    await collect(new TileIterator(pkg, { minZoom: 1, maxZoom: 1 })),
+    [
+      [1, 0, 0],
+      [1, 1, 1],
+    ],
+  );
+  // Bundles outside the zoom range are not read
+  assert.deepEqual(pkg.indexReads, ["tile/L01/R0000C0000.bundle"]);
+
+  // The north-western quarter of the world
+  const bbox = [-180, 1, -1, 85];
+  assert.deepEqual(await collect(new TileIterator(pkg, { bbox, minZoom: 2 })), [
+    [2, 0, 0],
+    [2, 1, 1],
+  ]);
+});
+
+test("breaking out of for await stops the iteration", async () => {
+  const pkg = fakePackage({
+    "tile/L00/R0000C0000.bundle": { "0,0": TILE },
+    "tile/L01/R0000C0000.bundle": { "0,0": TILE },
+  });
+  const iterator = new TileIterator(pkg);
+  for await (const tile of iterator) {
+    assert.equal(tile.z, 0);
+    break;
+  }
+  assert.deepEqual(await iterator.next(), { done: true, value: undefined });
+  assert.deepEqual(pkg.indexReads, ["tile/L00/R0000C0000.bundle"]);
+});
+
+test("the signal aborts the reads of tile indexes", async () => {
+  const pkg = fakePackage({
+    "tile/L00/R0000C0000.bundle": { "0,0": TILE },
+    "tile/L01/R0000C0000.bundle": { "0,0": TILE },
+  });
+  const controller = new AbortController();
+  const iterator = new TileIterator(pkg, { signal: controller.signal });
+  assert.equal((await iterator.next()).value.z, 0);
+  controller.abort();
+  await assert.rejects(iterator.next(), { name: "AbortError" });
+  assert.deepEqual(pkg.indexReads, ["tile/L00/R0000C0000.bundle"]);
+  assert.deepEqual(pkg.changes, []);
+});
+
+test("levels without an XYZ zoom are not listed", async () => {
+  const tile = { tileOffset: 0, tileSize: 4 };
+  const pkg = fakePackage({
+    "tile/L00/R0000C0000.bundle": { "0,0": tile },
+    "tile/L01/R0000C0000.bundle": { "0,0": tile },
+  });
+  // 512 pixel tiles with the resolutions of the 256 pixel scheme
+  pkg.header.tileMatrixSet = {
+    compatible: true,
+    lods: [
+      { level: 0, zoom: undefined },
+      { level: 1, zoom: 0 },
+    ],
+  };
+  const tiles = [];
+  for await (const t of new TileIterator(pkg)) tiles.push([t.level, t.z]);
+  assert.deepEqual(tiles, [[1, 0]]);
+});
+
+test("an archive change while listing lets the package reload, then throws", async () => {
+  const mismatch = new EtagMismatch("changed", '"a"', '"b"');
+  const pkg = fakePackage(
+    {},
+    {
+      getHeader: () => {
+        throw mismatch;
+      },
+    },
+  );
+  const iterator = new TileIterator(pkg);
+  await assert.rejects(iterator.next(), mismatch);
+  assert.deepEqual(pkg.changes, [mismatch]);
+  assert.deepEqual(await iterator.next(), { done: true, value: undefined });
+});
+
+test("an archive change while reading a tile lets the package reload, then throws", async () => {
+  const mismatch = new EtagMismatch("changed", '"a"', '"b"');
+  const pkg = fakePackage(
+    { "tile/L00/R0000C0000.bundle": { "0,0": { tileOffset: 0, tileSize: 4 } } },
+    {
+      getBytes: () => {
+        throw mismatch;
+      },
+    },
+  );
+  const tile = (await new TileIterator(pkg).next()).value;
+  await assert.rejects(tile.getData(), mismatch);
+  assert.deepEqual(pkg.changes, [mismatch]);
+});
+
+test("compact cache V1 tiles are found through the .bundlx with their sizes", async () => {
+  const dir = "v101/Layers/_alllayers/L01";
+  // Column-major in the .bundlx, listed row-major
+  const { bundle, bundlx } = bundleV1([
+    { row: 1, col: 0, data: "SOUTHWEST" },
+    { row: 0, col: 1, data: "NE" },
+  ]);
+  const source = new BufferSource(
+    zip([
+      { name: "v101/Layers/conf.xml", data: CONF_XML },
+      { name: `${dir}/R0000C0000.bundle`, data: bundle },
+      { name: `${dir}/R0000C0000.bundlx`, data: bundlx },
+    ]),
+  );
+  const [header] = await getHeaderAndFileList(source);
+  assert.equal(header.storageFormat, "esriMapCacheStorageModeCompact");
+  const pkg = {
+    getHeader: async () => header,
+    source: source,
+    cache: new SharedPromiseCache(),
+    decompress: async (data) => data,
+  };
+
+  const tiles = [];
+  for await (const tile of new TileIterator(pkg)) {
+    tiles.push([
+      tile.z,
+      tile.x,
+      tile.y,
+      tile.size,
+      new TextDecoder().decode(await tile.getData()),
+    ]);
+  }
+  assert.deepEqual(tiles, [
+    [1, 1, 0, 2, "NE"],
+    [1, 0, 1, 9, "SOUTHWEST"],
+  ]);
+});
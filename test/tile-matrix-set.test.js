@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import getTileMatrixSet, {
+  zoomToLevel,
+  levelToZoom,
+  lonLatToTile,
+} from "../src/tile-matrix-set.js";
+import { TPKX_ROOT } from "./helpers/zip.js";
+
+const RESOLUTION_0 = 156543.03392800014;
+
+function tileInfo(tileSize, levels, resolution0 = RESOLUTION_0, overrides) {
+  return Object.assign({}, TPKX_ROOT.tileInfo, overrides, {
+    rows: tileSize,
+    cols: tileSize,
+    lods: levels.map((level) => ({
+      level: level,
+      resolution: resolution0 / Math.pow(2, level),
+      scale: 591657527.591555 / Math.pow(2, level),
+    })),
+  });
+}
+
+test("256 pixel Web Mercator levels are XYZ zooms", () => {
+  const tms = getTileMatrixSet(tileInfo(256, [0, 1, 2]));
+  assert.equal(tms.compatible, true);
+  assert.deepEqual(
+    tms.lods.map((lod) => lod.zoom),
+    [0, 1, 2],
+  );
+  assert.equal(zoomToLevel(tms, 2), 2);
+  assert.equal(zoomToLevel(tms, 3), undefined);
+  assert.equal(levelToZoom(tms, 1), 1);
+});
+
+test("512 pixel tiles are matched by ground width, not by level", () => {
+  // The 512 pixel scheme: level 0 covers the world in one tile
+  const native = getTileMatrixSet(tileInfo(512, [0, 1, 2], RESOLUTION_0 / 2));
+  assert.equal(native.compatible, true);
+  assert.deepEqual(
+    native.lods.map((lod) => lod.zoom),
+    [0, 1, 2],
+  );
+
+  // The 256 pixel resolutions: level 0 is wider than the world, level 1 is zoom 0
+  const shifted = getTileMatrixSet(tileInfo(512, [0, 1, 2, 3]));
+  assert.equal(shifted.compatible, true);
+  assert.deepEqual(
+    shifted.lods.map((lod) => lod.zoom),
+    [undefined, 0, 1, 2],
+  );
+  assert.equal(levelToZoom(shifted, 0), undefined);
+  assert.equal(levelToZoom(shifted, 3), 2);
+  assert.equal(zoomToLevel(shifted, 0), 1);
+  assert.equal(zoomToLevel(shifted, 2), 3);
+});
+
+test("partial pyramids keep their zooms", () => {
+  const tms = getTileMatrixSet({
+    rows: 256,
+    cols: 256,
+    spatialReference: { wkid: 102100, latestWkid: 3857 },
+    lods: [
+      { level: 0, resolution: RESOLUTION_0 / 1024 },
+      { level: 1, resolution: RESOLUTION_0 / 2048 },
+    ],
+  });
+  assert.deepEqual(
+    tms.lods.map((lod) => lod.zoom),
+    [10, 11],
+  );
+  assert.equal(zoomToLevel(tms, 11), 1);
+  assert.equal(levelToZoom(tms, 0), 10);
+});
+
+test("schemes without a spatial reference or levels are XYZ", () => {
+  const tms = getTileMatrixSet({ rows: 256, lods: [{ level: 3 }] });
+  assert.equal(tms.compatible, true);
+  assert.equal(levelToZoom(tms, 3), 3);
+  const empty = getTileMatrixSet({
+    rows: 512,
+    spatialReference: { wkid: 3857 },
+  });
+  assert.equal(zoomToLevel(empty, 7), 7);
+  assert.equal(levelToZoom(empty, 7), 7);
+});
+
+test("schemes MapLibre can not display are incompatible", () => {
+  const reason = (info) => {
+    const tms = getTileMatrixSet(info);
+    assert.equal(tms.compatible, false);
+    assert.equal(levelToZoom(tms, 0), undefined);
+    assert.throws(
+      () => zoomToLevel(tms, 0),
+      /Tiling scheme can not be displayed by MapLibre/,
+    );
+    return tms.reason;
+  };
+  assert.match(
+    reason(
+      tileInfo(256, [0], RESOLUTION_0, { spatialReference: { wkid: 4326 } }),
+    ),
+    /spatial reference 4326 is not Web Mercator/,
+  );
+  assert.match(
+    reason(Object.assign(tileInfo(256, [0]), { cols: 512 })),
+    /tiles are 512x256 pixels, not square/,
+  );
+  assert.match(
+    reason(tileInfo(256, [0], RESOLUTION_0, { origin: { x: 0, y: 0 } })),
+    /tile origin 0, 0 is not the top left corner/,
+  );
+  assert.match(
+    reason(tileInfo(256, [0], RESOLUTION_0 / 3)),
+    /level 0 with resolution .* does not match an XYZ zoom level/,
+  );
+  assert.match(
+    reason(
+      Object.assign(tileInfo(256, [0]), {
+        lods: [
+          { level: 0, resolution: RESOLUTION_0 },
+          { level: 1, resolution: RESOLUTION_0 * 1.001 },
+        ],
+      }),
+    ),
+    /levels 0 and 1 both map to zoom 0/,
+  );
+  assert.match(reason(tileInfo(256, [-2, -1])), /no level matches an XYZ zoom/);
+});
+
+test("longitude and latitude map to XYZ tiles", () => {
+  assert.deepEqual(lonLatToTile(0, 0, 0), [0, 0]);
+  assert.deepEqual(lonLatToTile(-180, 90, 2), [0, 0]);
+  assert.deepEqual(lonLatToTile(180, -90, 2), [3, 3]);
+  assert.deepEqual(lonLatToTile(13.4, 52.5, 10), [550, 335]);
+});
@@ -0,0 +1,221 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import verifyPackage from "../src/verify-package.js";
+import getHeaderAndFileList from "../src/get-header-and-filelist.js";
+import { BufferSource, EtagMismatch } from "../src/source.js";
+import zip, { tpkxEntries } from "./helpers/zip.js";
+import { bundleV2, HEADER_SIZE, INDEX_SIZE } from "./helpers/bundle.js";
+
+const BUNDLE = "tile/L00/R0000C0000.bundle";
+const BUNDLX = "tile/L00/R0000C0000.bundlx";
+const README = { name: "readme.txt", data: "hello" };
+
+function tpkx(bundle, method) {
+  return zip(tpkxEntries([README, { name: BUNDLE, data: bundle, method }]));
+}
+
+async function errorsOf(archive, options) {
+  const report = await verifyPackage(new BufferSource(archive), options);
+  assert.equal(report.valid, report.errors.length === 0);
+  return report.errors.map((e) => [e.file, e.check]);
+}
+
+// Flip the first byte of needle within the archive
+function corrupt(archive, needle) {
+  const bytes = new TextEncoder().encode(needle);
+  const at = Buffer.from(archive).indexOf(bytes);
+  assert.ok(at > 0);
+  archive[at] ^= 0xff;
+  return archive;
+}
+
+test("a sound package passes every check", async () => {
+  const archive = tpkx(bundleV2([{ row: 0, col: 0, data: "TILEDATA" }]));
+  const progress = [];
+  const report = await verifyPackage(new BufferSource(archive, { key: "a" }), {
+    bundleCrc: true,
+    onProgress: (p) => progress.push(p.checked),
+  });
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.valid, true);
+  assert.equal(report.key, "a");
+  assert.equal(report.size, archive.length);
+  assert.deepEqual(
+    [report.total, report.checked, report.resources, report.bundles],
+    [4, 4, 3, 1],
+  );
+  assert.equal(report.tiles, 1);
+  assert.deepEqual(progress, [1, 2, 3, 4]);
+});
+
+test("damaged resources and bundles are reported by check", async () => {
+  const tile = [{ row: 0, col: 0, data: "TILEDATA" }];
+  assert.deepEqual(await errorsOf(corrupt(tpkx(bundleV2(tile)), "hello")), [
+    ["readme.txt", "crc32"],
+  ]);
+  assert.deepEqual(
+    await errorsOf(corrupt(tpkx(bundleV2(tile)), "TILEDATA"), {
+      bundleCrc: true,
+    }),
+    [[BUNDLE, "crc32"]],
+  );
+  assert.deepEqual(await errorsOf(tpkx(bundleV2(tile), "deflate")), [
+    [BUNDLE, "compression"],
+  ]);
+  assert.deepEqual(await errorsOf(tpkx(new Uint8Array(100))), [
+    [BUNDLE, "bundle-header"],
+  ]);
+  assert.deepEqual(await errorsOf(tpkx(bundleV2(tile, { version: 2 }))), [
+    [BUNDLE, "bundle-header"],
+  ]);
+  assert.deepEqual(
+    await errorsOf(
+      tpkx(bundleV2(tile, { offsetByteCount: 4, fileSize: 1, indexSize: 8 })),
+    ),
+    [
+      [BUNDLE, "bundle-header"],
+      [BUNDLE, "bundle-header"],
+      [BUNDLE, "bundle-header"],
+    ],
+  );
+
+  const outside = bundleV2(tile, {
+    records: [
+      { row: 1, col: 0, offset: 10, size: 5 },
+      { row: 2, col: 0, offset: HEADER_SIZE + INDEX_SIZE + 4, size: 500 },
+    ],
+  });
+  const report = await verifyPackage(new BufferSource(tpkx(outside)));
+  assert.deepEqual(report.errors, [
+    {
+      file: BUNDLE,
+      check: "tile-index",
+      message: `2 tiles are outside the bundle of ${outside.length} bytes, first at row 1 col 0 (offset 10, size 5)`,
+    },
+  ]);
+  assert.equal(report.tiles, 3);
+});
+
+test("entries outside the archive are reported by bounds and local-header", async () => {
+  const archive = tpkx(bundleV2());
+  const source = new BufferSource(archive);
+  const [header] = await getHeaderAndFileList(source);
+  const files = Object.assign({}, header.files);
+  files["readme.txt"] = Object.assign({}, files["readme.txt"], {
+    relativeOffset: archive.length,
+  });
+  files["root.json"] = Object.assign({}, files["root.json"], {
+    relativeOffset: 1,
+  });
+  files["iteminfo.json"] = Object.assign({}, files["iteminfo.json"], {
+    compressedSize: archive.length,
+  });
+  const report = await verifyPackage(source, {
+    header: Object.assign({}, header, { files }),
+  });
+  assert.deepEqual(
+    report.errors.map((e) => [e.file, e.check]),
+    [
+      ["root.json", "local-header"],
+      ["iteminfo.json", "bounds"],
+      ["readme.txt", "bounds"],
+    ],
+  );
+});
+
+test("compact cache V1 bundles are checked through their .bundlx", async () => {
+  const bundlx = (sizeOffset) => {
+    const bytes = new Uint8Array(16 + 128 * 128 * 5 + 16);
+    const v = new DataView(bytes.buffer);
+    for (let i = 0; i < 128 * 128; i++) v.setUint32(16 + 5 * i, 60, true);
+    if (sizeOffset) v.setUint32(16 + 5 * 129, sizeOffset, true);
+    return bytes;
+  };
+  const check = async (entries) => {
+    const source = new BufferSource(zip(tpkxEntries(entries)));
+    const [header] = await getHeaderAndFileList(source);
+    header.storageFormat = "esriMapCacheStorageModeCompact";
+    const report = await verifyPackage(source, { header });
+    return report.errors.map((e) => [e.file, e.check, e.message]);
+  };
+  const bundle = { name: BUNDLE, data: new Uint8Array(64) };
+
+  assert.deepEqual(await check([bundle, { name: BUNDLX, data: bundlx() }]), []);
+  assert.deepEqual(await check([bundle, { name: BUNDLX, data: bundlx(61) }]), [
+    [
+      BUNDLX,
+      "tile-index",
+      "1 tiles are outside the bundle of 64 bytes, first at row 1 col 1 (offset 61)",
+    ],
+  ]);
+  assert.deepEqual(await check([{ name: BUNDLX, data: bundlx() }]), [
+    [BUNDLX, "tile-index", "Bundle for this tile index is missing"],
+  ]);
+  assert.deepEqual(
+    await check([bundle, { name: BUNDLX, data: new Uint8Array(10) }]),
+    [[BUNDLX, "tile-index", "Tile index is 10 bytes, expected 81952"]],
+  );
+  assert.deepEqual(
+    await check([
+      { name: BUNDLE, data: new Uint8Array(64), method: "deflate" },
+      { name: BUNDLX, data: bundlx() },
+    ]),
+    [
+      [
+        BUNDLE,
+        "compression",
+        "Bundle is compressed (method 8) and can not be read with random access",
+      ],
+    ],
+  );
+});
+
+test("failed reads are reported, aborts and archive changes are thrown", async () => {
+  const archive = tpkx(bundleV2());
+  // Fails the reads of entry data, which are not 30 byte local headers
+  const failing = (error, minLength) => {
+    const source = new BufferSource(archive);
+    const getBytes = source.getBytes.bind(source);
+    source.getBytes = async (offset, length, signal, etag) => {
+      if (length !== 30 && length >= minLength) throw error();
+      return await getBytes(offset, length, signal, etag);
+    };
+    return source;
+  };
+  const [header] = await getHeaderAndFileList(new BufferSource(archive));
+
+  const report = await verifyPackage(
+    failing(() => new Error("Bad response code: 500"), 0),
+    { header },
+  );
+  assert.deepEqual(
+    report.errors.map((e) => [e.file, e.check, e.message]),
+    ["root.json", "iteminfo.json", "readme.txt", BUNDLE].map((file) => [
+      file,
+      "read",
+      "Bad response code: 500",
+    ]),
+  );
+
+  await assert.rejects(
+    verifyPackage(
+      failing(() => new EtagMismatch("changed", '"a"', '"b"'), INDEX_SIZE),
+      { header },
+    ),
+    EtagMismatch,
+  );
+  await assert.rejects(
+    verifyPackage(
+      failing(() => new DOMException("aborted", "AbortError"), 0),
+      { header },
+    ),
+    { name: "AbortError" },
+  );
+});
+
+test("an archive that can not be opened is reported", async () => {
+  const report = await verifyPackage(new BufferSource(new Uint8Array(100)));
+  assert.equal(report.valid, false);
+  assert.equal(report.errors[0].check, "archive");
+  assert.match(report.errors[0].message, /no end of central directory/);
+});